@@ -0,0 +1,185 @@
+// File: js/backup-service.js
+// Módulo de backup e restauração completa do banco em arquivo JSON
+// O arquivo leva versão do formato, versão do schema e checksum SHA-256 dos dados
+// Com a frase-senha ativa, o backup inteiro vai cifrado (AES-GCM) dentro de um envelope
+
+import * as Store from './store.js';
+import * as CryptoService from './crypto-service.js';
+import { toDateInputValue } from './utils.js';
+
+// Identificador gravado no arquivo para reconhecer backups deste aplicativo
+const BACKUP_APP_ID = 'meu-bar-pwa';
+
+// Versão do formato do arquivo de backup - incrementar se a estrutura do JSON mudar
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Calcula o SHA-256 de um texto
+ * @param {string} text - Texto de entrada
+ * @returns {Promise<string>} Hash em hexadecimal
+ */
+async function sha256(text) {
+    const data = new TextEncoder().encode(text);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Gera o backup completo do banco
+ * Com a frase-senha ativa, devolve o envelope cifrado (ver sealBackup)
+ * @returns {Promise<Object>} Objeto de backup pronto para ser serializado
+ */
+export async function createBackup() {
+    const { schemaVersion, tables } = await Store.exportAllTables();
+
+    const backup = {
+        app: BACKUP_APP_ID,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        schemaVersion: schemaVersion,
+        exportedAt: Date.now(),
+        checksum: await sha256(JSON.stringify(tables)),
+        tables: tables
+    };
+
+    console.log(`Backup gerado: schema v${schemaVersion}, ${Object.keys(tables).length} tabelas`);
+
+    const encryption = await Store.getBackupEncryption();
+    return encryption ? sealBackup(backup, encryption) : backup;
+}
+
+/**
+ * Cifra o backup com a chave dos dados
+ * O sal e as iterações vão no envelope: para abrir basta a frase-senha
+ * @param {Object} backup - Objeto de backup em claro
+ * @param {Object} encryption - {key, salt, iterations} (Store.getBackupEncryption)
+ * @returns {Promise<Object>} Envelope {app, formatVersion, encrypted, exportedAt, kdf, iv, data}
+ */
+async function sealBackup(backup, encryption) {
+    const { iv, data } = await CryptoService.encryptText(encryption.key, JSON.stringify(backup));
+
+    return {
+        app: BACKUP_APP_ID,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        encrypted: true,
+        exportedAt: backup.exportedAt,
+        kdf: { salt: encryption.salt, iterations: encryption.iterations },
+        iv: iv,
+        data: data
+    };
+}
+
+/**
+ * Abre um backup cifrado com a frase-senha
+ * @param {Object} envelope - Envelope gerado por sealBackup
+ * @param {string} passphrase - Frase-senha usada no aparelho que exportou
+ * @returns {Promise<Object>} Objeto de backup em claro (ainda não validado)
+ */
+async function openBackup(envelope, passphrase) {
+    if (!passphrase) {
+        throw new Error('Backup protegido: digite a frase-senha do backup e escolha o arquivo de novo');
+    }
+
+    if (!envelope.kdf || !envelope.kdf.salt || !CryptoService.isEncryptedValue(envelope)) {
+        throw new Error('Arquivo inválido: backup cifrado incompleto');
+    }
+
+    const key = await CryptoService.deriveKey(passphrase, envelope.kdf.salt, envelope.kdf.iterations);
+
+    try {
+        return JSON.parse(await CryptoService.decryptText(key, envelope));
+    } catch (error) {
+        throw new Error('Frase-senha do backup incorreta ou arquivo corrompido');
+    }
+}
+
+/**
+ * Gera o nome do arquivo de backup com a data atual
+ * @param {Object} backup - Objeto de backup
+ * @returns {string} Nome do arquivo (ex: meu-bar-backup-2024-05-31.json)
+ */
+export function getBackupFileName(backup) {
+    return `meu-bar-backup-${toDateInputValue(backup.exportedAt)}.json`;
+}
+
+/**
+ * Lê e valida o conteúdo de um arquivo de backup (cifrado ou não)
+ * @param {string} text - Conteúdo do arquivo
+ * @param {string} [passphrase] - Frase-senha, para backups cifrados
+ * @returns {Promise<Object>} Objeto de backup validado (em claro)
+ */
+export async function parseBackup(text, passphrase) {
+    let backup;
+
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Arquivo inválido: não é um JSON');
+    }
+
+    if (!backup || backup.app !== BACKUP_APP_ID) {
+        throw new Error('Arquivo inválido: não é um backup do Meu Bar');
+    }
+
+    if (backup.encrypted) {
+        backup = await openBackup(backup, passphrase);
+
+        if (!backup || backup.app !== BACKUP_APP_ID) {
+            throw new Error('Arquivo inválido: não é um backup do Meu Bar');
+        }
+    }
+
+    if (backup.formatVersion !== BACKUP_FORMAT_VERSION) {
+        throw new Error(`Formato de backup não suportado (versão ${backup.formatVersion})`);
+    }
+
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > Store.db.verno) {
+        throw new Error('Backup feito em uma versão mais nova do aplicativo. Atualize o aplicativo antes de restaurar.');
+    }
+
+    if (!backup.tables || typeof backup.tables !== 'object') {
+        throw new Error('Arquivo inválido: tabelas ausentes');
+    }
+
+    const knownTables = Store.db.tables.map(table => table.name);
+
+    for (const [name, rows] of Object.entries(backup.tables)) {
+        if (!knownTables.includes(name)) {
+            throw new Error(`Arquivo inválido: tabela desconhecida "${name}"`);
+        }
+
+        if (!Array.isArray(rows)) {
+            throw new Error(`Arquivo inválido: tabela "${name}" corrompida`);
+        }
+    }
+
+    const checksum = await sha256(JSON.stringify(backup.tables));
+    if (checksum !== backup.checksum) {
+        throw new Error('Checksum não confere: o arquivo está corrompido ou foi alterado');
+    }
+
+    return backup;
+}
+
+/**
+ * Compara um backup validado com os dados atuais
+ * @param {Object} backup - Objeto de backup validado
+ * @returns {Promise<Array>} Resumo por tabela (ver Store.getBackupDiff)
+ */
+export async function diffBackup(backup) {
+    return Store.getBackupDiff(backup.tables);
+}
+
+/**
+ * Restaura um backup validado
+ * @param {Object} backup - Objeto de backup validado
+ * @param {string} mode - 'replace' (substituir tudo) ou 'merge' (mesclar)
+ * @returns {Promise<number>} Quantidade de registros gravados
+ */
+export async function restoreBackup(backup, mode) {
+    return Store.importAllTables(backup.tables, mode);
+}
+
+console.log('Backup Service Module (backup-service.js) carregado.');
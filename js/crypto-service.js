@@ -0,0 +1,180 @@
+// File: js/crypto-service.js
+// Módulo de criptografia dos dados pessoais e dos backups (WebCrypto)
+// A chave AES-GCM é derivada da frase-senha com PBKDF2-SHA-256; a frase-senha nunca é gravada
+
+// Custo do PBKDF2 - mais alto que o do PIN, pois a chave protege os dados em disco
+export const PBKDF2_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BITS = 256;
+
+// Tamanho mínimo da frase-senha
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Texto conhecido cifrado com a chave para conferir a frase-senha sem gravá-la
+const VERIFIER_TEXT = 'meu-bar-pwa';
+
+/**
+ * Valida a frase-senha escolhida
+ * @param {string} passphrase - Frase-senha digitada
+ * @returns {Object} {isValid, message}
+ */
+export function validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return { isValid: false, message: `A frase-senha deve ter pelo menos ${MIN_PASSPHRASE_LENGTH} caracteres` };
+    }
+
+    return { isValid: true, message: '' };
+}
+
+/**
+ * Converte bytes para base64 (em blocos, para aguentar backups grandes)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Texto em base64
+ */
+function toBase64(bytes) {
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Converte base64 para bytes
+ * @param {string} text - Texto em base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Gera um sal aleatório para a derivação da chave
+ * @returns {string} Sal em base64
+ */
+export function generateSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Parâmetros do PBKDF2-SHA-256 para um sal e uma quantidade de iterações
+ * @param {string} salt - Sal em base64
+ * @param {number} iterations - Iterações do PBKDF2
+ * @returns {Object} Algoritmo para deriveKey/deriveBits
+ */
+function pbkdf2Params(salt, iterations) {
+    return { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations: iterations };
+}
+
+/**
+ * Importa um segredo digitado (frase-senha ou PIN) como base do PBKDF2
+ * @param {string} secret - Segredo
+ * @param {string} usage - 'deriveKey' ou 'deriveBits'
+ * @returns {Promise<CryptoKey>} Chave base
+ */
+function importSecret(secret, usage) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, [usage]);
+}
+
+/**
+ * Deriva a chave AES-GCM da frase-senha
+ * @param {string} passphrase - Frase-senha
+ * @param {string} salt - Sal em base64
+ * @param {number} [iterations=PBKDF2_ITERATIONS] - Iterações do PBKDF2
+ * @returns {Promise<CryptoKey>} Chave (não exportável) para cifrar e decifrar
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    return crypto.subtle.deriveKey(
+        pbkdf2Params(salt, iterations),
+        await importSecret(passphrase, 'deriveKey'),
+        { name: 'AES-GCM', length: KEY_BITS },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Calcula o hash PBKDF2-SHA-256 de um segredo (ex: PIN dos atendentes)
+ * @param {string} secret - Segredo
+ * @param {string} salt - Sal em base64 (ver generateSalt)
+ * @param {number} iterations - Iterações do PBKDF2
+ * @returns {Promise<string>} Hash de 256 bits em base64
+ */
+export async function hashSecret(secret, salt, iterations) {
+    const bits = await crypto.subtle.deriveBits(pbkdf2Params(salt, iterations), await importSecret(secret, 'deriveBits'), KEY_BITS);
+    return toBase64(new Uint8Array(bits));
+}
+
+/**
+ * Cifra um texto com AES-GCM (um IV novo a cada chamada)
+ * @param {CryptoKey} key - Chave derivada
+ * @param {string} text - Texto em claro
+ * @returns {Promise<Object>} {iv, data} em base64
+ */
+export async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+
+    return {
+        iv: toBase64(iv),
+        data: toBase64(new Uint8Array(data))
+    };
+}
+
+/**
+ * Decifra um texto cifrado por encryptText
+ * @param {CryptoKey} key - Chave derivada
+ * @param {Object} payload - {iv, data} em base64
+ * @returns {Promise<string>} Texto em claro
+ */
+export async function decryptText(key, payload) {
+    try {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+            key,
+            fromBase64(payload.data)
+        );
+
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        // AES-GCM falha na autenticação com a chave errada ou com dados alterados
+        throw new Error('Frase-senha incorreta ou dados corrompidos');
+    }
+}
+
+/**
+ * Verifica se um valor gravado é um texto cifrado por encryptText
+ * @param {*} value - Valor do campo
+ * @returns {boolean} true se cifrado
+ */
+export function isEncryptedValue(value) {
+    return !!value && typeof value === 'object' && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Gera o verificador da chave (texto conhecido cifrado)
+ * @param {CryptoKey} key - Chave derivada
+ * @returns {Promise<Object>} {iv, data}
+ */
+export async function createVerifier(key) {
+    return encryptText(key, VERIFIER_TEXT);
+}
+
+/**
+ * Confere se a chave abre o verificador gravado
+ * @param {CryptoKey} key - Chave derivada da frase-senha digitada
+ * @param {Object} verifier - Verificador gravado
+ * @returns {Promise<boolean>} true se a frase-senha confere
+ */
+export async function checkVerifier(key, verifier) {
+    try {
+        return await decryptText(key, verifier) === VERIFIER_TEXT;
+    } catch (error) {
+        return false;
+    }
+}
+
+console.log('Crypto Service Module (crypto-service.js) carregado.');
@@ -0,0 +1,501 @@
+// File: js/csv-service.js
+// Módulo de exportação e importação de dados em CSV (planilhas do Excel em português)
+// Separador ';' e decimais com vírgula; tudo gerado offline no próprio navegador
+
+import * as Store from './store.js';
+import {
+    formatDecimal, formatDate, formatTime, toDateInputValue, getTransactionEffect, buildRunningBalance,
+    normalizeText, validateName, validatePrice, validatePhone, PAYMENT_METHODS
+} from './utils.js';
+
+// Separador de colunas esperado pelo Excel configurado em pt-BR
+const CSV_SEPARATOR = ';';
+
+// Marca de ordem de bytes - faz o Excel abrir o arquivo como UTF-8 (acentos corretos)
+const CSV_BOM = '\uFEFF';
+
+// Nomes das colunas de tipo de transação
+const TRANSACTION_TYPE_LABELS = {
+    debit: 'Consumo',
+    payment: 'Pagamento',
+    reversal: 'Estorno'
+};
+
+// Valores numéricos já formatados (ex: -12,50), que podem começar com '-'
+const CSV_NUMBER_PATTERN = /^-?\d+(,\d+)?$/;
+
+// Início de texto que o Excel interpreta como fórmula
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Escapa um campo para CSV (aspas quando contém separador, aspas ou quebra de linha)
+ * Texto digitado que começa como fórmula (=, +, -, @...) ganha um apóstrofo na frente,
+ * para o Excel mostrar o texto em vez de executar a fórmula
+ * @param {*} value - Valor do campo
+ * @returns {string} Campo pronto para o CSV
+ */
+function escapeCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text) && !CSV_NUMBER_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[;"\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Monta o conteúdo de um arquivo CSV
+ * @param {Array<string>} headers - Títulos das colunas
+ * @param {Array<Array>} rows - Linhas com os valores de cada coluna
+ * @returns {string} Conteúdo CSV (com BOM e quebras de linha CRLF)
+ */
+export function buildCsv(headers, rows) {
+    const lines = [headers, ...rows].map(row => row.map(escapeCsvField).join(CSV_SEPARATOR));
+    return CSV_BOM + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Gera um nome de arquivo com a data atual
+ * @param {string} prefix - Prefixo do nome (ex: 'transacoes')
+ * @returns {string} Nome do arquivo (ex: meu-bar-transacoes-2024-05-31.csv)
+ */
+function getCsvFileName(prefix) {
+    return `meu-bar-${prefix}-${toDateInputValue(Date.now())}.csv`;
+}
+
+/**
+ * Gera um slug seguro para nomes de arquivo a partir de um texto
+ * @param {string} text - Texto de entrada
+ * @returns {string} Texto sem acentos, em minúsculas e com hífens
+ */
+function slugify(text) {
+    return normalizeText(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Descreve uma transação em texto para a planilha
+ * @param {Object} transaction - Transação
+ * @param {Object} productsMap - Produtos indexados por ID
+ * @returns {string} Descrição legível
+ */
+function describeTransaction(transaction, productsMap) {
+    switch (transaction.type) {
+        case 'debit': {
+            const product = productsMap[transaction.productId];
+            return product ? product.name : 'Produto removido';
+        }
+        case 'payment':
+            return transaction.note || '';
+        case 'reversal':
+            return transaction.reason || '';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Ordena transações da mais antiga para a mais recente
+ * @param {Array} transactions - Transações
+ * @returns {Array} Nova lista ordenada
+ */
+function sortChronologically(transactions) {
+    return transactions.slice().sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+}
+
+/**
+ * Indexa uma lista de registros pelo ID
+ * @param {Array} records - Registros com campo id
+ * @returns {Object} Registros indexados por ID
+ */
+function mapById(records) {
+    return records.reduce((acc, record) => {
+        acc[record.id] = record;
+        return acc;
+    }, {});
+}
+
+/* ==========================================================================
+   EXPORTAÇÃO
+   ========================================================================== */
+
+/**
+ * Exporta todas as transações de um período
+ * @param {number} startTimestamp - Início do período (inclusive)
+ * @param {number} endTimestamp - Fim do período (inclusive)
+ * @returns {Promise<Object>} { fileName, content, count }
+ */
+export async function exportTransactionsCsv(startTimestamp, endTimestamp) {
+    const [transactions, clients, products] = await Promise.all([
+        Store.getTransactionsByDateRange(startTimestamp, endTimestamp),
+        Store.getAllClients(),
+        Store.getAllProducts()
+    ]);
+
+    const clientsMap = mapById(clients);
+    const productsMap = mapById(products);
+
+    const headers = ['Data', 'Hora', 'Cliente', 'Tipo', 'Descrição', 'Quantidade', 'Valor unitário', 'Valor', 'Forma de pagamento', 'Comanda'];
+
+    const rows = sortChronologically(transactions).map(transaction => {
+        const client = clientsMap[transaction.clientId];
+
+        return [
+            formatDate(transaction.timestamp),
+            formatTime(transaction.timestamp),
+            client ? client.name : `Cliente ${transaction.clientId}`,
+            TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type,
+            describeTransaction(transaction, productsMap),
+            transaction.type === 'debit' ? transaction.qty : '',
+            transaction.type === 'debit' ? formatDecimal(transaction.unitPrice) : '',
+            formatDecimal(getTransactionEffect(transaction)),
+            transaction.type === 'payment' ? PAYMENT_METHODS[transaction.method] || transaction.method : '',
+            transaction.launchId || ''
+        ];
+    });
+
+    return {
+        fileName: getCsvFileName('transacoes'),
+        content: buildCsv(headers, rows),
+        count: rows.length
+    };
+}
+
+/**
+ * Exporta o extrato de um cliente com saldo acumulado linha a linha
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<Object>} { fileName, content, count }
+ */
+export async function exportClientStatementCsv(clientId) {
+    const [client, transactions, products] = await Promise.all([
+        Store.getClientById(clientId),
+        Store.getTransactionsByClientId(clientId),
+        Store.getAllProducts()
+    ]);
+
+    if (!client) {
+        throw new Error('Cliente não encontrado');
+    }
+
+    const productsMap = mapById(products);
+    const headers = ['Data', 'Hora', 'Tipo', 'Descrição', 'Quantidade', 'Valor unitário', 'Valor', 'Forma de pagamento', 'Saldo'];
+
+    const rows = buildRunningBalance(transactions).map(({ transaction, effect, balance }) => {
+        return [
+            formatDate(transaction.timestamp),
+            formatTime(transaction.timestamp),
+            TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type,
+            describeTransaction(transaction, productsMap),
+            transaction.type === 'debit' ? transaction.qty : '',
+            transaction.type === 'debit' ? formatDecimal(transaction.unitPrice) : '',
+            formatDecimal(effect),
+            transaction.type === 'payment' ? PAYMENT_METHODS[transaction.method] || transaction.method : '',
+            formatDecimal(balance)
+        ];
+    });
+
+    return {
+        fileName: getCsvFileName(`extrato-${slugify(client.name) || client.id}`),
+        content: buildCsv(headers, rows),
+        count: rows.length
+    };
+}
+
+/**
+ * Exporta a lista de clientes com o saldo atual de cada um
+ * @returns {Promise<Object>} { fileName, content, count }
+ */
+export async function exportClientBalancesCsv() {
+    const [clients, balances] = await Promise.all([
+        Store.getAllClients(),
+        Store.getAllClientBalances()
+    ]);
+
+    const headers = ['Cliente', 'Telefone', 'Limite de fiado', 'Saldo', 'Situação'];
+
+    const rows = clients.map(client => [
+        client.name,
+        client.phone || '',
+        client.creditLimit !== null && client.creditLimit !== undefined ? formatDecimal(client.creditLimit) : '',
+        formatDecimal(balances[client.id] || 0),
+        client.archived ? 'Arquivado' : 'Ativo'
+    ]);
+
+    return {
+        fileName: getCsvFileName('saldos-clientes'),
+        content: buildCsv(headers, rows),
+        count: rows.length
+    };
+}
+
+/* ==========================================================================
+   IMPORTAÇÃO
+   ========================================================================== */
+
+// Colunas aceitas em cada tipo de importação, na ordem usada quando o arquivo não tem cabeçalho.
+// Os apelidos são comparados sem acentos e sem diferenciar maiúsculas.
+const IMPORT_COLUMNS = {
+    clients: [
+        { field: 'name', aliases: ['nome', 'name', 'cliente'] },
+        { field: 'phone', aliases: ['telefone', 'phone', 'celular', 'fone', 'whatsapp'] },
+        { field: 'creditLimit', aliases: ['limite', 'limit', 'limite de fiado', 'credit limit'] }
+    ],
+    products: [
+        { field: 'name', aliases: ['nome', 'name', 'produto'] },
+        { field: 'price', aliases: ['preco', 'price', 'valor'] },
+        { field: 'category', aliases: ['categoria', 'category'] }
+    ]
+};
+
+/**
+ * Lê um texto CSV e devolve as linhas como listas de campos
+ * Aceita ';' ou ',' como separador (detectado na primeira linha), campos entre aspas e BOM
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<Array<string>>} Linhas não vazias com seus campos
+ */
+export function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const separator = firstLine.split(';').length >= firstLine.split(',').length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Identifica a posição de cada coluna a partir do cabeçalho (ou usa a ordem padrão)
+ * @param {Array<string>} firstRow - Primeira linha do arquivo
+ * @param {Array} columns - Colunas aceitas (IMPORT_COLUMNS)
+ * @returns {Object} { hasHeader, indexes: { campo: posição } }
+ */
+function mapImportColumns(firstRow, columns) {
+    const normalizedCells = firstRow.map(normalizeText);
+    const indexes = {};
+
+    columns.forEach(column => {
+        const index = normalizedCells.findIndex(cell => column.aliases.includes(cell));
+        if (index !== -1) {
+            indexes[column.field] = index;
+        }
+    });
+
+    if (Object.keys(indexes).length > 0) {
+        return { hasHeader: true, indexes };
+    }
+
+    columns.forEach((column, index) => {
+        indexes[column.field] = index;
+    });
+
+    return { hasHeader: false, indexes };
+}
+
+/**
+ * Converte um valor monetário escrito em planilha para o formato aceito por validatePrice
+ * (remove "R$" e o ponto de milhar quando o decimal usa vírgula: "R$ 1.234,50" → "1234,50")
+ * @param {string} value - Valor como veio do arquivo
+ * @returns {string} Valor normalizado
+ */
+function normalizeMoneyField(value) {
+    const text = value.replace(/R\$\s*/i, '').trim();
+    return text.includes(',') ? text.replace(/\./g, '') : text;
+}
+
+/**
+ * Valida uma linha de importação de cliente
+ * @param {Object} raw - Campos brutos {name, phone, creditLimit}
+ * @returns {Object} { data, errors }
+ */
+function validateClientRow(raw) {
+    const errors = [];
+    const data = { name: raw.name.trim(), phone: '', creditLimit: null };
+
+    const nameValidation = validateName(raw.name);
+    if (!nameValidation.isValid) {
+        errors.push(nameValidation.message);
+    }
+
+    const phoneValidation = validatePhone(raw.phone);
+    if (phoneValidation.isValid) {
+        data.phone = phoneValidation.formatted;
+    } else {
+        errors.push(phoneValidation.message);
+    }
+
+    if (raw.creditLimit.trim() !== '') {
+        const limitValidation = validatePrice(normalizeMoneyField(raw.creditLimit));
+        if (limitValidation.isValid) {
+            data.creditLimit = limitValidation.value;
+        } else {
+            errors.push(`Limite: ${limitValidation.message}`);
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Valida uma linha de importação de produto
+ * @param {Object} raw - Campos brutos {name, price, category}
+ * @returns {Object} { data, errors }
+ */
+function validateProductRow(raw) {
+    const errors = [];
+    const data = { name: raw.name.trim(), price: 0, category: raw.category.trim() };
+
+    const nameValidation = validateName(raw.name);
+    if (!nameValidation.isValid) {
+        errors.push(nameValidation.message);
+    }
+
+    if (raw.price.trim() === '') {
+        errors.push('Preço é obrigatório');
+    } else {
+        const priceValidation = validatePrice(normalizeMoneyField(raw.price));
+        if (priceValidation.isValid) {
+            data.price = priceValidation.value;
+        } else {
+            errors.push(priceValidation.message);
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Lê um CSV de clientes ou produtos e monta a pré-visualização da importação
+ * Cada linha é validada e comparada (pelo nome, sem acentos) com os cadastros
+ * existentes e com as linhas anteriores do próprio arquivo
+ * @param {string} type - 'clients' ou 'products'
+ * @param {string} text - Conteúdo do arquivo
+ * @param {Array} existingRecords - Clientes ou produtos já cadastrados (inclusive arquivados)
+ * @returns {Object} { type, rows: [{ line, data, errors, duplicateOf }] }
+ */
+export function prepareImport(type, text, existingRecords) {
+    const columns = IMPORT_COLUMNS[type];
+
+    if (!columns) {
+        throw new Error(`Tipo de importação inválido: ${type}`);
+    }
+
+    const csvRows = parseCsv(text);
+
+    if (csvRows.length === 0) {
+        throw new Error('Arquivo vazio');
+    }
+
+    const { hasHeader, indexes } = mapImportColumns(csvRows[0], columns);
+    const validateRow = type === 'clients' ? validateClientRow : validateProductRow;
+
+    // Nomes já vistos: cadastros existentes e linhas válidas anteriores do arquivo
+    const seenNames = new Map(existingRecords.map(record => [
+        normalizeText(record.name),
+        record.archived ? `${record.name} (arquivado)` : record.name
+    ]));
+
+    const rows = csvRows.slice(hasHeader ? 1 : 0).map((cells, index) => {
+        const raw = {};
+        columns.forEach(column => {
+            const cellIndex = indexes[column.field];
+            raw[column.field] = cellIndex !== undefined && cells[cellIndex] !== undefined ? cells[cellIndex] : '';
+        });
+
+        const { data, errors } = validateRow(raw);
+        const key = normalizeText(data.name);
+        const duplicateOf = errors.length === 0 && seenNames.has(key) ? seenNames.get(key) : null;
+
+        if (errors.length === 0 && !duplicateOf) {
+            seenNames.set(key, `${data.name} (linha ${index + (hasHeader ? 2 : 1)})`);
+        }
+
+        return {
+            line: index + (hasHeader ? 2 : 1),
+            data,
+            errors,
+            duplicateOf
+        };
+    });
+
+    return { type, rows };
+}
+
+/**
+ * Seleciona as linhas que serão gravadas na importação
+ * @param {Object} preview - Resultado de prepareImport
+ * @param {boolean} [includeDuplicates=false] - true para importar também os prováveis duplicados
+ * @returns {Array} Dados das linhas válidas
+ */
+export function getImportableRows(preview, includeDuplicates = false) {
+    return preview.rows
+        .filter(row => row.errors.length === 0 && (includeDuplicates || !row.duplicateOf))
+        .map(row => row.data);
+}
+
+/**
+ * Grava as linhas válidas de uma importação em uma única transação
+ * @param {Object} preview - Resultado de prepareImport
+ * @param {boolean} [includeDuplicates=false] - true para importar também os prováveis duplicados
+ * @returns {Promise<number>} Quantidade de registros criados
+ */
+export async function commitImport(preview, includeDuplicates = false) {
+    const rows = getImportableRows(preview, includeDuplicates);
+
+    if (rows.length === 0) {
+        throw new Error('Nenhuma linha válida para importar');
+    }
+
+    return preview.type === 'clients'
+        ? Store.bulkAddClients(rows)
+        : Store.bulkAddProducts(rows);
+}
+
+console.log('CSV Service Module (csv-service.js) carregado.');
@@ -6,7 +6,17 @@
 import * as Store from './store.js';
 import * as UI from './ui.js';
 import * as OCRService from './ocr-service.js';
-import { formatCurrency, validateName, validatePrice, validatePhone } from './utils.js';
+import * as BackupService from './backup-service.js';
+import * as CsvService from './csv-service.js';
+import * as ReceiptService from './receipt-service.js';
+import * as PixService from './pix-service.js';
+import * as ReportService from './report-service.js';
+import * as OperatorService from './operator-service.js';
+import * as CryptoService from './crypto-service.js';
+import {
+    formatCurrency, formatDate, roundCurrency, getCreditStatus, getTransactionEffect, buildRunningBalance,
+    fillTemplate, buildWhatsAppLink, validateName, validatePrice, validatePhone, parseDateInput, toDateInputValue
+} from './utils.js';
 
 /* ==========================================================================
    ESTADO DA APLICAÇÃO
@@ -16,10 +26,33 @@ import { formatCurrency, validateName, validatePrice, validatePhone } from './ut
 let appState = {
     clients: [],
     products: [],
+    balances: {},
+    settings: { ...Store.DEFAULT_SETTINGS },
+    recentClientIds: [], // Clientes com lançamentos mais recentes (aparecem primeiro na busca)
+    clientsActivity: {}, // Datas da última compra/pagamento por cliente (lista de clientes)
     currentClient: null,
+    statement: null, // Período e paginação do extrato exibido
+    statementRequest: 0, // Incrementado a cada recarga do extrato, descarta páginas atrasadas
+    pendingBackup: null, // Backup validado aguardando confirmação de restauração
+    pendingImport: null, // Prévia de importação de CSV aguardando confirmação
+    pendingPixCharge: null, // Cobrança Pix aberta no modal de cobrança
+    currentReport: null, // Último fechamento gerado na página de relatórios
+    operators: [], // Atendentes cadastrados (vazio = aplicativo sem PIN)
+    pinAttempts: 0, // PINs errados seguidos no modal de entrada
+    pinLockedUntil: 0, // Timestamp até quando a entrada fica bloqueada
+    encryptionEnabled: false, // Frase-senha ativa (dados pessoais cifrados e bloqueio por inatividade)
+    lastActivityAt: Date.now(), // Último toque ou tecla, para o bloqueio por inatividade
+    onUnlock: null, // Continua a inicialização quando o aplicativo abre bloqueado
     isLoading: false
 };
 
+// Após MAX_PIN_ATTEMPTS PINs errados seguidos, a entrada fica bloqueada por PIN_LOCK_MS
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MS = 30000;
+
+// Intervalo da verificação de inatividade
+const IDLE_CHECK_MS = 15000;
+
 /* ==========================================================================
    INICIALIZAÇÃO DA APLICAÇÃO
    ========================================================================== */
@@ -40,11 +73,21 @@ async function init() {
         // Configurar formulários
         setupForms();
         
+        // Configurar envio de recibos para impressora térmica
+        setupReceiptTransports();
+        
+        // Com a frase-senha ativa, os dados só são lidos depois do desbloqueio
+        await unlockAtStartup();
+        
         // Carregar dados iniciais
         await loadInitialData();
         
-        // Renderizar tela inicial (lançamento)
-        UI.renderLaunchScreen(appState.clients, appState.products);
+        // Com atendentes cadastrados, pedir quem está usando antes de lançar
+        syncOperatorSession();
+        
+        // Deixar a tela de lançamento pronta e renderizar a tela inicial (painel)
+        UI.renderLaunchScreen(appState.clients, appState.products, buildCreditInfo(), appState.recentClientIds);
+        await refreshDashboard();
         
         // Mostrar informações do banco
         const dbInfo = await Store.getDatabaseInfo();
@@ -90,15 +133,23 @@ async function loadInitialData() {
         
         console.log('📥 Carregando dados iniciais...');
         
-        // Carregar clientes e produtos em paralelo
-        const [clients, products] = await Promise.all([
+        // Carregar clientes, produtos, saldos, configurações, clientes recentes e atendentes em paralelo
+        const [clients, products, balances, settings, recentClientIds, operators] = await Promise.all([
             Store.getAllClients(),
-            Store.getAllProducts()
+            Store.getAllProducts(),
+            Store.getAllClientBalances(),
+            Store.getSettings(),
+            Store.getRecentClientIds(),
+            Store.getAllOperators()
         ]);
         
         // Atualizar estado da aplicação
         appState.clients = clients;
         appState.products = products;
+        appState.balances = balances;
+        appState.settings = settings;
+        appState.recentClientIds = recentClientIds;
+        appState.operators = operators;
         
         console.log(`✅ Dados carregados: ${clients.length} clientes, ${products.length} produtos`);
         
@@ -118,7 +169,8 @@ async function loadInitialData() {
  * Configura sistema de navegação entre páginas
  */
 function setupNavigation() {
-    const navButtons = document.querySelectorAll('.nav-btn');
+    // Botões da barra inferior e atalhos internos (ex: "Arquivados")
+    const navButtons = document.querySelectorAll('.nav-btn, .nav-link');
     
     navButtons.forEach(button => {
         button.addEventListener('click', async (e) => {
@@ -142,22 +194,44 @@ async function handlePageNavigation(pageId) {
         setLoading(true);
         
         switch (pageId) {
+            case 'page-painel':
+                // Recalcular os indicadores do painel
+                await refreshDashboard();
+                break;
+                
             case 'page-lancamento':
                 // Recarregar dados para lançamento
                 await loadInitialData();
-                UI.renderLaunchScreen(appState.clients, appState.products);
+                UI.renderLaunchScreen(appState.clients, appState.products, buildCreditInfo(), appState.recentClientIds);
                 break;
                 
             case 'page-clientes':
                 // Carregar e renderizar lista de clientes
-                appState.clients = await Store.getAllClients();
-                UI.renderClientList(appState.clients);
+                await refreshClientList();
                 break;
                 
             case 'page-produtos':
                 // Carregar e renderizar lista de produtos
-                appState.products = await Store.getAllProducts();
-                UI.renderProductList(appState.products);
+                await refreshProductList();
+                break;
+                
+            case 'page-arquivados':
+                // Carregar clientes e produtos para listar os arquivados
+                await loadInitialData();
+                UI.renderArchivedLists(appState.clients, appState.products);
+                break;
+                
+            case 'page-relatorios':
+                // Gerar o fechamento do período escolhido (padrão: hoje) e a idade das dívidas
+                await refreshReport();
+                UI.renderAgingReport(await ReportService.buildAgingReport());
+                break;
+                
+            case 'page-ajustes':
+                // Carregar configurações atuais no formulário
+                appState.settings = await Store.getSettings();
+                UI.renderSettingsForm(appState.settings);
+                await refreshOperatorList();
                 break;
         }
         
@@ -183,20 +257,123 @@ function setupForms() {
     setupClientForm();
     setupProductForm();
     setupLaunchForm();
+    setupPaymentForm();
+    setupPixModal();
+    setupPrintForm();
+    setupReportHandlers();
+    setupStatementFilter();
+    setupStockEntryForm();
+    setupSettingsForm();
+    setupOperatorHandlers();
+    setupSecurityHandlers();
+    setupBackupHandlers();
+    setupCsvExportHandlers();
+    setupCsvImportHandlers();
     setupOcrHandlers(); // Adicionar setup para OCR
     
     console.log('📝 Formulários configurados');
 }
 
+/**
+ * Configura o modal de entrada dos atendentes e o cadastro de atendentes
+ */
+function setupOperatorHandlers() {
+    const operatorBtn = document.getElementById('operator-btn');
+    const loginForm = document.getElementById('operator-login-form');
+    const closeBtn = document.getElementById('close-operator-btn');
+    const operatorForm = document.getElementById('operator-form');
+    const cancelEditBtn = document.getElementById('cancel-operator-edit-btn');
+    
+    // Troca rápida de atendente pelo cabeçalho
+    if (operatorBtn) {
+        operatorBtn.addEventListener('click', () => {
+            UI.showOperatorModal(appState.operators, !Store.getCurrentOperator());
+        });
+    }
+    
+    if (loginForm) {
+        loginForm.addEventListener('submit', handleOperatorLogin);
+    }
+    
+    if (closeBtn) {
+        closeBtn.addEventListener('click', UI.hideOperatorModal);
+    }
+    
+    if (operatorForm) {
+        operatorForm.addEventListener('submit', handleOperatorSubmit);
+    }
+    
+    if (cancelEditBtn) {
+        cancelEditBtn.addEventListener('click', UI.resetOperatorForm);
+    }
+}
+
+/**
+ * Configura a tela de bloqueio, o bloqueio por inatividade e o cartão de proteção dos dados
+ */
+function setupSecurityHandlers() {
+    const unlockForm = document.getElementById('unlock-form');
+    const lockBtn = document.getElementById('lock-btn');
+    const securityForm = document.getElementById('security-form');
+    const disableBtn = document.getElementById('disable-encryption-btn');
+    
+    if (unlockForm) {
+        unlockForm.addEventListener('submit', handleUnlockSubmit);
+    }
+    
+    if (lockBtn) {
+        lockBtn.addEventListener('click', lockApp);
+    }
+    
+    if (securityForm) {
+        securityForm.addEventListener('submit', handleSecuritySubmit);
+    }
+    
+    if (disableBtn) {
+        disableBtn.addEventListener('click', handleDisableEncryption);
+    }
+    
+    // Qualquer toque ou tecla conta como uso
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+        document.addEventListener(type, () => {
+            appState.lastActivityAt = Date.now();
+        }, { passive: true });
+    });
+    
+    // Ao voltar para o aplicativo, bloquear na hora se passou do tempo
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            checkIdleLock();
+        }
+    });
+    
+    setInterval(checkIdleLock, IDLE_CHECK_MS);
+}
+
 /**
  * Configura formulário de clientes
  */
 function setupClientForm() {
     const clientForm = document.getElementById('add-client-form');
+    const cancelEditBtn = document.getElementById('cancel-client-edit-btn');
     
     if (clientForm) {
         clientForm.addEventListener('submit', handleClientSubmit);
     }
+    
+    if (cancelEditBtn) {
+        cancelEditBtn.addEventListener('click', UI.resetClientForm);
+    }
+    
+    // Ordenação e filtro da lista reaproveitam os saldos já calculados
+    ['client-sort', 'client-filter'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => {
+                UI.renderClientList(appState.clients, buildCreditInfo(), appState.clientsActivity);
+            });
+        }
+    });
 }
 
 /**
@@ -204,10 +381,15 @@ function setupClientForm() {
  */
 function setupProductForm() {
     const productForm = document.getElementById('add-product-form');
+    const cancelEditBtn = document.getElementById('cancel-product-edit-btn');
     
     if (productForm) {
         productForm.addEventListener('submit', handleProductSubmit);
     }
+    
+    if (cancelEditBtn) {
+        cancelEditBtn.addEventListener('click', UI.resetProductForm);
+    }
 }
 
 /**
@@ -217,6 +399,8 @@ function setupLaunchForm() {
     const confirmBtn = document.getElementById('confirm-launch-btn');
     const cancelBtn = document.getElementById('cancel-launch-btn');
     
+    UI.setupClientPicker();
+    
     if (confirmBtn) {
         confirmBtn.addEventListener('click', handleLaunchConfirm);
     }
@@ -226,12 +410,215 @@ function setupLaunchForm() {
     }
 }
 
+/**
+ * Configura o modal de registro de pagamento
+ */
+function setupPaymentForm() {
+    const paymentForm = document.getElementById('payment-form');
+    const cancelBtn = document.getElementById('cancel-payment-btn');
+    
+    if (paymentForm) {
+        paymentForm.addEventListener('submit', handlePaymentSubmit);
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', UI.hidePaymentModal);
+    }
+    
+    const pixBtn = document.getElementById('payment-pix-btn');
+    const chargeSelect = document.getElementById('payment-pix-charge');
+    const amountInput = document.getElementById('payment-amount');
+    
+    if (pixBtn) {
+        pixBtn.addEventListener('click', handlePaymentPixClick);
+    }
+    
+    if (chargeSelect) {
+        chargeSelect.addEventListener('change', handlePaymentChargeChange);
+    }
+    
+    // O QR gerado vale só para o valor em que foi gerado
+    if (amountInput) {
+        amountInput.addEventListener('input', UI.clearPaymentPixCharge);
+    }
+}
+
+/**
+ * Configura o modal de cobrança Pix
+ */
+function setupPixModal() {
+    const registerBtn = document.getElementById('pix-register-payment-btn');
+    const closeBtn = document.getElementById('close-pix-btn');
+    
+    if (registerBtn) {
+        registerBtn.addEventListener('click', handlePixRegisterPayment);
+    }
+    
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            appState.pendingPixCharge = null;
+            UI.hidePixModal();
+        });
+    }
+}
+
+/**
+ * Configura o modal de impressão do extrato
+ */
+function setupPrintForm() {
+    const printForm = document.getElementById('print-form');
+    const cancelBtn = document.getElementById('cancel-print-btn');
+    
+    if (printForm) {
+        printForm.addEventListener('submit', handlePrintSubmit);
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', UI.hidePrintModal);
+    }
+}
+
+/**
+ * Configura o formulário e os botões da página de relatórios
+ */
+function setupReportHandlers() {
+    const reportForm = document.getElementById('report-form');
+    const exportBtn = document.getElementById('export-report-btn');
+    const printBtn = document.getElementById('print-report-btn');
+    
+    if (reportForm) {
+        reportForm.addEventListener('submit', handleReportSubmit);
+        
+        // Período padrão: o dia de hoje
+        const today = toDateInputValue(Date.now());
+        document.getElementById('report-start-date').value = today;
+        document.getElementById('report-end-date').value = today;
+    }
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            if (appState.currentReport) {
+                downloadCsv(ReportService.exportReportCsv(appState.currentReport));
+            }
+        });
+    }
+    
+    if (printBtn) {
+        printBtn.addEventListener('click', handlePrintReport);
+    }
+}
+
+/**
+ * Configura formulário de entrada de mercadoria
+ */
+function setupStockEntryForm() {
+    const stockEntryForm = document.getElementById('stock-entry-form');
+    
+    if (stockEntryForm) {
+        stockEntryForm.addEventListener('submit', handleStockEntrySubmit);
+    }
+}
+
+/**
+ * Configura exportação e restauração de backup
+ */
+function setupBackupHandlers() {
+    const exportBtn = document.getElementById('export-backup-btn');
+    const fileInput = document.getElementById('import-backup-input');
+    const confirmBtn = document.getElementById('confirm-restore-btn');
+    const cancelBtn = document.getElementById('cancel-restore-btn');
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', handleExportBackup);
+    }
+    
+    if (fileInput) {
+        fileInput.addEventListener('change', handleBackupFileSelected);
+    }
+    
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', handleRestoreConfirm);
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            appState.pendingBackup = null;
+            UI.hideBackupPreview();
+        });
+    }
+    
+    const recalculateBtn = document.getElementById('recalculate-balances-btn');
+    if (recalculateBtn) {
+        recalculateBtn.addEventListener('click', handleRecalculateBalances);
+    }
+}
+
+/**
+ * Configura os botões e o formulário de exportação em CSV
+ */
+function setupCsvExportHandlers() {
+    const exportForm = document.getElementById('export-transactions-form');
+    const balancesBtn = document.getElementById('export-balances-btn');
+    
+    if (exportForm) {
+        exportForm.addEventListener('submit', handleExportTransactionsSubmit);
+        
+        // Período padrão: do primeiro dia do mês até hoje
+        const today = new Date();
+        document.getElementById('export-start-date').value =
+            toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1).getTime());
+        document.getElementById('export-end-date').value = toDateInputValue(today.getTime());
+    }
+    
+    if (balancesBtn) {
+        balancesBtn.addEventListener('click', () => downloadCsv(CsvService.exportClientBalancesCsv()));
+    }
+}
+
+/**
+ * Configura a importação de clientes e produtos por CSV
+ */
+function setupCsvImportHandlers() {
+    const fileInput = document.getElementById('import-csv-input');
+    const typeSelect = document.getElementById('import-type');
+    const confirmBtn = document.getElementById('confirm-import-btn');
+    const cancelBtn = document.getElementById('cancel-import-btn');
+    
+    if (fileInput) {
+        fileInput.addEventListener('change', handleImportFileSelected);
+    }
+    
+    if (typeSelect) {
+        // Trocar o tipo invalida a prévia montada para o tipo anterior
+        typeSelect.addEventListener('change', cancelImport);
+    }
+    
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', handleImportConfirm);
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', cancelImport);
+    }
+}
+
+/**
+ * Configura formulário de configurações
+ */
+function setupSettingsForm() {
+    const settingsForm = document.getElementById('settings-form');
+    
+    if (settingsForm) {
+        settingsForm.addEventListener('submit', handleSettingsSubmit);
+    }
+}
+
 /* ==========================================================================
    MANIPULADORES DE EVENTOS DE FORMULÁRIOS
    ========================================================================== */
 
 /**
- * Manipula submissão do formulário de cliente
+ * Manipula submissão do formulário de cliente (cadastro ou edição)
  */
 async function handleClientSubmit(e) {
     e.preventDefault();
@@ -240,11 +627,17 @@ async function handleClientSubmit(e) {
         setLoading(true);
         
         // Obter dados do formulário
+        const editIdInput = document.getElementById('client-edit-id');
         const nameInput = document.getElementById('client-name');
+        const nicknameInput = document.getElementById('client-nickname');
         const phoneInput = document.getElementById('client-phone');
+        const limitInput = document.getElementById('client-credit-limit');
         
+        const editId = parseInt(editIdInput.value);
         const name = nameInput.value.trim();
+        const nickname = nicknameInput.value.trim();
         const phone = phoneInput.value.trim();
+        const limit = limitInput.value.trim();
         
         // Validar dados
         const nameValidation = validateName(name);
@@ -263,31 +656,55 @@ async function handleClientSubmit(e) {
             }
         }
         
-        // Adicionar cliente
-        const clientId = await Store.addClient({ name, phone });
+        // Limite vazio = usar o limite padrão das configurações
+        let creditLimit = null;
+        if (limit) {
+            const limitValidation = validatePrice(limit);
+            if (!limitValidation.isValid) {
+                UI.showToast(limitValidation.message, 'error');
+                limitInput.focus();
+                return;
+            }
+            creditLimit = limitValidation.value;
+        }
+        
+        if (editId) {
+            // Atualizar cliente existente
+            await Store.updateClient(editId, { name, nickname, phone, creditLimit });
+            UI.showToast(`Cliente "${name}" atualizado com sucesso!`, 'success');
+            console.log(`✅ Cliente atualizado: ${name} (ID: ${editId})`);
+        } else {
+            // Adicionar cliente
+            const clientId = await Store.addClient({ name, nickname, phone, creditLimit });
+            UI.showToast(`Cliente "${name}" adicionado com sucesso!`, 'success');
+            console.log(`✅ Cliente adicionado: ${name} (ID: ${clientId})`);
+        }
         
         // Atualizar estado e UI
-        appState.clients = await Store.getAllClients();
-        UI.renderClientList(appState.clients);
+        await refreshClientList();
         
         // Limpar formulário
-        nameInput.value = '';
-        phoneInput.value = '';
-        
-        UI.showToast(`Cliente "${name}" adicionado com sucesso!`, 'success');
-        
-        console.log(`✅ Cliente adicionado: ${name} (ID: ${clientId})`);
+        UI.resetClientForm();
         
     } catch (error) {
-        console.error('❌ Erro ao adicionar cliente:', error);
-        UI.showToast('Erro ao adicionar cliente', 'error');
+        console.error('❌ Erro ao salvar cliente:', error);
+        UI.showToast('Erro ao salvar cliente', 'error');
     } finally {
         setLoading(false);
     }
 }
 
 /**
- * Manipula submissão do formulário de produto
+ * Verifica se uma quantidade de estoque informada é vazia ou um inteiro não negativo
+ * @param {string} value - Valor do campo
+ * @returns {boolean} true se válida
+ */
+function isValidStockQty(value) {
+    return value === '' || /^\d+$/.test(value);
+}
+
+/**
+ * Manipula submissão do formulário de produto (cadastro ou edição)
  */
 async function handleProductSubmit(e) {
     e.preventDefault();
@@ -296,11 +713,19 @@ async function handleProductSubmit(e) {
         setLoading(true);
         
         // Obter dados do formulário
+        const editIdInput = document.getElementById('product-edit-id');
         const nameInput = document.getElementById('product-name');
         const priceInput = document.getElementById('product-price');
+        const categoryInput = document.getElementById('product-category');
+        const stockInput = document.getElementById('product-stock');
+        const minStockInput = document.getElementById('product-min-stock');
         
+        const editId = parseInt(editIdInput.value);
         const name = nameInput.value.trim();
         const price = priceInput.value;
+        const category = categoryInput.value.trim();
+        const stock = stockInput.value.trim();
+        const minStock = minStockInput.value.trim();
         
         // Validar dados
         const nameValidation = validateName(name);
@@ -317,27 +742,98 @@ async function handleProductSubmit(e) {
             return;
         }
         
-        // Adicionar produto
-        const productId = await Store.addProduct({ 
-            name, 
-            price: priceValidation.value 
-        });
+        if (!isValidStockQty(stock) || !isValidStockQty(minStock)) {
+            UI.showToast('Estoque deve ser um número inteiro não negativo', 'error');
+            (isValidStockQty(stock) ? minStockInput : stockInput).focus();
+            return;
+        }
+        
+        if (editId) {
+            // Atualizar produto existente (mudança de preço vai para o histórico;
+            // o estoque só muda por entradas e lançamentos)
+            await Store.updateProduct(editId, {
+                name,
+                price: priceValidation.value,
+                category,
+                minStock
+            });
+            
+            UI.showToast(`Produto "${name}" atualizado com sucesso!`, 'success');
+            console.log(`✅ Produto atualizado: ${name} - ${formatCurrency(priceValidation.value)} (ID: ${editId})`);
+        } else {
+            // Adicionar produto
+            const productId = await Store.addProduct({ 
+                name, 
+                price: priceValidation.value,
+                category,
+                stock,
+                minStock
+            });
+            
+            UI.showToast(`Produto "${name}" adicionado com sucesso!`, 'success');
+            console.log(`✅ Produto adicionado: ${name} - ${formatCurrency(priceValidation.value)} (ID: ${productId})`);
+        }
         
         // Atualizar estado e UI
-        appState.products = await Store.getAllProducts();
-        UI.renderProductList(appState.products);
+        await refreshProductList();
         
         // Limpar formulário
-        nameInput.value = '';
-        priceInput.value = '';
+        UI.resetProductForm();
+        
+    } catch (error) {
+        console.error('❌ Erro ao salvar produto:', error);
+        UI.showToast(error.message || 'Erro ao salvar produto', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Manipula submissão do formulário de entrada de mercadoria
+ */
+async function handleStockEntrySubmit(e) {
+    e.preventDefault();
+    
+    const productInput = document.getElementById('stock-entry-product');
+    const qtyInput = document.getElementById('stock-entry-qty');
+    const costInput = document.getElementById('stock-entry-cost');
+    const noteInput = document.getElementById('stock-entry-note');
+    
+    const productId = parseInt(productInput.value);
+    const qty = qtyInput.value.trim();
+    
+    if (!productId) {
+        UI.showToast('Selecione o produto recebido', 'error');
+        productInput.focus();
+        return;
+    }
+    
+    if (!/^\d+$/.test(qty) || parseInt(qty) === 0) {
+        UI.showToast('Quantidade deve ser um número inteiro maior que zero', 'error');
+        qtyInput.focus();
+        return;
+    }
+    
+    try {
+        setLoading(true);
+        
+        await Store.addStockEntry({
+            productId,
+            qty,
+            unitCost: costInput.value,
+            note: noteInput.value
+        });
         
-        UI.showToast(`Produto "${name}" adicionado com sucesso!`, 'success');
+        const product = appState.products.find(p => p.id === productId);
+        UI.showToast(`Entrada de ${qty} ${product ? product.name : 'itens'} registrada!`, 'success');
+        console.log(`📦 Entrada de estoque: produto ${productId}, +${qty}`);
         
-        console.log(`✅ Produto adicionado: ${name} - ${formatCurrency(priceValidation.value)} (ID: ${productId})`);
+        e.target.reset();
+        await refreshProductList();
         
     } catch (error) {
-        console.error('❌ Erro ao adicionar produto:', error);
-        UI.showToast('Erro ao adicionar produto', 'error');
+        console.error('❌ Erro ao registrar entrada de estoque:', error);
+        UI.showToast(error.message || 'Erro ao registrar entrada', 'error');
     } finally {
         setLoading(false);
     }
@@ -358,9 +854,6 @@ async function handleLaunchConfirm() {
             return;
         }
         
-        // Processar lançamento
-        await Store.addBatchTransaction(launchData);
-        
         // Obter nome do cliente
         const client = appState.clients.find(c => c.id === launchData.clientId);
         const clientName = client ? client.name : 'Cliente';
@@ -374,14 +867,40 @@ async function handleLaunchConfirm() {
             }
         });
         
-        // Limpar seleção
+        // Verificar limite de fiado com o saldo projetado
+        const limit = getEffectiveCreditLimit(client);
+        if (limit !== null) {
+            const balance = await Store.getClientBalance(launchData.clientId);
+            const projected = roundCurrency(balance + total);
+            
+            if (getCreditStatus(projected, limit) === 'over') {
+                const message = `${clientName} ficará com ${formatCurrency(projected)}, acima do limite de ${formatCurrency(limit)}.`;
+                
+                if (appState.settings.creditLimitMode === 'block') {
+                    UI.showToast(`Lançamento bloqueado: ${message}`, 'error');
+                    return;
+                }
+                
+                if (!confirm(`${message}\n\nDeseja lançar mesmo assim?`)) {
+                    return;
+                }
+            }
+        }
+        
+        // Processar lançamento
+        await Store.addBatchTransaction(launchData);
+        appState.balances = await Store.getAllClientBalances();
+        appState.recentClientIds = await Store.getRecentClientIds();
+        UI.populateClientSelector(appState.clients, buildCreditInfo(), appState.recentClientIds);
+        
+        // Recarregar produtos para refletir a baixa de estoque
+        // (re-renderizar a grade também limpa a seleção)
+        appState.products = await Store.getAllProducts();
+        UI.renderProductsGrid(appState.products);
         UI.clearProductSelection();
         
         // Reset seletor de cliente
-        const selectClient = document.getElementById('select-client');
-        if (selectClient) {
-            selectClient.value = '';
-        }
+        UI.selectClient('');
         
         UI.showToast(
             `Lançamento registrado para ${clientName}: ${formatCurrency(total)}`, 
@@ -399,38 +918,1182 @@ async function handleLaunchConfirm() {
 }
 
 /**
- * Manipula cancelamento do lançamento
+ * Manipula submissão do modal de pagamento
  */
-function handleLaunchCancel() {
-    UI.clearProductSelection();
+async function handlePaymentSubmit(e) {
+    e.preventDefault();
+    
+    const { clientId, amount, method, note, pixTxid } = UI.getPaymentFormData();
     
-    const selectClient = document.getElementById('select-client');
-    if (selectClient) {
-        selectClient.value = '';
+    const amountValidation = validatePrice(amount);
+    if (!amountValidation.isValid || amountValidation.value <= 0) {
+        UI.showToast(amountValidation.message || 'Informe um valor maior que zero', 'error');
+        document.getElementById('payment-amount').focus();
+        return;
     }
     
-    UI.showToast('Lançamento cancelado', 'warning');
-    console.log('❌ Lançamento cancelado pelo usuário');
+    UI.hidePaymentModal();
+    await registerPayment(clientId, amountValidation.value, method, note, pixTxid);
 }
 
-/* ==========================================================================
-   OPERAÇÕES DE EXTRATO E CLIENTES
-   ========================================================================== */
+/**
+ * Gera a cobrança Pix do valor digitado no modal de pagamento
+ */
+async function handlePaymentPixClick() {
+    const { clientId, amount } = UI.getPaymentFormData();
+    
+    const amountValidation = validatePrice(amount);
+    if (!amountValidation.isValid || amountValidation.value <= 0) {
+        UI.showToast(amountValidation.message || 'Informe um valor maior que zero', 'error');
+        document.getElementById('payment-amount').focus();
+        return;
+    }
+    
+    try {
+        const charge = await createPixCharge(clientId, amountValidation.value);
+        UI.setPaymentPixCharge(charge);
+    } catch (error) {
+        console.error('❌ Erro ao gerar cobrança Pix:', error);
+        UI.showToast(error.message || 'Erro ao gerar cobrança Pix', 'error');
+    }
+}
 
 /**
- * Exibe o extrato de um cliente
+ * Abre o registro de pagamento já vinculado à cobrança Pix do modal
+ */
+async function handlePixRegisterPayment() {
+    const charge = appState.pendingPixCharge;
+    if (!charge) return;
+    
+    appState.pendingPixCharge = null;
+    UI.hidePixModal();
+    await promptPayment(charge.clientId, charge.amount);
+    UI.setPaymentPixCharge(charge);
+}
+
+/**
+ * Abre o modal de pagamento com as cobranças Pix em aberto do cliente para escolha
  * @param {number} clientId - ID do cliente
+ * @param {number} [suggestedAmount] - Valor sugerido (ex: saldo devedor atual)
  */
-async function viewClientStatement(clientId) {
+async function promptPayment(clientId, suggestedAmount) {
+    let openCharges = [];
+    
     try {
-        setLoading(true);
+        openCharges = await getOpenPixCharges(clientId);
+    } catch (error) {
+        // Sem a lista, o pagamento ainda pode ser registrado normalmente
+        console.error('❌ Erro ao buscar cobranças Pix em aberto:', error);
+    }
+    
+    UI.showPaymentModal(clientId, suggestedAmount, openCharges);
+}
+
+/**
+ * Abre o registro de pagamento de uma cobrança Pix em aberto (lista do extrato)
+ * @param {string} txid - Identificador da cobrança
+ */
+async function payPixCharge(txid) {
+    try {
+        const charge = await Store.getPixChargeByTxid(txid);
         
-        console.log(`📋 Carregando extrato do cliente ${clientId}`);
+        if (!charge || charge.status === 'paid') {
+            UI.showToast('Cobrança Pix não está mais em aberto', 'warning');
+            return;
+        }
         
-        // Buscar dados do cliente
-        const [client, transactions, balance] = await Promise.all([
+        await promptPayment(charge.clientId, charge.amount);
+        UI.setPaymentPixCharge(toPixChargeView(charge));
+        
+    } catch (error) {
+        console.error('❌ Erro ao abrir cobrança Pix:', error);
+        UI.showToast(error.message || 'Erro ao abrir cobrança Pix', 'error');
+    }
+}
+
+/**
+ * Vincula ao pagamento a cobrança Pix em aberto escolhida no modal, com o valor dela
+ */
+async function handlePaymentChargeChange() {
+    const txid = document.getElementById('payment-pix-charge').value;
+    
+    if (!txid) {
+        UI.clearPaymentPixCharge();
+        return;
+    }
+    
+    try {
+        const charge = await Store.getPixChargeByTxid(txid);
+        
+        if (!charge || charge.status === 'paid') {
+            UI.clearPaymentPixCharge();
+            UI.showToast('Cobrança Pix não está mais em aberto', 'warning');
+            return;
+        }
+        
+        document.getElementById('payment-amount').value = charge.amount.toFixed(2);
+        UI.setPaymentPixCharge(toPixChargeView(charge));
+        
+    } catch (error) {
+        console.error('❌ Erro ao buscar cobrança Pix:', error);
+        UI.showToast(error.message || 'Erro ao buscar cobrança Pix', 'error');
+    }
+}
+
+/**
+ * Manipula submissão do formulário de configurações
+ */
+async function handleSettingsSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        setLoading(true);
+        
+        const values = UI.getSettingsFormData();
+        
+        // Limite vazio = sem limite padrão
+        if (values.defaultCreditLimit === '') {
+            values.defaultCreditLimit = null;
+        } else {
+            const limitValidation = validatePrice(values.defaultCreditLimit);
+            if (!limitValidation.isValid) {
+                UI.showToast(limitValidation.message, 'error');
+                return;
+            }
+            values.defaultCreditLimit = limitValidation.value;
+        }
+        
+        const phoneValidation = validatePhone(values.barPhone);
+        if (!phoneValidation.isValid) {
+            UI.showToast(phoneValidation.message, 'error');
+            return;
+        }
+        values.barPhone = phoneValidation.formatted;
+        
+        const pixKeyValidation = PixService.validatePixKey(values.pixKey);
+        if (!pixKeyValidation.isValid) {
+            UI.showToast(pixKeyValidation.message, 'error');
+            return;
+        }
+        values.pixKey = pixKeyValidation.value;
+        
+        values.receiptColumns = parseInt(values.receiptColumns);
+        
+        values.inactiveDays = parseInt(values.inactiveDays);
+        if (!(values.inactiveDays >= 1)) {
+            UI.showToast('Informe a quantidade de dias sem pagamento (1 ou mais)', 'error');
+            return;
+        }
+        
+        values.lockMinutes = parseInt(values.lockMinutes);
+        if (!(values.lockMinutes >= 1)) {
+            UI.showToast('Informe o tempo sem uso para bloquear, em minutos (1 ou mais)', 'error');
+            return;
+        }
+        
+        // Modelo vazio volta ao padrão
+        if (values.whatsappTemplate === '') {
+            values.whatsappTemplate = Store.DEFAULT_SETTINGS.whatsappTemplate;
+        }
+        
+        await Store.saveSettings(values);
+        appState.settings = await Store.getSettings();
+        
+        UI.showToast('Configurações salvas', 'success');
+        
+    } catch (error) {
+        console.error('❌ Erro ao salvar configurações:', error);
+        UI.showToast(error.message || 'Erro ao salvar configurações', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Manipula exportação das transações de um período em CSV
+ */
+async function handleExportTransactionsSubmit(e) {
+    e.preventDefault();
+    
+    const start = parseDateInput(document.getElementById('export-start-date').value);
+    const end = parseDateInput(document.getElementById('export-end-date').value, true);
+    
+    if (start === null || end === null) {
+        UI.showToast('Informe as datas do período', 'error');
+        return;
+    }
+    
+    if (start > end) {
+        UI.showToast('A data inicial deve ser anterior à final', 'error');
+        return;
+    }
+    
+    await downloadCsv(CsvService.exportTransactionsCsv(start, end));
+}
+
+/**
+ * Aguarda a geração de um CSV e baixa o arquivo
+ * @param {Promise<Object>} csvPromise - Promessa de { fileName, content, count }
+ */
+async function downloadCsv(csvPromise) {
+    try {
+        setLoading(true);
+        
+        const { fileName, content, count } = await csvPromise;
+        
+        if (count === 0) {
+            UI.showToast('Nada para exportar', 'warning');
+            return;
+        }
+        
+        UI.downloadFile(fileName, content, 'text/csv;charset=utf-8');
+        UI.showToast(`CSV exportado: ${count} linhas`, 'success');
+        console.log(`📄 CSV exportado: ${fileName} (${count} linhas)`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao exportar CSV:', error);
+        UI.showToast('Erro ao exportar CSV', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Lê o CSV escolhido e exibe a prévia da importação
+ * @param {Event} e - Evento de change do input de arquivo
+ */
+async function handleImportFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+        setLoading(true);
+        
+        const type = document.getElementById('import-type').value;
+        const existing = type === 'clients' ? await Store.getAllClients() : await Store.getAllProducts();
+        const preview = CsvService.prepareImport(type, await file.text(), existing);
+        
+        appState.pendingImport = preview;
+        UI.showImportPreview(preview);
+        
+    } catch (error) {
+        console.error('❌ Erro ao ler CSV de importação:', error);
+        cancelImport();
+        UI.showToast(error.message || 'Erro ao ler arquivo', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Grava as linhas válidas da prévia de importação
+ */
+async function handleImportConfirm() {
+    const preview = appState.pendingImport;
+    if (!preview) return;
+    
+    const includeDuplicates = document.getElementById('import-include-duplicates').checked;
+    
+    try {
+        setLoading(true);
+        
+        const count = await CsvService.commitImport(preview, includeDuplicates);
+        const label = preview.type === 'clients' ? 'clientes' : 'produtos';
+        
+        cancelImport();
+        await loadInitialData();
+        
+        UI.showToast(`${count} ${label} importados`, 'success');
+        console.log(`📥 Importação concluída: ${count} ${label}`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao importar CSV:', error);
+        UI.showToast(error.message || 'Erro ao importar', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Descarta a prévia de importação pendente
+ */
+function cancelImport() {
+    appState.pendingImport = null;
+    UI.hideImportPreview();
+}
+
+/**
+ * Gera o backup completo e baixa o arquivo JSON
+ */
+async function handleExportBackup() {
+    try {
+        setLoading(true);
+        
+        const backup = await BackupService.createBackup();
+        UI.downloadFile(BackupService.getBackupFileName(backup), JSON.stringify(backup));
+        
+        UI.showToast('Backup exportado', 'success');
+        console.log('💾 Backup exportado');
+        
+    } catch (error) {
+        console.error('❌ Erro ao exportar backup:', error);
+        UI.showToast(error.message || 'Erro ao exportar backup', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Valida o arquivo de backup escolhido e exibe o resumo antes de restaurar
+ * @param {Event} e - Evento de change do input de arquivo
+ */
+async function handleBackupFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+        setLoading(true);
+        
+        const backup = await BackupService.parseBackup(await file.text(), UI.getBackupPassphrase());
+        const diff = await BackupService.diffBackup(backup);
+        
+        appState.pendingBackup = backup;
+        UI.showBackupPreview(backup, diff);
+        
+    } catch (error) {
+        console.error('❌ Erro ao ler backup:', error);
+        appState.pendingBackup = null;
+        UI.hideBackupPreview();
+        UI.showToast(error.message || 'Erro ao ler arquivo de backup', 'error');
+    } finally {
+        // Permitir escolher o mesmo arquivo de novo (ex: depois de digitar a frase-senha)
+        e.target.value = '';
+        setLoading(false);
+    }
+}
+
+/**
+ * Restaura o backup validado no modo escolhido
+ */
+async function handleRestoreConfirm() {
+    const backup = appState.pendingBackup;
+    if (!backup) return;
+    
+    const mode = UI.getRestoreMode();
+    
+    if (mode === 'replace' && !confirm('Todos os dados atuais serão apagados e substituídos pelos do backup. Continuar?')) {
+        return;
+    }
+    
+    try {
+        setLoading(true);
+        
+        const written = await BackupService.restoreBackup(backup, mode);
+        
+        appState.pendingBackup = null;
+        UI.hideBackupPreview();
+        
+        // Recarregar tudo a partir do banco restaurado
+        await loadInitialData();
+        UI.renderSettingsForm(appState.settings);
+        await refreshOperatorList();
+        syncOperatorSession();
+        
+        UI.showToast(`Backup restaurado: ${written} registros gravados`, 'success');
+        console.log(`💾 Backup restaurado (${mode}): ${written} registros`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao restaurar backup:', error);
+        UI.showToast(error.message || 'Erro ao restaurar backup', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/* ==========================================================================
+   ATENDENTES (OPERADORES)
+   ========================================================================== */
+
+/**
+ * Confere o atendente logado com os cadastrados e pede a entrada se ninguém estiver logado
+ */
+function syncOperatorSession() {
+    const current = Store.getCurrentOperator();
+    const operator = current && appState.operators.find(op => op.id === current.id);
+    
+    // Atendente excluído (ou que sumiu numa restauração) perde a sessão
+    Store.setCurrentOperator(operator || null);
+    UI.renderOperatorBadge(Store.getCurrentOperator(), appState.operators.length > 0);
+    
+    if (appState.operators.length > 0 && !operator) {
+        UI.showOperatorModal(appState.operators, true);
+    }
+}
+
+/**
+ * Escolhe o atendente no modal e pede o PIN
+ * @param {number} operatorId - ID do atendente
+ */
+function chooseOperator(operatorId) {
+    const operator = appState.operators.find(op => op.id === operatorId);
+    
+    if (!operator) {
+        UI.showToast('Atendente não encontrado', 'error');
+        return;
+    }
+    
+    UI.showOperatorPinForm(operator);
+}
+
+/**
+ * Manipula a entrada do atendente com PIN
+ */
+async function handleOperatorLogin(e) {
+    e.preventDefault();
+    
+    const { operatorId, pin } = UI.getOperatorLoginData();
+    const operator = appState.operators.find(op => op.id === operatorId);
+    
+    if (!operator) {
+        UI.showToast('Atendente não encontrado', 'error');
+        return;
+    }
+    
+    const lockSeconds = Math.ceil((appState.pinLockedUntil - Date.now()) / 1000);
+    if (lockSeconds > 0) {
+        UI.showToast(`Muitos PINs errados. Tente de novo em ${lockSeconds}s`, 'warning');
+        return;
+    }
+    
+    try {
+        if (!await OperatorService.verifyPin(operator, pin)) {
+            appState.pinAttempts++;
+            
+            if (appState.pinAttempts >= MAX_PIN_ATTEMPTS) {
+                appState.pinAttempts = 0;
+                appState.pinLockedUntil = Date.now() + PIN_LOCK_MS;
+                UI.showToast(`Muitos PINs errados. Entrada bloqueada por ${PIN_LOCK_MS / 1000}s`, 'error');
+            } else {
+                UI.showToast('PIN incorreto', 'error');
+            }
+            
+            UI.clearOperatorLoginPin();
+            return;
+        }
+        
+        appState.pinAttempts = 0;
+        Store.setCurrentOperator(operator);
+        UI.renderOperatorBadge(operator, true);
+        UI.hideOperatorModal();
+        
+        // A lista de atendentes marca quem está logado
+        UI.renderOperatorList(appState.operators, operator);
+        
+        UI.showToast(`Olá, ${operator.name}!`, 'success');
+        console.log(`👤 Atendente logado: ${operator.name} (ID: ${operator.id})`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao conferir PIN:', error);
+        UI.showToast('Erro ao conferir PIN', 'error');
+    }
+}
+
+/**
+ * Manipula submissão do formulário de atendente (cadastro ou edição)
+ */
+async function handleOperatorSubmit(e) {
+    e.preventDefault();
+    
+    const { editId, name, pin, isAdmin } = UI.getOperatorFormData();
+    const operatorId = parseInt(editId);
+    
+    const nameValidation = validateName(name);
+    if (!nameValidation.isValid) {
+        UI.showToast(nameValidation.message, 'error');
+        return;
+    }
+    
+    // Na edição, PIN vazio mantém o PIN atual
+    if (pin || !operatorId) {
+        const pinValidation = OperatorService.validatePin(pin);
+        if (!pinValidation.isValid) {
+            UI.showToast(pinValidation.message, 'error');
+            return;
+        }
+    }
+    
+    try {
+        setLoading(true);
+        
+        const pinData = pin ? await OperatorService.hashPin(pin) : {};
+        
+        if (operatorId) {
+            await Store.updateOperator(operatorId, { name, isAdmin, ...pinData });
+            UI.showToast(`Atendente "${name}" atualizado com sucesso!`, 'success');
+            console.log(`✅ Atendente atualizado: ${name} (ID: ${operatorId})`);
+        } else {
+            const newId = await Store.addOperator({ name, isAdmin, ...pinData });
+            UI.showToast(`Atendente "${name}" adicionado com sucesso!`, 'success');
+            console.log(`✅ Atendente adicionado: ${name} (ID: ${newId})`);
+        }
+        
+        appState.operators = await Store.getAllOperators();
+        
+        // Quem cadastra o primeiro atendente já entra com ele (o administrador)
+        if (!Store.getCurrentOperator() && appState.operators.length === 1) {
+            Store.setCurrentOperator(appState.operators[0]);
+        }
+        
+        UI.renderOperatorBadge(Store.getCurrentOperator(), true);
+        await refreshOperatorList();
+        UI.resetOperatorForm();
+        
+    } catch (error) {
+        console.error('❌ Erro ao salvar atendente:', error);
+        UI.showToast(error.message || 'Erro ao salvar atendente', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Abre o formulário de atendente em modo de edição
+ * @param {number} operatorId - ID do atendente
+ */
+function editOperator(operatorId) {
+    const operator = appState.operators.find(op => op.id === operatorId);
+    
+    if (!operator) {
+        UI.showToast('Atendente não encontrado', 'error');
+        return;
+    }
+    
+    UI.fillOperatorForm(operator);
+}
+
+/**
+ * Pede confirmação e exclui um atendente
+ * O nome vem do estado, não do HTML: nomes com aspas quebrariam o onclick
+ * @param {number} operatorId - ID do atendente
+ */
+function confirmDeleteOperator(operatorId) {
+    const operator = appState.operators.find(op => op.id === operatorId);
+    
+    if (!operator) {
+        UI.showToast('Atendente não encontrado', 'error');
+        return;
+    }
+    
+    if (confirm(`Excluir o atendente "${operator.name}"?\n\nOs lançamentos já feitos continuam no histórico.`)) {
+        deleteOperator(operatorId);
+    }
+}
+
+/**
+ * Exclui um atendente
+ * @param {number} operatorId - ID do atendente
+ */
+async function deleteOperator(operatorId) {
+    try {
+        setLoading(true);
+        
+        const operator = appState.operators.find(op => op.id === operatorId);
+        const operatorName = operator ? operator.name : 'Atendente';
+        
+        await Store.deleteOperator(operatorId);
+        
+        appState.operators = await Store.getAllOperators();
+        await refreshOperatorList();
+        
+        UI.showToast(`Atendente "${operatorName}" excluído com sucesso`, 'success');
+        console.log(`✅ Atendente excluído: ${operatorName} (ID: ${operatorId})`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao excluir atendente:', error);
+        UI.showToast(error.message || 'Erro ao excluir atendente', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Re-renderiza a lista de atendentes e o registro de ações da página de ajustes
+ */
+async function refreshOperatorList() {
+    const auditLog = await Store.getAuditLog();
+    
+    UI.renderOperatorList(appState.operators, Store.getCurrentOperator());
+    UI.renderAuditLog(auditLog);
+}
+
+/* ==========================================================================
+   BLOQUEIO E PROTEÇÃO DOS DADOS
+   ========================================================================== */
+
+/**
+ * Com a frase-senha ativa, mostra a tela de bloqueio e espera o desbloqueio
+ */
+async function unlockAtStartup() {
+    appState.encryptionEnabled = await Store.isEncryptionEnabled();
+    UI.renderSecurityStatus(appState.encryptionEnabled);
+    
+    if (!appState.encryptionEnabled || Store.isUnlocked()) {
+        return;
+    }
+    
+    console.log('🔒 Dados protegidos: aguardando frase-senha');
+    UI.showLockScreen();
+    
+    await new Promise(resolve => {
+        appState.onUnlock = resolve;
+    });
+}
+
+/**
+ * Manipula o desbloqueio com a frase-senha
+ */
+async function handleUnlockSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        if (!await Store.unlock(UI.getUnlockPassphrase())) {
+            UI.showUnlockError('Frase-senha incorreta');
+            return;
+        }
+        
+        appState.lastActivityAt = Date.now();
+        UI.hideLockScreen();
+        console.log('🔓 Aplicativo desbloqueado');
+        
+        // Abertura do aplicativo: continuar a inicialização; senão, recarregar o que o bloqueio descartou
+        if (appState.onUnlock) {
+            const resume = appState.onUnlock;
+            appState.onUnlock = null;
+            resume();
+        } else {
+            await reloadAfterUnlock();
+        }
+        
+    } catch (error) {
+        console.error('❌ Erro ao desbloquear:', error);
+        UI.showUnlockError('Erro ao desbloquear');
+    }
+}
+
+/**
+ * Bloqueia o aplicativo: a chave dos dados sai da memória
+ */
+function lockApp() {
+    if (!appState.encryptionEnabled || !Store.isUnlocked()) {
+        return;
+    }
+    
+    Store.lock();
+    
+    // Descartar os dados decifrados em memória e na tela; voltam no desbloqueio
+    appState.clients = [];
+    appState.currentClient = null;
+    appState.statement = null;
+    appState.statementRequest++;
+    appState.currentReport = null;
+    appState.pendingBackup = null;
+    appState.pendingImport = null;
+    appState.pendingPixCharge = null;
+    UI.clearSensitiveViews();
+    
+    UI.showLockScreen();
+    console.log('🔒 Aplicativo bloqueado');
+}
+
+/**
+ * Recarrega os dados descartados no bloqueio e re-renderiza as telas apagadas e a página atual
+ */
+async function reloadAfterUnlock() {
+    await loadInitialData();
+    UI.renderLaunchScreen(appState.clients, appState.products, buildCreditInfo(), appState.recentClientIds);
+    
+    await refreshDashboard();
+    await refreshReport();
+    UI.renderAgingReport(await ReportService.buildAgingReport());
+    await refreshOperatorList();
+    
+    // O extrato foi descartado no bloqueio: voltar para a lista de clientes
+    const activePage = document.querySelector('.page.active');
+    const pageId = activePage && activePage.id !== 'page-extrato' ? activePage.id : 'page-clientes';
+    
+    await handlePageNavigation(pageId);
+}
+
+/**
+ * Bloqueia o aplicativo se passou do tempo sem uso configurado
+ */
+function checkIdleLock() {
+    const lockMinutes = appState.settings.lockMinutes || Store.DEFAULT_SETTINGS.lockMinutes;
+    
+    if (Date.now() - appState.lastActivityAt >= lockMinutes * 60000) {
+        lockApp();
+    }
+}
+
+/**
+ * Manipula o cartão de proteção: ativa a proteção ou troca a frase-senha
+ */
+async function handleSecuritySubmit(e) {
+    e.preventDefault();
+    
+    const { current, next, confirm: repeated } = UI.getSecurityFormData();
+    
+    const passphraseValidation = CryptoService.validatePassphrase(next);
+    if (!passphraseValidation.isValid) {
+        UI.showToast(passphraseValidation.message, 'error');
+        return;
+    }
+    
+    if (next !== repeated) {
+        UI.showToast('As frases-senha digitadas não conferem', 'error');
+        return;
+    }
+    
+    if (!appState.encryptionEnabled && !confirm('Sem a frase-senha não há como abrir os dados nem os backups protegidos. Ativar a proteção?')) {
+        return;
+    }
+    
+    try {
+        setLoading(true);
+        
+        if (appState.encryptionEnabled) {
+            await Store.changePassphrase(current, next);
+            UI.showToast('Frase-senha trocada', 'success');
+        } else {
+            const count = await Store.enableEncryption(next);
+            UI.showToast(`Proteção ativada: ${count} registros cifrados`, 'success');
+        }
+        
+        appState.encryptionEnabled = true;
+        appState.lastActivityAt = Date.now();
+        UI.renderSecurityStatus(true);
+        UI.resetSecurityForm();
+        console.log('🔒 Proteção dos dados atualizada');
+        
+    } catch (error) {
+        console.error('❌ Erro ao salvar frase-senha:', error);
+        UI.showToast(error.message || 'Erro ao salvar frase-senha', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Desativa a proteção (os dados pessoais voltam a ser gravados em claro)
+ */
+async function handleDisableEncryption() {
+    const { current } = UI.getSecurityFormData();
+    
+    if (!current) {
+        UI.showToast('Digite a frase-senha atual para desativar', 'error');
+        return;
+    }
+    
+    if (!confirm('Os dados pessoais voltarão a ser gravados em claro e os backups sairão sem proteção. Desativar?')) {
+        return;
+    }
+    
+    try {
+        setLoading(true);
+        
+        await Store.disableEncryption(current);
+        
+        appState.encryptionEnabled = false;
+        UI.renderSecurityStatus(false);
+        UI.resetSecurityForm();
+        
+        UI.showToast('Proteção desativada', 'success');
+        console.log('🔓 Proteção dos dados desativada');
+        
+    } catch (error) {
+        console.error('❌ Erro ao desativar proteção:', error);
+        UI.showToast(error.message || 'Erro ao desativar proteção', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Recalcula os saldos gravados a partir do histórico e mostra as divergências corrigidas
+ */
+async function handleRecalculateBalances() {
+    try {
+        setLoading(true);
+        
+        const result = await Store.recalculateBalances();
+        appState.balances = await Store.getAllClientBalances();
+        UI.renderBalanceCheck(result);
+        
+        if (result.drifts.length === 0) {
+            UI.showToast(`${result.checked} saldos conferidos, nenhuma diferença`, 'success');
+        } else {
+            UI.showToast(`${result.drifts.length} saldos corrigidos`, 'warning');
+        }
+        
+        console.log(`🧮 Saldos conferidos: ${result.checked} clientes, ${result.drifts.length} divergências`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao recalcular saldos:', error);
+        UI.showToast('Erro ao recalcular saldos', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Monta o extrato do período escolhido e abre a impressão do navegador
+ */
+async function handlePrintSubmit(e) {
+    e.preventDefault();
+    
+    const { clientId, startDate, endDate } = UI.getPrintFormData();
+    const start = parseDateInput(startDate);
+    const end = parseDateInput(endDate, true);
+    
+    if (start === null || end === null) {
+        UI.showToast('Informe as datas do período', 'error');
+        return;
+    }
+    
+    if (start > end) {
+        UI.showToast('A data inicial deve ser anterior à final', 'error');
+        return;
+    }
+    
+    try {
+        setLoading(true);
+        
+        const [client, transactions, products, settings] = await Promise.all([
+            Store.getClientById(clientId),
+            Store.getTransactionsByClientId(clientId),
+            Store.getAllProducts(),
+            Store.getSettings()
+        ]);
+        
+        if (!client) {
+            UI.showToast('Cliente não encontrado', 'error');
+            return;
+        }
+        
+        // Tudo antes do período entra como saldo anterior
+        const openingBalance = roundCurrency(transactions
+            .filter(t => t.timestamp < start)
+            .reduce((sum, t) => sum + getTransactionEffect(t), 0));
+        
+        const periodTransactions = transactions.filter(t => t.timestamp >= start && t.timestamp <= end);
+        
+        UI.renderPrintStatement({
+            client,
+            settings,
+            startTimestamp: start,
+            endTimestamp: end,
+            openingBalance,
+            rows: buildRunningBalance(periodTransactions, openingBalance),
+            products
+        });
+        
+        UI.hidePrintModal();
+        console.log(`🖨️ Imprimindo extrato de ${client.name}`);
+        window.print();
+        
+    } catch (error) {
+        console.error('❌ Erro ao montar extrato para impressão:', error);
+        UI.showToast('Erro ao montar extrato', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Manipula a escolha do período do fechamento
+ */
+async function handleReportSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        setLoading(true);
+        await refreshReport();
+    } catch (error) {
+        console.error('❌ Erro ao gerar relatório:', error);
+        UI.showToast('Erro ao gerar relatório', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Recalcula e exibe os indicadores do painel inicial
+ */
+async function refreshDashboard() {
+    const settings = await Store.getSettings();
+    const dashboard = await ReportService.buildDashboard(settings.inactiveDays);
+    UI.renderDashboard(dashboard);
+}
+
+/**
+ * Gera o fechamento do período do formulário e exibe na página de relatórios
+ */
+async function refreshReport() {
+    const start = parseDateInput(document.getElementById('report-start-date').value);
+    const end = parseDateInput(document.getElementById('report-end-date').value, true);
+    
+    if (start === null || end === null) {
+        UI.showToast('Informe as datas do período', 'error');
+        return;
+    }
+    
+    if (start > end) {
+        UI.showToast('A data inicial deve ser anterior à final', 'error');
+        return;
+    }
+    
+    appState.currentReport = await ReportService.buildDailyReport(start, end);
+    UI.renderReport(appState.currentReport);
+}
+
+/**
+ * Imprime o último fechamento gerado
+ */
+async function handlePrintReport() {
+    if (!appState.currentReport) return;
+    
+    try {
+        const settings = await Store.getSettings();
+        UI.renderPrintReport(appState.currentReport, settings);
+        console.log(`🖨️ Imprimindo fechamento: ${appState.currentReport.periodLabel}`);
+        window.print();
+    } catch (error) {
+        console.error('❌ Erro ao montar fechamento para impressão:', error);
+        UI.showToast('Erro ao montar relatório', 'error');
+    }
+}
+
+/**
+ * Registra as formas de envio de recibos disponíveis neste navegador
+ */
+function setupReceiptTransports() {
+    ReceiptService.registerTransport(ReceiptService.createDownloadTransport(UI.downloadFile));
+    
+    const serialTransport = ReceiptService.createSerialTransport();
+    if (serialTransport) {
+        ReceiptService.registerTransport(serialTransport);
+    }
+}
+
+/**
+ * Envia um recibo pela forma configurada nos ajustes
+ * @param {Function} buildReceipt - Função async que monta o recibo com as configurações
+ */
+async function sendReceipt(buildReceipt) {
+    try {
+        setLoading(true);
+        
+        const settings = await Store.getSettings();
+        const receipt = await buildReceipt(settings);
+        
+        await ReceiptService.sendReceipt(receipt, settings.receiptTransport);
+        UI.showToast('Recibo enviado para impressão', 'success');
+        console.log(`🧾 Recibo gerado: ${receipt.fileName}`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao gerar recibo:', error);
+        UI.showToast(error.message || 'Erro ao gerar recibo', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Gera o recibo de uma comanda
+ * @param {number} launchId - ID da comanda
+ */
+function printLaunchReceipt(launchId) {
+    return sendReceipt(async settings => {
+        const launch = await Store.getLaunchById(launchId);
+        if (!launch) throw new Error('Comanda não encontrada');
+        
+        const [client, balance] = await Promise.all([
+            Store.getClientById(launch.clientId),
+            Store.getClientBalance(launch.clientId)
+        ]);
+        
+        return ReceiptService.buildLaunchReceipt({ launch, client, balance, settings });
+    });
+}
+
+/**
+ * Gera o recibo de um pagamento
+ * @param {number} transactionId - ID da transação de pagamento
+ */
+function printPaymentReceipt(transactionId) {
+    return sendReceipt(async settings => {
+        const payment = await Store.getTransactionById(transactionId);
+        if (!payment || payment.type !== 'payment') throw new Error('Pagamento não encontrado');
+        
+        const [client, balance] = await Promise.all([
+            Store.getClientById(payment.clientId),
+            Store.getClientBalance(payment.clientId)
+        ]);
+        
+        return ReceiptService.buildPaymentReceipt({ payment, client, balance, settings });
+    });
+}
+
+/**
+ * Gera o resumo da conta de um cliente para a impressora térmica
+ * @param {number} clientId - ID do cliente
+ */
+function printStatementReceipt(clientId) {
+    return sendReceipt(async settings => {
+        const [client, transactions] = await Promise.all([
+            Store.getClientById(clientId),
+            Store.getTransactionsByClientId(clientId)
+        ]);
+        if (!client) throw new Error('Cliente não encontrado');
+        
+        return ReceiptService.buildStatementSummaryReceipt({
+            client,
+            rows: buildRunningBalance(transactions),
+            settings
+        });
+    });
+}
+
+/**
+ * Abre o WhatsApp com o extrato resumido do cliente, a partir do modelo dos ajustes
+ * @param {number} clientId - ID do cliente
+ */
+async function sendStatementWhatsApp(clientId) {
+    try {
+        const [client, balance, recentDebits, products, settings] = await Promise.all([
+            Store.getClientById(clientId),
+            Store.getClientBalance(clientId),
+            Store.getRecentDebits(clientId, 5),
+            Store.getAllProducts(),
+            Store.getSettings()
+        ]);
+        
+        if (!client) {
+            UI.showToast('Cliente não encontrado', 'error');
+            return;
+        }
+        
+        const productsMap = products.reduce((acc, product) => {
+            acc[product.id] = product;
+            return acc;
+        }, {});
+        
+        // Últimos consumos que continuam valendo (sem estorno), mais recentes primeiro
+        const items = recentDebits
+            .map(t => {
+                const name = productsMap[t.productId] ? productsMap[t.productId].name : 'Produto removido';
+                return `• ${formatDate(t.timestamp).slice(0, 5)} ${t.qty}x ${name} - ${formatCurrency(t.total)}`;
+            });
+        
+        const message = fillTemplate(settings.whatsappTemplate, {
+            nome: client.name.split(' ')[0],
+            saldo: formatCurrency(balance),
+            itens: items.length > 0 ? items.join('\n') : '(nenhum consumo em aberto)',
+            bar: settings.barName || 'bar',
+            data: formatDate(Date.now()),
+            pagamento: settings.paymentInstructions
+        }).trim();
+        
+        const link = buildWhatsAppLink(client.phone, message);
+        
+        if (!link) {
+            UI.showToast('Cliente sem telefone válido para WhatsApp', 'error');
+            return;
+        }
+        
+        window.open(link, '_blank');
+        console.log(`💬 Extrato enviado por WhatsApp para ${client.name}`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao montar mensagem de WhatsApp:', error);
+        UI.showToast('Erro ao montar mensagem', 'error');
+    }
+}
+
+/**
+ * Monta a cobrança Pix para exibição, com o QR Code do "copia e cola"
+ * @param {Object} charge - Cobrança gravada {clientId, amount, txid, payload}
+ * @returns {Object} Cobrança {clientId, amount, txid, payload, svg}
+ */
+function toPixChargeView(charge) {
+    return {
+        clientId: charge.clientId,
+        amount: charge.amount,
+        txid: charge.txid,
+        payload: charge.payload,
+        svg: PixService.renderPixQr(charge.payload)
+    };
+}
+
+/**
+ * Busca as cobranças Pix de um cliente que ainda não foram pagas
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<Array>} Cobranças em aberto, mais recentes primeiro
+ */
+async function getOpenPixCharges(clientId) {
+    const charges = await Store.getPixChargesByClientId(clientId);
+    return charges.filter(charge => charge.status !== 'paid');
+}
+
+/**
+ * Gera e registra uma cobrança Pix para um cliente, com txid próprio
+ * Se o cliente já tem uma cobrança em aberto do mesmo valor (e com a mesma chave Pix), ela é reaproveitada
+ * @param {number} clientId - ID do cliente
+ * @param {number} amount - Valor cobrado
+ * @returns {Promise<Object>} Cobrança {clientId, amount, txid, payload, svg}
+ */
+async function createPixCharge(clientId, amount) {
+    const settings = await Store.getSettings();
+    
+    if (!settings.pixKey) {
+        throw new Error('Configure a chave Pix em Ajustes');
+    }
+    
+    const buildPayload = txid => PixService.buildPixPayload({
+        key: settings.pixKey,
+        name: settings.pixMerchantName || settings.barName,
+        city: settings.pixMerchantCity,
+        amount: amount,
+        txid: txid
+    });
+    
+    const openCharges = await getOpenPixCharges(clientId);
+    const reusable = openCharges.find(charge =>
+        charge.amount === roundCurrency(amount) && charge.payload === buildPayload(charge.txid)
+    );
+    
+    if (reusable) {
+        console.log(`⚡ Cobrança Pix reaproveitada: cliente ${clientId}, ${formatCurrency(amount)}, txid ${reusable.txid}`);
+        return toPixChargeView(reusable);
+    }
+    
+    const txid = PixService.generateTxid(clientId);
+    const payload = buildPayload(txid);
+    
+    await Store.addPixCharge({ txid, clientId, amount, payload });
+    console.log(`⚡ Cobrança Pix gerada: cliente ${clientId}, ${formatCurrency(amount)}, txid ${txid}`);
+    
+    return toPixChargeView({ clientId, amount: roundCurrency(amount), txid, payload });
+}
+
+/**
+ * Abre a cobrança Pix do saldo atual do cliente
+ * @param {number} clientId - ID do cliente
+ */
+async function showPixCharge(clientId) {
+    try {
+        const [client, balance] = await Promise.all([
             Store.getClientById(clientId),
-            Store.getTransactionsByClientId(clientId),
             Store.getClientBalance(clientId)
         ]);
         
@@ -439,11 +2102,152 @@ async function viewClientStatement(clientId) {
             return;
         }
         
+        if (balance <= 0) {
+            UI.showToast('Cliente sem saldo em aberto', 'warning');
+            return;
+        }
+        
+        const charge = await createPixCharge(clientId, balance);
+        appState.pendingPixCharge = charge;
+        UI.showPixModal(client, charge);
+        
+    } catch (error) {
+        console.error('❌ Erro ao gerar cobrança Pix:', error);
+        UI.showToast(error.message || 'Erro ao gerar cobrança Pix', 'error');
+    }
+}
+
+/**
+ * Manipula cancelamento do lançamento
+ */
+function handleLaunchCancel() {
+    UI.clearProductSelection();
+    UI.selectClient('');
+    
+    UI.showToast('Lançamento cancelado', 'warning');
+    console.log('❌ Lançamento cancelado pelo usuário');
+}
+
+/* ==========================================================================
+   OPERAÇÕES DE EXTRATO E CLIENTES
+   ========================================================================== */
+
+/**
+ * Abre o formulário de cliente em modo de edição
+ * @param {number} clientId - ID do cliente
+ */
+function editClient(clientId) {
+    const client = appState.clients.find(c => c.id === clientId);
+    
+    if (!client) {
+        UI.showToast('Cliente não encontrado', 'error');
+        return;
+    }
+    
+    UI.fillClientForm(client);
+}
+
+/**
+ * Abre o formulário de produto em modo de edição
+ * @param {number} productId - ID do produto
+ */
+function editProduct(productId) {
+    const product = appState.products.find(p => p.id === productId);
+    
+    if (!product) {
+        UI.showToast('Produto não encontrado', 'error');
+        return;
+    }
+    
+    UI.fillProductForm(product);
+}
+
+/**
+ * Recarrega clientes, saldos e datas de movimentação e re-renderiza a lista de clientes
+ */
+async function refreshClientList() {
+    const [clients, balances, activity] = await Promise.all([
+        Store.getAllClients(),
+        Store.getAllClientBalances(),
+        Store.getClientsActivity()
+    ]);
+    
+    appState.clients = clients;
+    appState.balances = balances;
+    appState.clientsActivity = activity;
+    UI.renderClientList(clients, buildCreditInfo(), activity);
+}
+
+/**
+ * Retorna o limite de fiado efetivo de um cliente
+ * @param {Object} client - Dados do cliente
+ * @returns {number|null} Limite próprio, limite padrão ou null (sem limite)
+ */
+function getEffectiveCreditLimit(client) {
+    if (client && client.creditLimit !== null && client.creditLimit !== undefined) {
+        return client.creditLimit;
+    }
+    
+    return appState.settings.defaultCreditLimit ?? null;
+}
+
+/**
+ * Monta saldo, limite e situação de cada cliente a partir do estado atual
+ * @returns {Object} Mapa clientId => {balance, limit, status}
+ */
+function buildCreditInfo() {
+    return appState.clients.reduce((acc, client) => {
+        const balance = appState.balances[client.id] || 0;
+        const limit = getEffectiveCreditLimit(client);
+        
+        acc[client.id] = {
+            balance,
+            limit,
+            status: getCreditStatus(balance, limit)
+        };
+        return acc;
+    }, {});
+}
+
+/**
+ * Recarrega produtos e histórico de preços e re-renderiza a lista de produtos
+ */
+async function refreshProductList() {
+    const [products, priceHistory] = await Promise.all([
+        Store.getAllProducts(),
+        Store.getPriceHistory()
+    ]);
+    
+    appState.products = products;
+    UI.renderProductList(products, priceHistory);
+    UI.renderRestockList(products);
+    UI.populateCategoryOptions(products);
+    UI.populateStockEntrySelector(products);
+}
+
+/**
+ * Exibe o extrato de um cliente
+ * @param {number} clientId - ID do cliente
+ */
+async function viewClientStatement(clientId) {
+    try {
+        setLoading(true);
+        
+        console.log(`📋 Carregando extrato do cliente ${clientId}`);
+        
+        // Buscar dados do cliente
+        const client = await Store.getClientById(clientId);
+        
+        if (!client) {
+            UI.showToast('Cliente não encontrado', 'error');
+            return;
+        }
+        
         // Armazenar cliente atual
         appState.currentClient = client;
         
         // Renderizar extrato
-        UI.renderClientStatement(client, transactions, appState.products, balance);
+        const balance = await refreshClientStatement(client);
         
         // Navegar para página de extrato
         UI.showPage('page-extrato');
@@ -458,6 +2262,235 @@ async function viewClientStatement(clientId) {
     }
 }
 
+/**
+ * Recarrega saldo e resumo do período e re-renderiza o extrato do cliente,
+ * carregando a primeira página de transações (as demais vêm ao rolar a lista)
+ * O período escolhido é mantido enquanto o mesmo cliente estiver aberto
+ * @param {Object} client - Dados do cliente
+ * @returns {Promise<number>} Saldo atual do cliente
+ */
+async function refreshClientStatement(client) {
+    if (!appState.statement || appState.statement.clientId !== client.id) {
+        appState.statement = { clientId: client.id, filter: 'tudo', startDate: '', endDate: '' };
+    }
+    
+    const statement = appState.statement;
+    const period = await resolveStatementPeriod(client.id, statement.filter, statement.startDate, statement.endDate);
+    
+    const [balance, summary, pixCharges] = await Promise.all([
+        Store.getClientBalance(client.id),
+        Store.getStatementSummary(client.id, period.start, period.end),
+        getOpenPixCharges(client.id)
+    ]);
+    
+    Object.assign(statement, period, { cursor: null, hasMore: true, loading: false });
+    appState.statementRequest++;
+    
+    UI.renderClientStatement(client, appState.products, balance, {
+        filter: statement.filter,
+        startDate: statement.startDate,
+        endDate: statement.endDate,
+        summary,
+        pixCharges
+    }, loadMoreStatement);
+    
+    if (summary.count > 0) {
+        await loadMoreStatement();
+    }
+    
+    return balance;
+}
+
+/**
+ * Carrega a próxima página de transações do extrato aberto
+ */
+async function loadMoreStatement() {
+    const statement = appState.statement;
+    
+    if (!statement || statement.loading || !statement.hasMore) return;
+    
+    const request = appState.statementRequest;
+    statement.loading = true;
+    
+    try {
+        const page = await Store.getStatementPage(statement.clientId, {
+            start: statement.start,
+            end: statement.end,
+            before: statement.cursor
+        });
+        
+        // O extrato foi recarregado (outro período ou cliente) enquanto a página vinha
+        if (request !== appState.statementRequest) return;
+        
+        statement.cursor = page.nextCursor;
+        statement.hasMore = page.hasMore;
+        UI.appendStatementPage(page);
+        
+    } catch (error) {
+        console.error('❌ Erro ao carregar mais transações:', error);
+        UI.showToast('Erro ao carregar mais transações', 'error');
+    } finally {
+        statement.loading = false;
+    }
+}
+
+/**
+ * Converte o filtro de período do extrato em limites de data
+ * @param {number} clientId - ID do cliente
+ * @param {string} filter - Chave de UI.STATEMENT_FILTERS
+ * @param {string} startDate - Início do período personalizado (AAAA-MM-DD)
+ * @param {string} endDate - Fim do período personalizado (AAAA-MM-DD)
+ * @returns {Promise<Object>} {start, end, startDate, endDate} - start/end null = sem limite
+ */
+async function resolveStatementPeriod(clientId, filter, startDate, endDate) {
+    const today = new Date();
+    const todayValue = toDateInputValue(today.getTime());
+    const firstOfMonth = new Date(today.getFullYear(), today.getMonth(), 1).getTime();
+    
+    switch (filter) {
+        case 'semana': {
+            // Semana começando na segunda-feira
+            const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7));
+            return { start: monday.getTime(), end: null, startDate: toDateInputValue(monday.getTime()), endDate: todayValue };
+        }
+        
+        case 'mes':
+            return { start: firstOfMonth, end: null, startDate: toDateInputValue(firstOfMonth), endDate: todayValue };
+        
+        case 'desde-quitacao': {
+            const settledAt = await Store.getLastSettlementTimestamp(clientId);
+            return {
+                start: settledAt === null ? null : settledAt + 1,
+                end: null,
+                startDate: settledAt === null ? '' : toDateInputValue(settledAt),
+                endDate: todayValue
+            };
+        }
+        
+        case 'personalizado': {
+            const start = parseDateInput(startDate);
+            const end = parseDateInput(endDate, true);
+            
+            // Datas não informadas: do primeiro dia do mês até hoje
+            return {
+                start: start ?? firstOfMonth,
+                end: end ?? parseDateInput(todayValue, true),
+                startDate: startDate || toDateInputValue(firstOfMonth),
+                endDate: endDate || todayValue
+            };
+        }
+        
+        default:
+            return { start: null, end: null, startDate: '', endDate: '' };
+    }
+}
+
+/**
+ * Configura o filtro de período do extrato (o formulário é recriado a cada renderização)
+ */
+function setupStatementFilter() {
+    const statementContent = document.getElementById('client-statement-content');
+    
+    if (!statementContent) return;
+    
+    statementContent.addEventListener('change', (e) => {
+        if (e.target.id === 'statement-filter') {
+            applyStatementFilter(e.target.value);
+        }
+    });
+    
+    statementContent.addEventListener('submit', (e) => {
+        if (e.target.id === 'statement-filter-form') {
+            e.preventDefault();
+            applyStatementFilter('personalizado');
+        }
+    });
+}
+
+/**
+ * Recarrega o extrato aberto com outro período
+ * @param {string} filter - Chave de UI.STATEMENT_FILTERS
+ */
+async function applyStatementFilter(filter) {
+    const client = appState.currentClient;
+    if (!client || !appState.statement) return;
+    
+    const startDate = document.getElementById('statement-start-date')?.value || '';
+    const endDate = document.getElementById('statement-end-date')?.value || '';
+    
+    if (filter === 'personalizado' && startDate && endDate && startDate > endDate) {
+        UI.showToast('A data inicial deve ser anterior à final', 'error');
+        return;
+    }
+    
+    try {
+        setLoading(true);
+        
+        Object.assign(appState.statement, { filter, startDate, endDate });
+        await refreshClientStatement(client);
+        
+    } catch (error) {
+        console.error('❌ Erro ao filtrar extrato:', error);
+        UI.showToast('Erro ao filtrar extrato', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Cancela uma comanda inteira do cliente atual
+ * @param {number} launchId - ID da comanda
+ * @param {string} reason - Motivo do cancelamento
+ */
+async function voidLaunch(launchId, reason) {
+    try {
+        setLoading(true);
+        
+        await Store.voidLaunch(launchId, reason);
+        
+        if (appState.currentClient) {
+            await refreshClientStatement(appState.currentClient);
+        }
+        
+        UI.showToast(`Comanda #${launchId} cancelada`, 'success');
+        
+        console.log(`✅ Comanda cancelada: ${launchId}`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao cancelar comanda:', error);
+        UI.showToast(error.message || 'Erro ao cancelar comanda', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Estorna uma transação do cliente atual
+ * @param {number} transactionId - ID da transação
+ * @param {string} reason - Motivo do estorno
+ */
+async function reverseTransaction(transactionId, reason) {
+    try {
+        setLoading(true);
+        
+        await Store.reverseTransaction(transactionId, reason);
+        
+        if (appState.currentClient) {
+            await refreshClientStatement(appState.currentClient);
+        }
+        
+        UI.showToast(`Transação #${transactionId} estornada`, 'success');
+        
+        console.log(`✅ Transação estornada: ${transactionId}`);
+        
+    } catch (error) {
+        console.error('❌ Erro ao estornar transação:', error);
+        UI.showToast(error.message || 'Erro ao estornar transação', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
 /**
  * Exclui um cliente
  * @param {number} clientId - ID do cliente
@@ -474,8 +2507,8 @@ async function deleteClient(clientId) {
         await Store.deleteClient(clientId);
         
         // Atualizar estado e UI
-        appState.clients = await Store.getAllClients();
-        UI.renderClientList(appState.clients);
+        await refreshClientList();
+        UI.renderArchivedLists(appState.clients, appState.products);
         
         UI.showToast(`Cliente "${clientName}" excluído com sucesso`, 'success');
         
@@ -483,7 +2516,7 @@ async function deleteClient(clientId) {
         
     } catch (error) {
         console.error('❌ Erro ao excluir cliente:', error);
-        UI.showToast('Erro ao excluir cliente', 'error');
+        UI.showToast(error.message || 'Erro ao excluir cliente', 'error');
     } finally {
         setLoading(false);
     }
@@ -505,8 +2538,8 @@ async function deleteProduct(productId) {
         await Store.deleteProduct(productId);
         
         // Atualizar estado e UI
-        appState.products = await Store.getAllProducts();
-        UI.renderProductList(appState.products);
+        await refreshProductList();
+        UI.renderArchivedLists(appState.clients, appState.products);
         
         UI.showToast(`Produto "${productName}" excluído com sucesso`, 'success');
         
@@ -514,7 +2547,71 @@ async function deleteProduct(productId) {
         
     } catch (error) {
         console.error('❌ Erro ao excluir produto:', error);
-        UI.showToast('Erro ao excluir produto', 'error');
+        UI.showToast(error.message || 'Erro ao excluir produto', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Arquiva ou restaura um cliente
+ * @param {number} clientId - ID do cliente
+ * @param {boolean} archived - true para arquivar, false para restaurar
+ */
+async function setClientArchived(clientId, archived) {
+    try {
+        setLoading(true);
+        
+        if (archived) {
+            await Store.archiveClient(clientId);
+        } else {
+            await Store.restoreClient(clientId);
+        }
+        
+        // Atualizar estado e UI
+        await refreshClientList();
+        UI.renderArchivedLists(appState.clients, appState.products);
+        
+        const client = appState.clients.find(c => c.id === clientId);
+        const clientName = client ? client.name : 'Cliente';
+        
+        UI.showToast(`Cliente "${clientName}" ${archived ? 'arquivado' : 'restaurado'}`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Erro ao arquivar/restaurar cliente:', error);
+        UI.showToast(error.message || 'Erro ao atualizar cliente', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Arquiva ou restaura um produto
+ * @param {number} productId - ID do produto
+ * @param {boolean} archived - true para arquivar, false para restaurar
+ */
+async function setProductArchived(productId, archived) {
+    try {
+        setLoading(true);
+        
+        if (archived) {
+            await Store.archiveProduct(productId);
+        } else {
+            await Store.restoreProduct(productId);
+        }
+        
+        // Atualizar estado e UI
+        await refreshProductList();
+        UI.renderArchivedLists(appState.clients, appState.products);
+        
+        const product = appState.products.find(p => p.id === productId);
+        const productName = product ? product.name : 'Produto';
+        
+        UI.showToast(`Produto "${productName}" ${archived ? 'arquivado' : 'restaurado'}`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Erro ao arquivar/restaurar produto:', error);
+        UI.showToast(error.message || 'Erro ao atualizar produto', 'error');
     } finally {
         setLoading(false);
     }
@@ -524,8 +2621,11 @@ async function deleteProduct(productId) {
  * Registra um pagamento
  * @param {number} clientId - ID do cliente
  * @param {number} amount - Valor do pagamento
+ * @param {string} [method='dinheiro'] - Forma de pagamento
+ * @param {string} [note] - Observação opcional
+ * @param {string} [pixTxid] - txid da cobrança Pix que está sendo paga
  */
-async function registerPayment(clientId, amount) {
+async function registerPayment(clientId, amount, method = 'dinheiro', note = '', pixTxid = '') {
     try {
         setLoading(true);
         
@@ -537,27 +2637,21 @@ async function registerPayment(clientId, amount) {
         }
         
         // Registrar pagamento
-        await Store.addPayment({ clientId, amount });
+        await Store.addPayment({ clientId, amount, method, note, pixTxid });
         
         // Recarregar extrato
-        const [transactions, balance] = await Promise.all([
-            Store.getTransactionsByClientId(clientId),
-            Store.getClientBalance(clientId)
-        ]);
-        
-        // Atualizar UI
-        UI.renderClientStatement(client, transactions, appState.products, balance);
+        await refreshClientStatement(client);
         
         UI.showToast(
             `Pagamento de ${formatCurrency(amount)} registrado para ${client.name}`, 
             'success'
         );
         
-        console.log(`✅ Pagamento registrado: ${client.console.log(`✅ Pagamento registrado: ${client.name} - ${formatCurrency(amount)}`);
+        console.log(`✅ Pagamento registrado: ${client.name} - ${formatCurrency(amount)}`);
         
     } catch (error) {
         console.error('❌ Erro ao registrar pagamento:', error);
-        UI.showToast('Erro ao registrar pagamento', 'error');
+        UI.showToast(error.message || 'Erro ao registrar pagamento', 'error');
     } finally {
         setLoading(false);
     }
@@ -666,7 +2760,10 @@ function populateFormWithOcrData(parsedData) {
     if (!parsedData) return;
 
     // 1. Encontrar o melhor match para o cliente
-    const clientMatch = findBestMatch(parsedData.clientName, appState.clients, 'name');
+    const activeClients = appState.clients.filter(client => !client.archived);
+    const activeProducts = appState.products.filter(product => !product.archived);
+    
+    const clientMatch = findBestMatch(parsedData.clientName, activeClients, 'name');
     if (!clientMatch) {
         UI.showToast(`Cliente "${parsedData.clientName}" não encontrado.`, 'warning');
         return; // Abortar se não encontrar cliente
@@ -678,7 +2775,7 @@ function populateFormWithOcrData(parsedData) {
 
     // 2. Encontrar os melhores matches para os produtos e atualizar a UI
     for (const item of parsedData.items) {
-        const productMatch = findBestMatch(item.productName, appState.products, 'name');
+        const productMatch = findBestMatch(item.productName, activeProducts, 'name');
 
         if (productMatch) {
             // Adicionar o produto na UI a quantidade de vezes necessária
@@ -810,7 +2907,27 @@ function setLoading(loading) {
 window.viewClientStatement = viewClientStatement;
 window.deleteClient = deleteClient;
 window.deleteProduct = deleteProduct;
+window.editClient = editClient;
+window.editProduct = editProduct;
+window.archiveClient = (clientId) => setClientArchived(clientId, true);
+window.restoreClient = (clientId) => setClientArchived(clientId, false);
+window.archiveProduct = (productId) => setProductArchived(productId, true);
+window.restoreProduct = (productId) => setProductArchived(productId, false);
 window.registerPayment = registerPayment;
+window.voidLaunch = voidLaunch;
+window.reverseTransaction = reverseTransaction;
+window.exportStatementCsv = (clientId) => downloadCsv(CsvService.exportClientStatementCsv(clientId));
+window.printLaunchReceipt = printLaunchReceipt;
+window.printPaymentReceipt = printPaymentReceipt;
+window.printStatementReceipt = printStatementReceipt;
+window.sendStatementWhatsApp = sendStatementWhatsApp;
+window.showPixCharge = showPixCharge;
+window.payPixCharge = payPixCharge;
+window.promptPayment = promptPayment;
+window.chooseOperator = chooseOperator;
+window.editOperator = editOperator;
+window.deleteOperator = deleteOperator;
+window.confirmDeleteOperator = confirmDeleteOperator;
 
 /* ==========================================================================
    INICIALIZAÇÃO QUANDO DOM ESTIVER PRONTO
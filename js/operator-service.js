@@ -0,0 +1,57 @@
+// File: js/operator-service.js
+// Módulo dos PINs dos atendentes (operadores)
+// O PIN nunca é gravado: só o hash PBKDF2-SHA-256 com um sal aleatório por atendente
+
+import * as CryptoService from './crypto-service.js';
+
+// Quantidade de dígitos aceita no PIN
+const PIN_PATTERN = /^\d{4,6}$/;
+
+// Custo do PBKDF2 do PIN - alto o bastante para atrasar tentativas em série no aparelho
+// (mudar invalida os PINs já gravados)
+const PIN_ITERATIONS = 100000;
+
+/**
+ * Valida o formato do PIN
+ * @param {string} pin - PIN digitado
+ * @returns {Object} {isValid, message}
+ */
+export function validatePin(pin) {
+    if (!PIN_PATTERN.test(pin || '')) {
+        return { isValid: false, message: 'O PIN deve ter de 4 a 6 dígitos' };
+    }
+
+    return { isValid: true, message: '' };
+}
+
+/**
+ * Calcula o hash de um PIN
+ * @param {string} pin - PIN (já validado)
+ * @param {string} [salt] - Sal em base64 (omitido = gera um novo)
+ * @returns {Promise<Object>} {pinHash, pinSalt} em base64
+ */
+export async function hashPin(pin, salt) {
+    const pinSalt = salt || CryptoService.generateSalt();
+
+    return {
+        pinHash: await CryptoService.hashSecret(pin, pinSalt, PIN_ITERATIONS),
+        pinSalt: pinSalt
+    };
+}
+
+/**
+ * Confere o PIN digitado com o hash gravado do atendente
+ * @param {Object} operator - Atendente ({pinHash, pinSalt})
+ * @param {string} pin - PIN digitado
+ * @returns {Promise<boolean>} true se o PIN confere
+ */
+export async function verifyPin(operator, pin) {
+    if (!operator || !validatePin(pin).isValid) {
+        return false;
+    }
+
+    const { pinHash } = await hashPin(pin, operator.pinSalt);
+    return pinHash === operator.pinHash;
+}
+
+console.log('Operator Service Module (operator-service.js) carregado.');
@@ -0,0 +1,183 @@
+// File: js/pix-service.js
+// Módulo de geração do Pix "copia e cola" (BR Code estático, padrão EMV do Banco Central)
+// Monta o payload com chave, recebedor, cidade, valor e txid, e gera o QR Code offline
+
+import { encodeQr, renderQrSvg } from './qrcode.js';
+
+// Identificador do arranjo Pix dentro do campo 26 (Merchant Account Information)
+const PIX_GUI = 'br.gov.bcb.pix';
+
+// Limites de tamanho definidos no manual do BR Code
+const MERCHANT_NAME_MAX = 25;
+const MERCHANT_CITY_MAX = 15;
+const TXID_MAX = 25;
+
+// Formatos aceitos de chave Pix
+const PIX_KEY_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    telefone: /^\+55\d{10,11}$/,
+    aleatoria: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+};
+
+/**
+ * Valida e normaliza uma chave Pix (CPF, CNPJ, e-mail, telefone +55 ou aleatória)
+ * @param {string} key - Chave digitada
+ * @returns {Object} {isValid, value, message} - vazio é válido (Pix não configurado)
+ */
+export function validatePixKey(key) {
+    const trimmed = (key || '').trim();
+
+    if (trimmed === '') {
+        return { isValid: true, value: '', message: '' };
+    }
+
+    if (trimmed.includes('@')) {
+        const email = trimmed.toLowerCase();
+        return PIX_KEY_PATTERNS.email.test(email)
+            ? { isValid: true, value: email, message: '' }
+            : { isValid: false, value: trimmed, message: 'E-mail da chave Pix inválido' };
+    }
+
+    if (trimmed.startsWith('+')) {
+        const phone = '+' + trimmed.replace(/\D/g, '');
+        return PIX_KEY_PATTERNS.telefone.test(phone)
+            ? { isValid: true, value: phone, message: '' }
+            : { isValid: false, value: trimmed, message: 'Telefone da chave Pix deve estar no formato +55DDNÚMERO' };
+    }
+
+    if (PIX_KEY_PATTERNS.aleatoria.test(trimmed.toLowerCase())) {
+        return { isValid: true, value: trimmed.toLowerCase(), message: '' };
+    }
+
+    // CPF (11 dígitos) ou CNPJ (14 dígitos), com ou sem pontuação
+    if (/^[\d.\-/\s]+$/.test(trimmed)) {
+        const digits = trimmed.replace(/\D/g, '');
+        if (digits.length === 11 || digits.length === 14) {
+            return { isValid: true, value: digits, message: '' };
+        }
+    }
+
+    return {
+        isValid: false,
+        value: trimmed,
+        message: 'Chave Pix inválida. Use CPF, CNPJ, e-mail, telefone (+55...) ou chave aleatória'
+    };
+}
+
+/**
+ * Limpa um texto para os campos do BR Code: sem acentos, só ASCII imprimível
+ * @param {string} text - Texto original
+ * @param {number} maxLength - Tamanho máximo do campo
+ * @returns {string} Texto limpo e cortado
+ */
+function sanitizeText(text, maxLength) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .trim();
+}
+
+/**
+ * Monta um campo EMV: ID (2 dígitos) + tamanho (2 dígitos) + valor
+ * @param {string} id - Identificador do campo
+ * @param {string} value - Conteúdo
+ * @returns {string} Campo codificado
+ */
+function emvField(id, value) {
+    if (value.length > 99) {
+        throw new Error(`Campo ${id} do Pix excede 99 caracteres`);
+    }
+
+    return id + String(value.length).padStart(2, '0') + value;
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido no campo 63
+ * @param {string} payload - Payload até "6304", inclusive
+ * @returns {string} CRC em 4 dígitos hexadecimais maiúsculos
+ */
+export function crc16(payload) {
+    let crc = 0xFFFF;
+
+    for (const byte of new TextEncoder().encode(payload)) {
+        crc ^= byte << 8;
+        for (let i = 0; i < 8; i++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+            crc &= 0xFFFF;
+        }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Gera um txid único para a cobrança, ligado ao cliente (letras e números, até 25)
+ * @param {number} clientId - ID do cliente
+ * @returns {string} txid (ex: MB12T1A2B3C4DXYZ)
+ */
+export function generateTxid(clientId) {
+    const random = Math.random().toString(36).slice(2, 6);
+    return `MB${clientId}T${Date.now().toString(36)}${random}`
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '')
+        .slice(0, TXID_MAX);
+}
+
+/**
+ * Monta o payload do Pix "copia e cola" (BR Code estático)
+ * @param {Object} data - Dados da cobrança
+ * @param {string} data.key - Chave Pix do recebedor (já validada)
+ * @param {string} data.name - Nome do recebedor
+ * @param {string} data.city - Cidade do recebedor
+ * @param {number} [data.amount] - Valor (omitido = pagador digita o valor)
+ * @param {string} [data.txid] - Identificador da cobrança (omitido = ***)
+ * @returns {string} Payload completo com CRC
+ */
+export function buildPixPayload({ key, name, city, amount, txid }) {
+    const merchantName = sanitizeText(name, MERCHANT_NAME_MAX);
+    const merchantCity = sanitizeText(city, MERCHANT_CITY_MAX);
+
+    if (!key) {
+        throw new Error('Chave Pix não configurada');
+    }
+
+    if (!merchantName || !merchantCity) {
+        throw new Error('Nome e cidade do recebedor são obrigatórios para o Pix');
+    }
+
+    if (amount !== undefined && amount !== null && !(amount > 0)) {
+        throw new Error('Valor do Pix deve ser maior que zero');
+    }
+
+    let payload = emvField('00', '01') +
+        emvField('26', emvField('00', PIX_GUI) + emvField('01', key)) +
+        emvField('52', '0000') +
+        emvField('53', '986');
+
+    if (amount) {
+        payload += emvField('54', amount.toFixed(2));
+    }
+
+    payload += emvField('58', 'BR') +
+        emvField('59', merchantName) +
+        emvField('60', merchantCity) +
+        emvField('62', emvField('05', txid || '***')) +
+        '6304';
+
+    return payload + crc16(payload);
+}
+
+/**
+ * Gera o QR Code (SVG) de um payload Pix
+ * @param {string} payload - Payload do Pix
+ * @returns {string} Marcação SVG
+ */
+export function renderPixQr(payload) {
+    return renderQrSvg(encodeQr(payload, 'M'));
+}
+
+console.log('Pix Service Module (pix-service.js) carregado.');
@@ -0,0 +1,574 @@
+// File: js/qrcode.js
+// Gerador de QR Code (ISO/IEC 18004) sem dependências, para funcionar offline
+// Suporta modo byte (UTF-8), versões 1 a 40 e níveis de correção L, M, Q e H
+
+/* ==========================================================================
+   TABELAS DO PADRÃO
+   ========================================================================== */
+
+// Níveis de correção de erro: índice nas tabelas e bits usados no padrão de formato
+const ERROR_CORRECTION_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+// Codewords de correção por bloco [nível][versão] (índice 0 não é usado)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Quantidade de blocos de correção [nível][versão] (índice 0 não é usado)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Pesos das regras de penalidade usadas na escolha da máscara
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+/* ==========================================================================
+   CAPACIDADE E CORREÇÃO DE ERROS
+   ========================================================================== */
+
+/**
+ * Quantidade de módulos disponíveis para dados + correção em uma versão
+ * @param {number} version - Versão (1 a 40)
+ * @returns {number} Quantidade de módulos (bits)
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Quantidade de codewords de dados (sem correção) de uma versão e nível
+ * @param {number} version - Versão (1 a 40)
+ * @param {Object} ecl - Nível de correção
+ * @returns {number} Codewords de dados
+ */
+function getNumDataCodewords(version, ecl) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+/**
+ * Multiplicação no corpo finito GF(2^8) com polinômio 0x11D
+ * @param {number} x - Fator
+ * @param {number} y - Fator
+ * @returns {number} Produto
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+
+    return z;
+}
+
+/**
+ * Calcula o polinômio divisor de Reed-Solomon de um grau
+ * @param {number} degree - Grau (codewords de correção por bloco)
+ * @returns {Array<number>} Coeficientes
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+
+    return result;
+}
+
+/**
+ * Calcula os codewords de correção (resto da divisão de Reed-Solomon)
+ * @param {Array<number>} data - Codewords de dados do bloco
+ * @param {Array<number>} divisor - Polinômio divisor
+ * @returns {Array<number>} Codewords de correção
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= gfMultiply(coef, factor);
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Divide os dados em blocos, adiciona a correção e intercala os codewords
+ * @param {Array<number>} data - Codewords de dados
+ * @param {number} version - Versão
+ * @param {Object} ecl - Nível de correção
+ * @returns {Array<number>} Codewords finais na ordem de gravação
+ */
+function addEccAndInterleave(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const blockData = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += blockData.length;
+        const ecc = reedSolomonRemainder(blockData, divisor);
+
+        // Blocos curtos ganham um espaço vazio para alinhar a intercalação
+        if (i < numShortBlocks) {
+            blockData.push(0);
+        }
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+
+    return result;
+}
+
+/* ==========================================================================
+   CODIFICAÇÃO DOS DADOS
+   ========================================================================== */
+
+/**
+ * Monta os codewords de dados em modo byte para uma versão
+ * @param {Uint8Array} bytes - Conteúdo
+ * @param {number} version - Versão
+ * @param {Object} ecl - Nível de correção
+ * @returns {Array<number>} Codewords de dados (com preenchimento)
+ */
+function encodeDataCodewords(bytes, version, ecl) {
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    // Indicador de modo byte (0100) + tamanho do conteúdo
+    appendBits(0x4, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+
+    // Terminador, alinhamento em byte e bytes de preenchimento alternados
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+
+    return codewords;
+}
+
+/**
+ * Escolhe a menor versão em que o conteúdo cabe
+ * @param {number} length - Tamanho do conteúdo em bytes
+ * @param {Object} ecl - Nível de correção
+ * @returns {number} Versão (1 a 40)
+ */
+function chooseVersion(length, ecl) {
+    for (let version = 1; version <= 40; version++) {
+        const usedBits = 4 + (version <= 9 ? 8 : 16) + length * 8;
+        if (usedBits <= getNumDataCodewords(version, ecl) * 8) {
+            return version;
+        }
+    }
+
+    throw new Error('Conteúdo grande demais para um QR Code');
+}
+
+/* ==========================================================================
+   MATRIZ DE MÓDULOS
+   ========================================================================== */
+
+/**
+ * Posições centrais dos padrões de alinhamento de uma versão
+ * @param {number} version - Versão
+ * @returns {Array<number>} Coordenadas
+ */
+function getAlignmentPatternPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+
+    return result;
+}
+
+/**
+ * Cria a matriz com os padrões fixos (localização, sincronismo, alinhamento, versão)
+ * @param {number} version - Versão
+ * @returns {Object} { size, modules, isFunction, setFunction }
+ */
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Padrões de sincronismo
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Padrões de localização (três cantos) com separadores
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        }
+    });
+
+    // Padrões de alinhamento (exceto onde coincidem com os de localização)
+    const positions = getAlignmentPatternPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Informação de versão (versões 7 ou maiores)
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    return { size, modules, isFunction, setFunction };
+}
+
+/**
+ * Grava os bits de formato (nível de correção + máscara) nas duas cópias
+ * @param {Object} matrix - Matriz
+ * @param {Object} ecl - Nível de correção
+ * @param {number} mask - Máscara (0 a 7)
+ */
+function drawFormatBits(matrix, ecl, mask) {
+    const { size, setFunction } = matrix;
+    const data = (ecl.formatBits << 3) | mask;
+    let rem = data;
+
+    for (let i = 0; i < 10; i++) {
+        rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    // Primeira cópia (ao redor do canto superior esquerdo)
+    for (let i = 0; i <= 5; i++) {
+        setFunction(8, i, bit(i));
+    }
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+        setFunction(14 - i, 8, bit(i));
+    }
+
+    // Segunda cópia (cantos superior direito e inferior esquerdo)
+    for (let i = 0; i < 8; i++) {
+        setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+        setFunction(8, size - 15 + i, bit(i));
+    }
+
+    // Módulo escuro fixo
+    setFunction(8, size - 8, true);
+}
+
+/**
+ * Grava os codewords em zigue-zague nas áreas livres da matriz
+ * @param {Object} matrix - Matriz
+ * @param {Array<number>} codewords - Codewords finais
+ */
+function drawCodewords(matrix, codewords) {
+    const { size, modules, isFunction } = matrix;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // A coluna 6 é do padrão de sincronismo
+        if (right === 6) {
+            right = 5;
+        }
+
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Inverte os módulos de dados segundo uma das 8 máscaras do padrão
+ * (aplicar duas vezes desfaz a máscara)
+ * @param {Object} matrix - Matriz
+ * @param {number} mask - Máscara (0 a 7)
+ */
+function applyMask(matrix, mask) {
+    const { size, modules, isFunction } = matrix;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let invert;
+            switch (mask) {
+                case 0: invert = (x + y) % 2 === 0; break;
+                case 1: invert = y % 2 === 0; break;
+                case 2: invert = x % 3 === 0; break;
+                case 3: invert = (x + y) % 3 === 0; break;
+                case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+                case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+                default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+            }
+
+            if (invert && !isFunction[y][x]) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Calcula a penalidade de uma matriz (quanto menor, mais fácil de ler)
+ * @param {Object} matrix - Matriz com máscara e formato aplicados
+ * @returns {number} Penalidade
+ */
+function getPenaltyScore(matrix) {
+    const { size, modules } = matrix;
+    let penalty = 0;
+    let dark = 0;
+
+    // Padrão parecido com o de localização: 1:1:3:1:1 com 4 claros de um dos lados
+    const finderLike = line => {
+        let count = 0;
+        for (let i = 0; i + 7 <= line.length; i++) {
+            const core = line[i] && !line[i + 1] && line[i + 2] && line[i + 3] && line[i + 4] && !line[i + 5] && line[i + 6];
+            if (!core) continue;
+
+            const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+            const lightAfter = [7, 8, 9, 10].every(k => i + k >= line.length || !line[i + k]);
+            if (lightBefore || lightAfter) {
+                count++;
+            }
+        }
+        return count;
+    };
+
+    // Sequências de 5 ou mais módulos da mesma cor
+    const runs = line => {
+        let score = 0;
+        let runLength = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                runLength++;
+            } else {
+                if (runLength >= 5) {
+                    score += PENALTY_N1 + (runLength - 5);
+                }
+                runLength = 1;
+            }
+        }
+        return score;
+    };
+
+    for (let y = 0; y < size; y++) {
+        const row = modules[y];
+        const column = modules.map(r => r[y]);
+
+        penalty += runs(row) + runs(column);
+        penalty += (finderLike(row) + finderLike(column)) * PENALTY_N3;
+
+        for (let x = 0; x < size; x++) {
+            if (row[x]) dark++;
+
+            // Blocos 2x2 da mesma cor
+            if (y < size - 1 && x < size - 1) {
+                const color = row[x];
+                if (color === row[x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += PENALTY_N2;
+                }
+            }
+        }
+    }
+
+    // Equilíbrio entre módulos claros e escuros
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    penalty += Math.max(k, 0) * PENALTY_N4;
+
+    return penalty;
+}
+
+/* ==========================================================================
+   API PÚBLICA
+   ========================================================================== */
+
+/**
+ * Gera o QR Code de um texto
+ * @param {string} text - Conteúdo (codificado em UTF-8)
+ * @param {string} [level='M'] - Nível de correção: 'L', 'M', 'Q' ou 'H'
+ * @returns {Object} { version, size, modules } - modules[y][x] = true para módulo escuro
+ */
+export function encodeQr(text, level = 'M') {
+    const ecl = ERROR_CORRECTION_LEVELS[level];
+
+    if (!ecl) {
+        throw new Error(`Nível de correção inválido: ${level}`);
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    const version = chooseVersion(bytes.length, ecl);
+    const codewords = addEccAndInterleave(encodeDataCodewords(bytes, version, ecl), version, ecl);
+
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, ecl, 0); // Reserva a área de formato antes de gravar os dados
+    drawCodewords(matrix, codewords);
+
+    // Testar as 8 máscaras e ficar com a de menor penalidade
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, ecl, mask);
+        const penalty = getPenaltyScore(matrix);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(matrix, mask);
+    }
+
+    applyMask(matrix, bestMask);
+    drawFormatBits(matrix, ecl, bestMask);
+
+    return {
+        version,
+        size: matrix.size,
+        modules: matrix.modules
+    };
+}
+
+/**
+ * Desenha um QR Code como SVG (escala livre, nítido em qualquer tela e na impressão)
+ * @param {Object} qr - Resultado de encodeQr
+ * @param {Object} [options] - Opções
+ * @param {number} [options.margin=4] - Zona de silêncio em módulos
+ * @param {number} [options.pixelSize=240] - Largura/altura do SVG em pixels
+ * @returns {string} Marcação SVG
+ */
+export function renderQrSvg(qr, { margin = 4, pixelSize = 240 } = {}) {
+    const total = qr.size + margin * 2;
+    let path = '';
+
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y][x]) {
+                path += `M${x + margin},${y + margin}h1v1h-1z`;
+            }
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+        `width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges" role="img" aria-label="QR Code">` +
+        `<rect width="${total}" height="${total}" fill="#ffffff"/>` +
+        `<path d="${path}" fill="#000000"/>` +
+        '</svg>';
+}
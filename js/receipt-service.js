@@ -0,0 +1,448 @@
+// File: js/receipt-service.js
+// Módulo de geração de recibos ESC/POS para impressoras térmicas (bobinas de 58mm e 80mm)
+// Gera apenas bytes; o envio à impressora fica a cargo de um "transporte" plugável
+
+import { formatCurrency, formatTimestamp, PAYMENT_METHODS } from './utils.js';
+
+/* ==========================================================================
+   COMANDOS ESC/POS
+   ========================================================================== */
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+const COMMANDS = {
+    init: [ESC, 0x40],                     // ESC @ - reinicia a impressora
+    alignLeft: [ESC, 0x61, 0x00],          // ESC a 0
+    alignCenter: [ESC, 0x61, 0x01],        // ESC a 1
+    alignRight: [ESC, 0x61, 0x02],         // ESC a 2
+    boldOn: [ESC, 0x45, 0x01],             // ESC E 1
+    boldOff: [ESC, 0x45, 0x00],            // ESC E 0
+    doubleHeightOn: [GS, 0x21, 0x01],      // GS ! 1 - altura dupla, mesma largura
+    normalSize: [GS, 0x21, 0x00],          // GS ! 0
+    cut: [GS, 0x56, 0x42, 0x00]            // GS V B 0 - avança o papel e corta parcialmente
+};
+
+// Larguras suportadas: 32 colunas (58mm) e 48 colunas (80mm), fonte A
+export const RECEIPT_COLUMNS = [32, 48];
+
+// Substituições de caracteres que não têm equivalente sem acento
+const TRANSLITERATIONS = {
+    '\u00A0': ' ',   // espaço não separável (usado por Intl em "R$ 0,00")
+    '\u2013': '-',   // travessão curto
+    '\u2014': '-',   // travessão
+    '\u2018': "'",   // aspas simples curvas
+    '\u2019': "'",
+    '\u201C': '"',   // aspas duplas curvas
+    '\u201D': '"',
+    '\u2022': '*',   // marcador
+    '\u2026': '...', // reticências
+    '\u00BA': 'o',   // ordinal masculino
+    '\u00AA': 'a',   // ordinal feminino
+    '\u00DF': 'ss'
+};
+
+/**
+ * Converte um texto para ASCII puro, que toda impressora térmica imprime sem
+ * depender de página de código: remove acentos (ação → acao) e troca símbolos
+ * @param {string} text - Texto de entrada
+ * @returns {string} Texto apenas com caracteres ASCII imprimíveis
+ */
+export function transliterate(text) {
+    return String(text ?? '')
+        .replace(/[\u00A0\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u00BA\u00AA\u00DF]/g, char => TRANSLITERATIONS[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E\n]/g, '?');
+}
+
+/**
+ * Quebra um texto em linhas de no máximo `columns` caracteres, preferindo espaços
+ * @param {string} text - Texto já transliterado
+ * @param {number} columns - Largura da linha
+ * @returns {Array<string>} Linhas
+ */
+function wrapText(text, columns) {
+    const lines = [];
+
+    text.split('\n').forEach(paragraph => {
+        let remaining = paragraph.trimEnd();
+
+        while (remaining.length > columns) {
+            let breakAt = remaining.lastIndexOf(' ', columns);
+            if (breakAt <= 0) {
+                breakAt = columns;
+            }
+            lines.push(remaining.slice(0, breakAt).trimEnd());
+            remaining = remaining.slice(breakAt).trimStart();
+        }
+
+        lines.push(remaining);
+    });
+
+    return lines;
+}
+
+/**
+ * Cria um montador de recibo ESC/POS
+ * @param {number} columns - Colunas por linha (32 ou 48)
+ * @returns {Object} Montador com métodos encadeáveis e toBytes()
+ */
+export function createReceiptBuilder(columns) {
+    if (!RECEIPT_COLUMNS.includes(columns)) {
+        throw new Error(`Largura de recibo não suportada: ${columns} colunas`);
+    }
+
+    const bytes = [...COMMANDS.init];
+
+    const pushText = text => {
+        for (const char of text) {
+            bytes.push(char.charCodeAt(0));
+        }
+        bytes.push(LF);
+    };
+
+    const builder = {
+        columns,
+
+        align(mode) {
+            const command = { left: COMMANDS.alignLeft, center: COMMANDS.alignCenter, right: COMMANDS.alignRight }[mode];
+            bytes.push(...command);
+            return builder;
+        },
+
+        bold(on = true) {
+            bytes.push(...(on ? COMMANDS.boldOn : COMMANDS.boldOff));
+            return builder;
+        },
+
+        doubleHeight(on = true) {
+            bytes.push(...(on ? COMMANDS.doubleHeightOn : COMMANDS.normalSize));
+            return builder;
+        },
+
+        // Texto livre, com quebra automática de linha
+        text(value) {
+            wrapText(transliterate(value), columns).forEach(pushText);
+            return builder;
+        },
+
+        // Texto à esquerda e valor alinhado à direita na mesma linha
+        pair(left, right) {
+            const rightText = transliterate(right);
+            const maxLeft = Math.max(columns - rightText.length - 1, 0);
+            let leftText = transliterate(left);
+
+            if (leftText.length > maxLeft) {
+                leftText = leftText.slice(0, maxLeft);
+            }
+
+            // Valor mais largo que a bobina: sai inteiro, sem espaço (a impressora quebra a linha)
+            pushText(leftText + ' '.repeat(Math.max(0, columns - leftText.length - rightText.length)) + rightText);
+            return builder;
+        },
+
+        separator(char = '-') {
+            pushText(char.repeat(columns));
+            return builder;
+        },
+
+        feed(lines = 1) {
+            for (let i = 0; i < lines; i++) {
+                bytes.push(LF);
+            }
+            return builder;
+        },
+
+        cut() {
+            bytes.push(...COMMANDS.cut);
+            return builder;
+        },
+
+        toBytes() {
+            return new Uint8Array(bytes);
+        }
+    };
+
+    return builder;
+}
+
+/* ==========================================================================
+   RECIBOS
+   ========================================================================== */
+
+/**
+ * Escreve o cabeçalho com os dados do bar
+ * @param {Object} builder - Montador de recibo
+ * @param {Object} settings - Configurações (barName, barAddress, barPhone)
+ */
+function writeHeader(builder, settings) {
+    builder
+        .align('center')
+        .bold().doubleHeight()
+        .text(settings.barName || 'Meu Bar')
+        .doubleHeight(false).bold(false);
+
+    if (settings.barAddress) {
+        builder.text(settings.barAddress);
+    }
+
+    if (settings.barPhone) {
+        builder.text(settings.barPhone);
+    }
+
+    builder.align('left').separator();
+}
+
+/**
+ * Finaliza o recibo: avança o papel e corta
+ * @param {Object} builder - Montador de recibo
+ * @returns {Uint8Array} Bytes do recibo
+ */
+function finishReceipt(builder) {
+    return builder
+        .feed(3)
+        .cut()
+        .toBytes();
+}
+
+/**
+ * Gera o recibo de uma comanda
+ * @param {Object} data - Dados do recibo
+ * @param {Object} data.launch - Comanda (launches)
+ * @param {Object} data.client - Cliente
+ * @param {number} data.balance - Saldo devedor atual do cliente
+ * @param {Object} data.settings - Configurações (dados do bar e colunas)
+ * @returns {Object} { fileName, bytes }
+ */
+export function buildLaunchReceipt({ launch, client, balance, settings }) {
+    const builder = createReceiptBuilder(settings.receiptColumns);
+    writeHeader(builder, settings);
+
+    builder
+        .bold().text(`COMANDA #${launch.id}`).bold(false)
+        .text(formatTimestamp(launch.timestamp))
+        .text(`Cliente: ${client.name}`);
+
+    if (launch.operator) {
+        builder.text(`Atendente: ${launch.operator}`);
+    }
+
+    if (launch.status === 'voided') {
+        builder.align('center').bold().text('*** COMANDA CANCELADA ***').bold(false).align('left');
+    }
+
+    builder.separator();
+
+    launch.items.forEach(item => {
+        builder
+            .pair(`${item.qty}x ${item.productName}`, formatCurrency(item.total))
+            .text(`   ${formatCurrency(item.unitPrice)} cada`);
+    });
+
+    builder
+        .separator()
+        .bold().pair('TOTAL', formatCurrency(launch.total)).bold(false)
+        .pair('Saldo devedor', formatCurrency(balance));
+
+    return {
+        fileName: `comanda-${launch.id}.bin`,
+        bytes: finishReceipt(builder)
+    };
+}
+
+/**
+ * Gera o recibo de um pagamento
+ * @param {Object} data - Dados do recibo
+ * @param {Object} data.payment - Transação de pagamento
+ * @param {Object} data.client - Cliente
+ * @param {number} data.balance - Saldo devedor atual do cliente
+ * @param {Object} data.settings - Configurações (dados do bar e colunas)
+ * @returns {Object} { fileName, bytes }
+ */
+export function buildPaymentReceipt({ payment, client, balance, settings }) {
+    const builder = createReceiptBuilder(settings.receiptColumns);
+    writeHeader(builder, settings);
+
+    builder
+        .align('center').bold().text('RECIBO DE PAGAMENTO').bold(false).align('left')
+        .text(formatTimestamp(payment.timestamp))
+        .text(`Cliente: ${client.name}`)
+        .text(`Forma: ${PAYMENT_METHODS[payment.method] || payment.method}`);
+
+    if (payment.note) {
+        builder.text(`Obs: ${payment.note}`);
+    }
+
+    if (payment.reversedBy) {
+        builder.align('center').bold().text('*** PAGAMENTO ESTORNADO ***').bold(false).align('left');
+    }
+
+    builder
+        .separator()
+        .bold().pair('VALOR PAGO', formatCurrency(payment.amount)).bold(false)
+        .pair('Saldo restante', formatCurrency(balance));
+
+    return {
+        fileName: `pagamento-${payment.id}.bin`,
+        bytes: finishReceipt(builder)
+    };
+}
+
+/**
+ * Gera o resumo da conta de um cliente com as últimas movimentações
+ * @param {Object} data - Dados do recibo
+ * @param {Object} data.client - Cliente
+ * @param {Array} data.rows - Linhas {transaction, effect, balance} em ordem cronológica
+ * @param {Object} data.settings - Configurações (dados do bar e colunas)
+ * @param {number} [data.lastEntries=10] - Quantidade de movimentações listadas
+ * @returns {Object} { fileName, bytes }
+ */
+export function buildStatementSummaryReceipt({ client, rows, settings, lastEntries = 10 }) {
+    const builder = createReceiptBuilder(settings.receiptColumns);
+    writeHeader(builder, settings);
+
+    const balance = rows.length > 0 ? rows[rows.length - 1].balance : 0;
+    const shownRows = rows.slice(-lastEntries);
+    const previousBalance = shownRows.length > 0 ? shownRows[0].balance - shownRows[0].effect : 0;
+
+    builder
+        .align('center').bold().text('RESUMO DA CONTA').bold(false).align('left')
+        .text(`Cliente: ${client.name}`)
+        .text(`Emitido em ${formatTimestamp(Date.now())}`)
+        .separator();
+
+    if (rows.length > shownRows.length) {
+        builder.pair('Saldo anterior', formatCurrency(previousBalance));
+    }
+
+    shownRows.forEach(({ transaction, effect }) => {
+        const label = { debit: 'Consumo', payment: 'Pagamento', reversal: 'Estorno' }[transaction.type] || transaction.type;
+        const date = formatTimestamp(transaction.timestamp).slice(0, 5);
+        builder.pair(`${date} ${label}`, formatCurrency(effect));
+    });
+
+    builder
+        .separator()
+        .bold().pair('TOTAL DEVIDO', formatCurrency(balance)).bold(false);
+
+    return {
+        fileName: `resumo-cliente-${client.id}.bin`,
+        bytes: finishReceipt(builder)
+    };
+}
+
+/* ==========================================================================
+   TRANSPORTES
+   ========================================================================== */
+
+// Transportes registrados, por nome. Um transporte é { name, label, send(receipt) }
+const transports = {};
+
+/**
+ * Registra (ou substitui) um transporte de envio de recibos
+ * @param {Object} transport - { name, label, send: async (receipt) => void }
+ */
+export function registerTransport(transport) {
+    if (!transport || !transport.name || typeof transport.send !== 'function') {
+        throw new Error('Transporte inválido: informe name e send()');
+    }
+
+    transports[transport.name] = transport;
+}
+
+/**
+ * Lista os transportes registrados
+ * @returns {Array} Transportes disponíveis
+ */
+export function getTransports() {
+    return Object.values(transports);
+}
+
+/**
+ * Envia um recibo pelo transporte escolhido
+ * @param {Object} receipt - { fileName, bytes }
+ * @param {string} transportName - Nome do transporte registrado
+ * @returns {Promise<void>}
+ */
+export async function sendReceipt(receipt, transportName) {
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Impressora não configurada: transporte "${transportName}" indisponível`);
+    }
+
+    await transport.send(receipt);
+    console.log(`Recibo enviado via ${transportName}: ${receipt.fileName} (${receipt.bytes.length} bytes)`);
+}
+
+/**
+ * Cria o transporte que baixa o recibo como arquivo .bin
+ * (pode ser enviado à impressora por apps como "RawBT" ou pelo comando `cat recibo.bin > /dev/usb/lp0`)
+ * @param {Function} download - Função (fileName, blob) que dispara o download
+ * @returns {Object} Transporte
+ */
+export function createDownloadTransport(download) {
+    return {
+        name: 'download',
+        label: 'Baixar arquivo .bin',
+        send: async receipt => {
+            download(receipt.fileName, new Blob([receipt.bytes], { type: 'application/octet-stream' }));
+        }
+    };
+}
+
+/**
+ * Cria o transporte que envia direto para uma impressora USB/serial via Web Serial API
+ * (Chrome/Edge no computador; o navegador pede para escolher a porta na primeira vez)
+ * @param {number} [baudRate=9600] - Velocidade da porta serial
+ * @returns {Object|null} Transporte ou null se o navegador não suporta Web Serial
+ */
+export function createSerialTransport(baudRate = 9600) {
+    if (typeof navigator === 'undefined' || !('serial' in navigator)) {
+        return null;
+    }
+
+    return {
+        name: 'serial',
+        label: 'Impressora USB/serial',
+        send: async receipt => {
+            const ports = await navigator.serial.getPorts();
+            const port = ports[0] || await navigator.serial.requestPort();
+
+            await port.open({ baudRate });
+            try {
+                const writer = port.writable.getWriter();
+                // Liberar o writer mesmo se a escrita falhar: a porta não fecha com o stream travado
+                try {
+                    await writer.write(receipt.bytes);
+                } finally {
+                    writer.releaseLock();
+                }
+            } finally {
+                await port.close();
+            }
+        }
+    };
+}
+
+/**
+ * Cria um transporte em memória que apenas guarda os recibos enviados
+ * Útil para conferir os bytes gerados sem impressora
+ * @returns {Object} Transporte com a lista `sent`
+ */
+export function createMemoryTransport() {
+    const sent = [];
+
+    return {
+        name: 'memory',
+        label: 'Memória (testes)',
+        sent,
+        send: async receipt => {
+            sent.push(receipt);
+        }
+    };
+}
+
+console.log('Receipt Service Module (receipt-service.js) carregado.');
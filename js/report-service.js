@@ -0,0 +1,417 @@
+// File: js/report-service.js
+// Módulo de relatórios gerenciais montados a partir da tabela de transações
+// Fechamento do dia: fiado lançado, recebimentos por forma de pagamento, produtos e clientes
+
+import * as Store from './store.js';
+import { buildCsv } from './csv-service.js';
+import {
+    roundCurrency, formatDecimal, formatDate, toDateInputValue, parseDateInput, PAYMENT_METHODS
+} from './utils.js';
+
+// Quantidade de clientes exibidos no ranking do fechamento
+const TOP_CLIENTS_LIMIT = 5;
+
+// Faixas de idade das dívidas, em dias desde o consumo
+const AGING_BUCKETS = [
+    { label: '0-30 dias', maxDays: 30 },
+    { label: '31-60 dias', maxDays: 60 },
+    { label: '61-90 dias', maxDays: 90 },
+    { label: '90+ dias', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Painel inicial: quantidade de maiores devedores e dias do gráfico de vendas
+const TOP_DEBTORS_LIMIT = 10;
+const SALES_CHART_DAYS = 30;
+
+/**
+ * Soma um valor em um acumulador indexado, criando a entrada se preciso
+ * @param {Object} map - Acumulador
+ * @param {string|number} key - Chave
+ * @param {Function} create - Fábrica da entrada inicial
+ * @returns {Object} Entrada do acumulador
+ */
+function getEntry(map, key, create) {
+    if (!map[key]) {
+        map[key] = create();
+    }
+    return map[key];
+}
+
+/**
+ * Descreve um período (ex: "31/05/2024" ou "01/05/2024 a 31/05/2024")
+ * @param {number} startTimestamp - Início do período
+ * @param {number} endTimestamp - Fim do período
+ * @returns {string} Período legível
+ */
+function describePeriod(startTimestamp, endTimestamp) {
+    const start = formatDate(startTimestamp);
+    const end = formatDate(endTimestamp);
+    return start === end ? start : `${start} a ${end}`;
+}
+
+/**
+ * Monta o fechamento de um período (um dia ou um intervalo de dias)
+ * Consumos e pagamentos estornados no próprio período ficam de fora dos totais; o estorno
+ * de uma transação de um período anterior é descontado dos totais do período em que foi
+ * feito, para um fechamento já impresso não mudar depois. Os estornos do período aparecem à parte
+ * @param {number} startTimestamp - Início do período (inclusive)
+ * @param {number} endTimestamp - Fim do período (inclusive)
+ * @returns {Promise<Object>} Relatório do período
+ */
+export async function buildDailyReport(startTimestamp, endTimestamp) {
+    const [transactions, clients, products, operators] = await Promise.all([
+        Store.getTransactionsByDateRange(startTimestamp, endTimestamp),
+        Store.getAllClients(),
+        Store.getAllProducts(),
+        Store.getAllOperators()
+    ]);
+
+    const clientNames = clients.reduce((acc, client) => {
+        acc[client.id] = client.name;
+        return acc;
+    }, {});
+    const productNames = products.reduce((acc, product) => {
+        acc[product.id] = product.name;
+        return acc;
+    }, {});
+    const operatorNames = operators.reduce((acc, operator) => {
+        acc[operator.id] = operator.name;
+        return acc;
+    }, {});
+
+    const launches = new Set();
+    const byMethod = {};
+    const byProduct = {};
+    const byClient = {};
+    const byOperator = {};
+    const reversals = { count: 0, total: 0 };
+    let totalLaunched = 0;
+    let totalReceived = 0;
+    let paymentCount = 0;
+    let itemsCount = 0;
+
+    // Soma (sign = 1) ou desconta (sign = -1: estorno de um período anterior) um consumo ou pagamento
+    const addToTotals = (transaction, sign) => {
+        const client = getEntry(byClient, transaction.clientId, () => ({
+            clientId: transaction.clientId,
+            name: clientNames[transaction.clientId] || 'Cliente removido',
+            launched: 0,
+            received: 0
+        }));
+
+        // Lançamentos de antes do cadastro de atendentes ficam em "Sem atendente"
+        const operatorId = transaction.operatorId ?? null;
+        const operator = getEntry(byOperator, operatorId, () => ({
+            operatorId,
+            name: operatorId === null ? 'Sem atendente' : (operatorNames[operatorId] || 'Atendente removido'),
+            launched: 0,
+            itemsCount: 0,
+            received: 0,
+            paymentCount: 0
+        }));
+
+        if (transaction.type === 'debit') {
+            const total = sign * transaction.total;
+            const qty = sign * transaction.qty;
+
+            totalLaunched += total;
+            itemsCount += qty;
+            client.launched += total;
+            operator.launched += total;
+            operator.itemsCount += qty;
+
+            // Consumos antigos (sem comanda) contam como um lançamento cada
+            if (sign > 0) {
+                launches.add(transaction.launchId ? `L${transaction.launchId}` : `T${transaction.id}`);
+            }
+
+            const product = getEntry(byProduct, transaction.productId, () => ({
+                productId: transaction.productId,
+                name: productNames[transaction.productId] || 'Produto removido',
+                qty: 0,
+                total: 0
+            }));
+            product.qty += qty;
+            product.total += total;
+        } else if (transaction.type === 'payment') {
+            const amount = sign * transaction.amount;
+
+            totalReceived += amount;
+            client.received += amount;
+            operator.received += amount;
+
+            const method = getEntry(byMethod, transaction.method, () => ({
+                method: transaction.method,
+                label: PAYMENT_METHODS[transaction.method] || transaction.method,
+                count: 0,
+                total: 0
+            }));
+            method.total += amount;
+
+            if (sign > 0) {
+                paymentCount++;
+                operator.paymentCount++;
+                method.count++;
+            }
+        }
+    };
+
+    // Original e estorno no mesmo período se anulam; o original de um período anterior
+    // continua no fechamento daquele período e o estorno o desconta neste
+    const periodIds = new Set(transactions.map(transaction => transaction.id));
+    const reversedInPeriod = new Set();
+    const earlierReversals = [];
+
+    for (const transaction of transactions) {
+        if (transaction.type === 'reversal') {
+            reversals.count++;
+            reversals.total += Math.abs(transaction.amount || 0);
+
+            if (periodIds.has(transaction.reversalOf)) {
+                reversedInPeriod.add(transaction.reversalOf);
+            } else {
+                earlierReversals.push(transaction.reversalOf);
+            }
+        }
+    }
+
+    for (const transaction of transactions) {
+        if (transaction.type !== 'reversal' && !reversedInPeriod.has(transaction.id)) {
+            addToTotals(transaction, 1);
+        }
+    }
+
+    const earlierOriginals = await Promise.all(earlierReversals.map(id => Store.getTransactionById(id)));
+
+    for (const original of earlierOriginals) {
+        if (original) {
+            addToTotals(original, -1);
+        }
+    }
+
+    const roundTotals = entry => ({ ...entry, total: roundCurrency(entry.total) });
+
+    return {
+        startTimestamp,
+        endTimestamp,
+        periodLabel: describePeriod(startTimestamp, endTimestamp),
+        totalLaunched: roundCurrency(totalLaunched),
+        launchCount: launches.size,
+        itemsCount,
+        totalReceived: roundCurrency(totalReceived),
+        paymentCount,
+        // Formas de pagamento na ordem de PAYMENT_METHODS
+        paymentsByMethod: Object.keys(PAYMENT_METHODS)
+            .filter(method => byMethod[method])
+            .concat(Object.keys(byMethod).filter(method => !PAYMENT_METHODS[method]))
+            .map(method => roundTotals(byMethod[method])),
+        products: Object.values(byProduct)
+            .map(roundTotals)
+            .sort((a, b) => b.total - a.total || b.qty - a.qty),
+        topClients: Object.values(byClient)
+            .filter(client => client.launched > 0)
+            .map(client => ({ ...client, launched: roundCurrency(client.launched), received: roundCurrency(client.received) }))
+            .sort((a, b) => b.launched - a.launched)
+            .slice(0, TOP_CLIENTS_LIMIT),
+        // Vendas por atendente (vazio enquanto não houver atendentes cadastrados)
+        operators: operators.length === 0 ? [] : Object.values(byOperator)
+            .map(entry => ({ ...entry, launched: roundCurrency(entry.launched), received: roundCurrency(entry.received) }))
+            .sort((a, b) => b.launched - a.launched || b.received - a.received),
+        reversals: { count: reversals.count, total: roundCurrency(reversals.total) }
+    };
+}
+
+/**
+ * Distribui o saldo em aberto de um cliente pelas datas dos consumos
+ * Pagamentos quitam primeiro os consumos mais antigos; pares estornados
+ * (original + estorno) se anulam e ficam de fora
+ * @param {Array} transactions - Transações do cliente em ordem cronológica
+ * @returns {Array} Consumos ainda em aberto {timestamp, remaining}
+ */
+function getOpenDebts(transactions) {
+    const debts = [];
+    let credit = 0; // Pagamento adiantado que ainda não quitou nenhum consumo
+
+    for (const transaction of transactions) {
+        if (transaction.type === 'reversal' || transaction.reversedBy) {
+            continue;
+        }
+
+        if (transaction.type === 'debit') {
+            const used = Math.min(credit, transaction.total);
+            credit = roundCurrency(credit - used);
+            debts.push({ timestamp: transaction.timestamp, remaining: roundCurrency(transaction.total - used) });
+        } else if (transaction.type === 'payment') {
+            let amount = transaction.amount;
+
+            for (const debt of debts) {
+                if (amount <= 0) break;
+                const paid = Math.min(debt.remaining, amount);
+                debt.remaining = roundCurrency(debt.remaining - paid);
+                amount = roundCurrency(amount - paid);
+            }
+
+            credit = roundCurrency(credit + amount);
+        }
+    }
+
+    return debts.filter(debt => debt.remaining > 0);
+}
+
+/**
+ * Monta o relatório de idade das dívidas: o saldo de cada cliente dividido
+ * em faixas pela idade dos consumos que ainda não foram pagos
+ * @param {number} [now=Date.now()] - Data de referência
+ * @returns {Promise<Object>} { labels, rows, totals } - rows ordenadas pela dívida mais antiga
+ */
+export async function buildAgingReport(now = Date.now()) {
+    const [transactions, clients] = await Promise.all([
+        Store.getAllTransactions(),
+        Store.getAllClients()
+    ]);
+
+    const byClient = {};
+    for (const transaction of transactions) {
+        getEntry(byClient, transaction.clientId, () => []).push(transaction);
+    }
+
+    const totals = { buckets: AGING_BUCKETS.map(() => 0), total: 0 };
+    const rows = [];
+
+    for (const client of clients) {
+        const debts = getOpenDebts(byClient[client.id] || []);
+        if (debts.length === 0) continue;
+
+        const buckets = AGING_BUCKETS.map(() => 0);
+
+        for (const debt of debts) {
+            const days = Math.floor((now - debt.timestamp) / DAY_MS);
+            const index = AGING_BUCKETS.findIndex(bucket => days <= bucket.maxDays);
+            buckets[index] += debt.remaining;
+        }
+
+        const row = {
+            clientId: client.id,
+            name: client.name,
+            buckets: buckets.map(roundCurrency),
+            total: roundCurrency(buckets.reduce((sum, value) => sum + value, 0)),
+            oldestTimestamp: debts[0].timestamp,
+            oldestDays: Math.floor((now - debts[0].timestamp) / DAY_MS)
+        };
+
+        row.buckets.forEach((value, i) => {
+            totals.buckets[i] += value;
+        });
+        totals.total += row.total;
+        rows.push(row);
+    }
+
+    rows.sort((a, b) => a.oldestTimestamp - b.oldestTimestamp);
+
+    return {
+        labels: AGING_BUCKETS.map(bucket => bucket.label),
+        rows,
+        totals: { buckets: totals.buckets.map(roundCurrency), total: roundCurrency(totals.total) }
+    };
+}
+
+/**
+ * Monta os indicadores do painel inicial
+ * @param {number} inactiveDays - Dias sem pagamento para destacar um cliente devedor
+ * @param {number} [now=Date.now()] - Data de referência
+ * @returns {Promise<Object>} Indicadores do painel
+ */
+export async function buildDashboard(inactiveDays, now = Date.now()) {
+    const todayStart = parseDateInput(toDateInputValue(now));
+    const todayEnd = parseDateInput(toDateInputValue(now), true);
+    const chartStart = parseDateInput(toDateInputValue(now - (SALES_CHART_DAYS - 1) * DAY_MS));
+
+    // Saldos gravados nos clientes; do histórico só os 30 dias do gráfico
+    const [chartTransactions, clients, balances, today] = await Promise.all([
+        Store.getTransactionsByDateRange(chartStart, todayEnd),
+        Store.getAllClients(),
+        Store.getAllClientBalances(),
+        buildDailyReport(todayStart, todayEnd)
+    ]);
+
+    const salesByDay = {};
+
+    for (const transaction of chartTransactions) {
+        if (transaction.type === 'debit' && !transaction.reversedBy) {
+            const day = toDateInputValue(transaction.timestamp);
+            salesByDay[day] = (salesByDay[day] || 0) + transaction.total;
+        }
+    }
+
+    const debtors = clients
+        .map(client => ({ clientId: client.id, name: client.name, balance: roundCurrency(balances[client.id] || 0) }))
+        .filter(debtor => debtor.balance > 0);
+
+    const activity = await Store.getPaymentActivity(debtors.map(debtor => debtor.clientId));
+
+    // Sem pagamento há X dias: conta a partir do último pagamento ou, se nunca pagou, do primeiro consumo
+    const inactiveClients = debtors
+        .map(debtor => {
+            const { lastPaymentAt, firstDebitAt } = activity[debtor.clientId];
+            const since = lastPaymentAt || firstDebitAt || now;
+            return {
+                ...debtor,
+                lastPaymentTimestamp: lastPaymentAt,
+                days: Math.floor((now - since) / DAY_MS)
+            };
+        })
+        .filter(debtor => debtor.days >= inactiveDays)
+        .sort((a, b) => b.days - a.days);
+
+    const sales = [];
+    for (let i = 0; i < SALES_CHART_DAYS; i++) {
+        const day = toDateInputValue(chartStart + i * DAY_MS + DAY_MS / 2);
+        sales.push({ date: parseDateInput(day), total: roundCurrency(salesByDay[day] || 0) });
+    }
+
+    return {
+        totalReceivable: roundCurrency(debtors.reduce((sum, debtor) => sum + debtor.balance, 0)),
+        todayLaunched: today.totalLaunched,
+        todayReceived: today.totalReceived,
+        topDebtors: debtors.slice().sort((a, b) => b.balance - a.balance).slice(0, TOP_DEBTORS_LIMIT),
+        inactiveDays,
+        inactiveClients,
+        sales
+    };
+}
+
+/**
+ * Exporta o fechamento em CSV, uma seção por bloco do relatório
+ * @param {Object} report - Relatório gerado por buildDailyReport
+ * @returns {Object} { fileName, content, count }
+ */
+export function exportReportCsv(report) {
+    const headers = ['Seção', 'Descrição', 'Quantidade', 'Valor'];
+    const rows = [
+        ['Período', report.periodLabel, '', ''],
+        ['Resumo', 'Lançado no fiado', report.launchCount, formatDecimal(report.totalLaunched)],
+        ['Resumo', 'Itens vendidos', report.itemsCount, ''],
+        ['Resumo', 'Recebido', report.paymentCount, formatDecimal(report.totalReceived)],
+        ['Resumo', 'Estornos no período', report.reversals.count, formatDecimal(report.reversals.total)],
+        ...report.paymentsByMethod.map(entry => ['Recebido por forma', entry.label, entry.count, formatDecimal(entry.total)]),
+        ...report.products.map(entry => ['Produto', entry.name, entry.qty, formatDecimal(entry.total)]),
+        ...report.topClients.map(entry => ['Cliente', entry.name, '', formatDecimal(entry.launched)]),
+        ...report.operators.flatMap(entry => [
+            ['Atendente - vendas', entry.name, entry.itemsCount, formatDecimal(entry.launched)],
+            ['Atendente - recebido', entry.name, entry.paymentCount, formatDecimal(entry.received)]
+        ])
+    ];
+
+    const start = toDateInputValue(report.startTimestamp);
+    const end = toDateInputValue(report.endTimestamp);
+
+    return {
+        fileName: `meu-bar-fechamento-${start === end ? start : `${start}_a_${end}`}.csv`,
+        content: buildCsv(headers, rows),
+        count: rows.length
+    };
+}
+
+console.log('Report Service Module (report-service.js) carregado.');
@@ -2,6 +2,9 @@
 // Módulo de gerenciamento de dados usando IndexedDB via Dexie.js
 // Todas as operações de persistência de dados são centralizadas aqui
 
+import { roundCurrency, getTransactionEffect, normalizeText, PAYMENT_METHODS } from './utils.js';
+import * as CryptoService from './crypto-service.js';
+
 // Instância do banco de dados Dexie
 export const db = new Dexie('MeuBarDB');
 
@@ -17,6 +20,208 @@ db.version(1).stores({
     transactions: '++id, clientId, productId, qty, timestamp, type'
 });
 
+// Versão 2 - Preço unitário e total gravados em cada transação
+// Consumos antigos passam a guardar o preço vigente no momento da migração,
+// para que mudanças futuras de preço não alterem saldos já lançados
+db.version(2).stores({
+    transactions: '++id, clientId, productId, qty, timestamp, type'
+}).upgrade(async (tx) => {
+    const products = await tx.table('products').toArray();
+    const pricesMap = products.reduce((acc, product) => {
+        acc[product.id] = product.price;
+        return acc;
+    }, {});
+    
+    await tx.table('transactions').toCollection().modify(transaction => {
+        // Pagamentos (productId 0) não possuem preço unitário
+        if (transaction.productId === 0) {
+            return;
+        }
+        
+        const unitPrice = pricesMap[transaction.productId] || 0;
+        transaction.unitPrice = unitPrice;
+        transaction.total = roundCurrency(unitPrice * transaction.qty);
+    });
+    
+    console.log('Migração v2: preços gravados nas transações existentes');
+});
+
+// Versão 3 - Pagamentos como tipo próprio ('payment') com valor e forma de pagamento
+// Antes eram gravados como productId 0 com o valor no campo qty
+db.version(3).stores({
+    transactions: '++id, clientId, productId, qty, timestamp, type'
+}).upgrade(async (tx) => {
+    await tx.table('transactions')
+        .filter(transaction => transaction.productId === 0)
+        .modify(transaction => {
+            transaction.type = 'payment';
+            transaction.amount = roundCurrency(Number(transaction.qty) || 0);
+            transaction.method = 'dinheiro';
+            transaction.note = '';
+            delete transaction.productId;
+            delete transaction.qty;
+        });
+    
+    console.log('Migração v3: pagamentos convertidos para o tipo payment');
+});
+
+// Versão 4 - Comandas (lançamentos agrupados) e estornos
+// Cada lançamento em lote gera um registro em 'launches' e suas transações
+// recebem o launchId. Consumos antigos são agrupados por cliente + timestamp,
+// que era o único vínculo entre os itens de um mesmo lançamento
+// Correções são transações 'reversal' ligadas à original (reversalOf); cancelar uma
+// comanda estorna seus itens e marca só a comanda (status 'voided')
+db.version(4).stores({
+    launches: '++id, clientId, timestamp, status',
+    transactions: '++id, clientId, productId, qty, timestamp, type, launchId, reversalOf'
+}).upgrade(async (tx) => {
+    const products = await tx.table('products').toArray();
+    const namesMap = products.reduce((acc, product) => {
+        acc[product.id] = product.name;
+        return acc;
+    }, {});
+    
+    const debits = await tx.table('transactions')
+        .filter(transaction => transaction.type === 'debit')
+        .toArray();
+    
+    const groups = new Map();
+    for (const transaction of debits) {
+        const key = `${transaction.clientId}-${transaction.timestamp}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(transaction);
+    }
+    
+    for (const rows of groups.values()) {
+        const launchId = await tx.table('launches').add({
+            clientId: rows[0].clientId,
+            timestamp: rows[0].timestamp,
+            operator: '',
+            status: 'active',
+            total: roundCurrency(rows.reduce((sum, row) => sum + (row.total || 0), 0)),
+            items: rows.map(row => ({
+                productId: row.productId,
+                productName: namesMap[row.productId] || '',
+                qty: row.qty,
+                unitPrice: row.unitPrice,
+                total: row.total
+            }))
+        });
+        
+        await tx.table('transactions')
+            .where('id')
+            .anyOf(rows.map(row => row.id))
+            .modify({ launchId: launchId });
+    }
+    
+    console.log(`Migração v4: ${groups.size} comandas criadas a partir do histórico`);
+});
+
+// Versão 5 - Histórico de preços dos produtos
+// Cada produto existente recebe um registro inicial com o preço atual
+db.version(5).stores({
+    priceHistory: '++id, productId, changedAt'
+}).upgrade(async (tx) => {
+    const products = await tx.table('products').toArray();
+    
+    await tx.table('priceHistory').bulkAdd(products.map(product => ({
+        productId: product.id,
+        oldPrice: null,
+        newPrice: product.price,
+        changedAt: product.createdAt || Date.now()
+    })));
+    
+    console.log(`Migração v5: histórico de preços iniciado para ${products.length} produtos`);
+});
+
+// Versão 6 - Configurações do estabelecimento (chave/valor)
+// Clientes ganham o campo opcional creditLimit (não indexado)
+db.version(6).stores({
+    settings: 'key'
+});
+
+// Versão 7 - Controle de estoque
+// Produtos ganham stock (null = sem controle) e minStock; entradas de
+// mercadoria (compras/reposição) ficam registradas em 'stockEntries'
+db.version(7).stores({
+    stockEntries: '++id, productId, timestamp'
+});
+
+// Versão 8 - Cobranças Pix
+// Cada QR Code gerado fica registrado com seu txid, ligado ao cliente, para
+// conciliar o pagamento depois; pagamentos ganham o campo opcional pixTxid
+db.version(8).stores({
+    pixCharges: '++id, &txid, clientId, createdAt'
+});
+
+// Versão 9 - Saldo gravado no cliente
+// Cada cliente guarda o campo balance, atualizado na mesma transação de cada
+// lançamento, pagamento ou estorno; o saldo inicial é calculado do histórico
+db.version(9).stores({
+    clients: '++id, name'
+}).upgrade(async (tx) => {
+    const balances = await computeLedgerBalances(tx.table('transactions'));
+    
+    await tx.table('clients').toCollection().modify(client => {
+        client.balance = balances[client.id] || 0;
+    });
+    
+    console.log('Migração v9: saldos gravados nos clientes');
+});
+
+// Versão 10 - Índice composto [clientId+timestamp]
+// Permite ler o extrato de um cliente por período e em páginas, sem carregar todo o histórico
+db.version(10).stores({
+    transactions: '++id, clientId, productId, qty, timestamp, type, launchId, reversalOf, [clientId+timestamp]'
+});
+
+// Versão 11 - Atendentes (operadores) com PIN e registro de ações
+// Transações ganham operatorId (quem lançou, recebeu ou estornou); exclusões
+// e ações administrativas ficam em 'auditLog'
+db.version(11).stores({
+    operators: '++id, name',
+    auditLog: '++id, timestamp, operatorId, action',
+    transactions: '++id, clientId, productId, qty, timestamp, type, launchId, reversalOf, [clientId+timestamp], operatorId'
+});
+
+// Versão 12 - Frase-senha e criptografia dos dados pessoais
+// 'security' guarda o sal e o verificador da chave; fica fora dos backups
+// Campos pessoais (ENCRYPTED_FIELDS) passam a ser gravados cifrados quando a proteção é ativada
+db.version(12).stores({
+    security: 'key'
+});
+
+// Valores padrão das configurações, usados quando a chave ainda não foi gravada
+export const DEFAULT_SETTINGS = {
+    // Limite de fiado para clientes sem limite próprio (null = sem limite)
+    defaultCreditLimit: null,
+    // O que fazer quando um lançamento ultrapassa o limite: 'warn' ou 'block'
+    creditLimitMode: 'warn',
+    // Dados do bar exibidos no cabeçalho de extratos impressos
+    barName: '',
+    barAddress: '',
+    barPhone: '',
+    // Impressora térmica: colunas por linha (32 = bobina 58mm, 48 = 80mm) e forma de envio
+    receiptColumns: 32,
+    receiptTransport: 'download',
+    // Mensagem do extrato enviada por WhatsApp e instruções de pagamento ({pagamento})
+    whatsappTemplate: 'Olá, {nome}! Aqui é do {bar}.\n\n' +
+        'Seu saldo em aberto é de *{saldo}*.\n\n' +
+        'Últimos consumos:\n{itens}\n\n' +
+        '{pagamento}',
+    paymentInstructions: '',
+    // Recebimento por Pix: chave e dados do recebedor gravados no BR Code
+    pixKey: '',
+    pixMerchantName: '',
+    pixMerchantCity: '',
+    // Painel inicial: destacar devedores sem pagamento há este número de dias
+    inactiveDays: 30,
+    // Com a frase-senha ativa, bloquear o aplicativo após este tempo sem uso (minutos)
+    lockMinutes: 5
+};
+
 /* ==========================================================================
    OPERAÇÕES DE CLIENTES
    ========================================================================== */
@@ -25,16 +230,21 @@ db.version(1).stores({
  * Adiciona um novo cliente ao banco de dados
  * @param {Object} clientData - Dados do cliente
  * @param {string} clientData.name - Nome do cliente
+ * @param {string} [clientData.nickname] - Apelido usado na busca (opcional)
  * @param {string} [clientData.phone] - Telefone do cliente (opcional)
+ * @param {number|null} [clientData.creditLimit] - Limite de fiado (null = usa o padrão)
  * @returns {Promise<number>} ID do cliente criado
  */
 export async function addClient(clientData) {
     try {
-        const clientId = await db.clients.add({
+        const clientId = await db.clients.add(await encryptRecord('clients', {
             name: clientData.name.trim(),
+            nickname: clientData.nickname ? clientData.nickname.trim() : '',
             phone: clientData.phone ? clientData.phone.trim() : '',
+            creditLimit: normalizeCreditLimit(clientData.creditLimit),
+            balance: 0,
             createdAt: Date.now()
-        });
+        }));
         
         console.log(`Cliente adicionado: ${clientData.name} (ID: ${clientId})`);
         return clientId;
@@ -44,6 +254,34 @@ export async function addClient(clientData) {
     }
 }
 
+/**
+ * Adiciona vários clientes de uma vez (importação), tudo ou nada
+ * @param {Array} clientsData - Lista de {name, phone, creditLimit}
+ * @returns {Promise<number>} Quantidade de clientes criados
+ */
+export async function bulkAddClients(clientsData) {
+    try {
+        const createdAt = Date.now();
+        const records = await encryptRecords('clients', clientsData.map(clientData => ({
+            name: clientData.name.trim(),
+            phone: clientData.phone ? clientData.phone.trim() : '',
+            creditLimit: normalizeCreditLimit(clientData.creditLimit),
+            balance: 0,
+            createdAt: createdAt
+        })));
+        
+        await db.transaction('rw', db.clients, async () => {
+            await db.clients.bulkAdd(records);
+        });
+        
+        console.log(`Importação: ${records.length} clientes adicionados`);
+        return records.length;
+    } catch (error) {
+        console.error('Erro ao importar clientes:', error);
+        throw new Error('Falha ao importar clientes');
+    }
+}
+
 /**
  * Busca todos os clientes ordenados por nome
  * @returns {Promise<Array>} Lista de clientes
@@ -55,7 +293,7 @@ export async function getAllClients() {
             .toArray();
         
         console.log(`${clients.length} clientes encontrados`);
-        return clients;
+        return await decryptRecords('clients', clients);
     } catch (error) {
         console.error('Erro ao buscar clientes:', error);
         throw new Error('Falha ao buscar clientes');
@@ -76,7 +314,7 @@ export async function getClientById(clientId) {
             return null;
         }
         
-        return client;
+        return await decryptRecord('clients', client);
     } catch (error) {
         console.error('Erro ao buscar cliente por ID:', error);
         throw new Error('Falha ao buscar cliente');
@@ -84,19 +322,98 @@ export async function getClientById(clientId) {
 }
 
 /**
- * Remove um cliente e todas as suas transações
+ * Atualiza os dados cadastrais de um cliente
+ * @param {number} clientId - ID do cliente
+ * @param {Object} clientData - Novos dados do cliente
+ * @param {string} clientData.name - Nome do cliente
+ * @param {string} [clientData.nickname] - Apelido usado na busca (opcional)
+ * @param {string} [clientData.phone] - Telefone do cliente (opcional)
+ * @param {number|null} [clientData.creditLimit] - Limite de fiado (null = usa o padrão)
+ * @returns {Promise<boolean>} true se atualizado com sucesso
+ */
+export async function updateClient(clientId, clientData) {
+    try {
+        const updated = await db.clients.update(clientId, await encryptRecord('clients', {
+            name: clientData.name.trim(),
+            nickname: clientData.nickname ? clientData.nickname.trim() : '',
+            phone: clientData.phone ? clientData.phone.trim() : '',
+            creditLimit: normalizeCreditLimit(clientData.creditLimit),
+            updatedAt: Date.now()
+        }));
+        
+        if (!updated) {
+            console.warn(`Cliente não encontrado: ID ${clientId}`);
+            return false;
+        }
+        
+        console.log(`Cliente atualizado: ${clientData.name} (ID: ${clientId})`);
+        return true;
+    } catch (error) {
+        console.error('Erro ao atualizar cliente:', error);
+        throw new Error('Falha ao atualizar cliente');
+    }
+}
+
+/**
+ * Normaliza o limite de fiado: valores vazios ou inválidos viram null (usa o padrão)
+ * @param {number|string|null|undefined} creditLimit - Limite informado
+ * @returns {number|null} Limite em reais ou null
+ */
+function normalizeCreditLimit(creditLimit) {
+    if (creditLimit === null || creditLimit === undefined || creditLimit === '') {
+        return null;
+    }
+    
+    const value = parseFloat(creditLimit);
+    return isNaN(value) || value < 0 ? null : roundCurrency(value);
+}
+
+/**
+ * Arquiva um cliente: some do lançamento e da lista, mas mantém o histórico
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<boolean>} true se arquivado com sucesso
+ */
+export async function archiveClient(clientId) {
+    return setArchived(db.clients, clientId, true, 'Cliente');
+}
+
+/**
+ * Restaura um cliente arquivado
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<boolean>} true se restaurado com sucesso
+ */
+export async function restoreClient(clientId) {
+    return setArchived(db.clients, clientId, false, 'Cliente');
+}
+
+/**
+ * Remove definitivamente um cliente e todas as suas transações
+ * Bloqueado enquanto o cliente tiver saldo diferente de zero
  * @param {number} clientId - ID do cliente a ser removido
  * @returns {Promise<boolean>} true se removido com sucesso
  */
 export async function deleteClient(clientId) {
+    await requireAdmin();
+    
+    const balance = await getClientBalance(clientId);
+    
+    if (balance !== 0) {
+        throw new Error('Cliente com saldo em aberto não pode ser excluído. Arquive-o ou zere o saldo antes.');
+    }
+    
     try {
         // Usar transação para garantir atomicidade
-        await db.transaction('rw', db.clients, db.transactions, async () => {
-            // Remover todas as transações do cliente
+        await db.transaction('rw', db.clients, db.transactions, db.launches, db.pixCharges, db.auditLog, async () => {
+            const client = await db.clients.get(clientId);
+            
+            // Remover todas as transações, comandas e cobranças do cliente
             await db.transactions.where('clientId').equals(clientId).delete();
+            await db.launches.where('clientId').equals(clientId).delete();
+            await db.pixCharges.where('clientId').equals(clientId).delete();
             
             // Remover o cliente
             await db.clients.delete(clientId);
+            await addAuditEntry('client-deleted', `Cliente "${client ? client.name : clientId}" excluído com todo o histórico`);
         });
         
         console.log(`Cliente removido: ID ${clientId}`);
@@ -116,14 +433,46 @@ export async function deleteClient(clientId) {
  * @param {Object} productData - Dados do produto
  * @param {string} productData.name - Nome do produto
  * @param {number} productData.price - Preço do produto
+ * @param {string} [productData.category] - Categoria (ex: Cervejas, Petiscos)
+ * @param {number|null} [productData.stock] - Estoque inicial (null = sem controle de estoque)
+ * @param {number|null} [productData.minStock] - Estoque mínimo para alerta de reposição
  * @returns {Promise<number>} ID do produto criado
  */
 export async function addProduct(productData) {
     try {
-        const productId = await db.products.add({
-            name: productData.name.trim(),
-            price: parseFloat(productData.price),
-            createdAt: Date.now()
+        const createdAt = Date.now();
+        const price = parseFloat(productData.price);
+        const stock = normalizeStockValue(productData.stock);
+        let productId;
+        
+        await db.transaction('rw', db.products, db.priceHistory, db.stockEntries, async () => {
+            productId = await db.products.add({
+                name: productData.name.trim(),
+                price: price,
+                category: normalizeCategory(productData.category),
+                stock: stock,
+                minStock: normalizeStockValue(productData.minStock),
+                createdAt: createdAt
+            });
+            
+            // Preço inicial abre o histórico do produto
+            await db.priceHistory.add({
+                productId: productId,
+                oldPrice: null,
+                newPrice: price,
+                changedAt: createdAt
+            });
+            
+            // Estoque inicial fica registrado como a primeira entrada
+            if (stock) {
+                await db.stockEntries.add({
+                    productId: productId,
+                    qty: stock,
+                    unitCost: null,
+                    note: 'Estoque inicial',
+                    timestamp: createdAt
+                });
+            }
         });
         
         console.log(`Produto adicionado: ${productData.name} (ID: ${productId})`);
@@ -134,6 +483,43 @@ export async function addProduct(productData) {
     }
 }
 
+/**
+ * Adiciona vários produtos de uma vez (importação), tudo ou nada
+ * Cada produto ganha o registro inicial no histórico de preços
+ * @param {Array} productsData - Lista de {name, price, category}
+ * @returns {Promise<number>} Quantidade de produtos criados
+ */
+export async function bulkAddProducts(productsData) {
+    try {
+        const createdAt = Date.now();
+        const records = productsData.map(productData => ({
+            name: productData.name.trim(),
+            price: parseFloat(productData.price),
+            category: normalizeCategory(productData.category),
+            stock: null,
+            minStock: null,
+            createdAt: createdAt
+        }));
+        
+        await db.transaction('rw', db.products, db.priceHistory, async () => {
+            const productIds = await db.products.bulkAdd(records, { allKeys: true });
+            
+            await db.priceHistory.bulkAdd(productIds.map((productId, index) => ({
+                productId: productId,
+                oldPrice: null,
+                newPrice: records[index].price,
+                changedAt: createdAt
+            })));
+        });
+        
+        console.log(`Importação: ${records.length} produtos adicionados`);
+        return records.length;
+    } catch (error) {
+        console.error('Erro ao importar produtos:', error);
+        throw new Error('Falha ao importar produtos');
+    }
+}
+
 /**
  * Busca todos os produtos ordenados por nome
  * @returns {Promise<Array>} Lista de produtos
@@ -153,14 +539,135 @@ export async function getAllProducts() {
 }
 
 /**
- * Remove um produto do banco de dados
- * Nota: Não remove as transações relacionadas para manter histórico
+ * Atualiza nome e preço de um produto
+ * Mudanças de preço ficam registradas no histórico de preços;
+ * lançamentos antigos mantêm o preço gravado na própria transação
+ * @param {number} productId - ID do produto
+ * @param {Object} productData - Novos dados do produto
+ * @param {string} productData.name - Nome do produto
+ * @param {number} productData.price - Preço do produto
+ * @param {string} [productData.category] - Categoria (ex: Cervejas, Petiscos)
+ * @param {number|null} [productData.minStock] - Estoque mínimo para alerta de reposição
+ * @returns {Promise<boolean>} true se atualizado com sucesso
+ */
+export async function updateProduct(productId, productData) {
+    const newPrice = parseFloat(productData.price);
+    const current = await db.products.get(productId);
+    
+    // Mudar preço é ação de administrador
+    if (current && current.price !== newPrice) {
+        await requireAdmin();
+    }
+    
+    try {
+        let updated = false;
+        
+        await db.transaction('rw', db.products, db.priceHistory, db.auditLog, async () => {
+            const product = await db.products.get(productId);
+            
+            if (!product) {
+                return;
+            }
+            
+            const changedAt = Date.now();
+            
+            await db.products.update(productId, {
+                name: productData.name.trim(),
+                price: newPrice,
+                category: normalizeCategory(productData.category),
+                minStock: normalizeStockValue(productData.minStock),
+                updatedAt: changedAt
+            });
+            
+            if (product.price !== newPrice) {
+                await db.priceHistory.add({
+                    productId: productId,
+                    oldPrice: product.price,
+                    newPrice: newPrice,
+                    changedAt: changedAt,
+                    operatorId: getCurrentOperatorId()
+                });
+                await addAuditEntry('price-changed', `Preço de "${product.name}" alterado de ${product.price} para ${newPrice}`);
+            }
+            
+            updated = true;
+        });
+        
+        if (!updated) {
+            console.warn(`Produto não encontrado: ID ${productId}`);
+            return false;
+        }
+        
+        console.log(`Produto atualizado: ${productData.name} (ID: ${productId})`);
+        return true;
+    } catch (error) {
+        console.error('Erro ao atualizar produto:', error);
+        throw new Error('Falha ao atualizar produto');
+    }
+}
+
+/**
+ * Busca o histórico de preços de todos os produtos
+ * @returns {Promise<Array>} Registros {productId, oldPrice, newPrice, changedAt} do mais antigo ao mais recente
+ */
+export async function getPriceHistory() {
+    try {
+        return await db.priceHistory
+            .orderBy('changedAt')
+            .toArray();
+    } catch (error) {
+        console.error('Erro ao buscar histórico de preços:', error);
+        throw new Error('Falha ao buscar histórico de preços');
+    }
+}
+
+/**
+ * Arquiva um produto: some da grade de lançamento, mas continua
+ * disponível para o histórico e relatórios
+ * @param {number} productId - ID do produto
+ * @returns {Promise<boolean>} true se arquivado com sucesso
+ */
+export async function archiveProduct(productId) {
+    return setArchived(db.products, productId, true, 'Produto');
+}
+
+/**
+ * Restaura um produto arquivado
+ * @param {number} productId - ID do produto
+ * @returns {Promise<boolean>} true se restaurado com sucesso
+ */
+export async function restoreProduct(productId) {
+    return setArchived(db.products, productId, false, 'Produto');
+}
+
+/**
+ * Remove definitivamente um produto do banco de dados
+ * Bloqueado se houver transações do produto, para não deixar o histórico órfão
  * @param {number} productId - ID do produto a ser removido
  * @returns {Promise<boolean>} true se removido com sucesso
  */
 export async function deleteProduct(productId) {
+    await requireAdmin();
+    
+    const usageCount = await db.transactions.where('productId').equals(productId).count();
+    
+    if (usageCount > 0) {
+        throw new Error('Produto já usado em lançamentos não pode ser excluído. Mantenha-o arquivado.');
+    }
+    
     try {
-        const result = await db.products.delete(productId);
+        let result;
+        
+        await db.transaction('rw', db.products, db.priceHistory, db.stockEntries, db.auditLog, async () => {
+            result = await db.products.get(productId);
+            
+            if (result) {
+                await db.priceHistory.where('productId').equals(productId).delete();
+                await db.stockEntries.where('productId').equals(productId).delete();
+                await db.products.delete(productId);
+                await addAuditEntry('product-deleted', `Produto "${result.name}" excluído`);
+            }
+        });
         
         if (result) {
             console.log(`Produto removido: ID ${productId}`);
@@ -175,31 +682,174 @@ export async function deleteProduct(productId) {
     }
 }
 
+/* ==========================================================================
+   OPERAÇÕES DE ESTOQUE
+   ========================================================================== */
+
+/**
+ * Registra uma entrada de mercadoria (compra/reposição) e soma ao estoque
+ * Produtos sem controle de estoque passam a ser controlados a partir desta entrada
+ * @param {Object} entryData - Dados da entrada
+ * @param {number} entryData.productId - ID do produto
+ * @param {number} entryData.qty - Quantidade recebida
+ * @param {number|null} [entryData.unitCost] - Custo unitário pago (opcional)
+ * @param {string} [entryData.note] - Observação (ex: fornecedor, nota fiscal)
+ * @returns {Promise<number>} ID da entrada criada
+ */
+export async function addStockEntry(entryData) {
+    const productId = parseInt(entryData.productId);
+    const qty = parseInt(entryData.qty);
+    
+    if (!(qty > 0)) {
+        throw new Error('Quantidade da entrada deve ser maior que zero');
+    }
+    
+    try {
+        let entryId;
+        
+        await db.transaction('rw', db.products, db.stockEntries, async () => {
+            const product = await db.products.get(productId);
+            
+            if (!product) {
+                throw new Error(`Produto não encontrado: ID ${productId}`);
+            }
+            
+            entryId = await db.stockEntries.add({
+                productId: productId,
+                qty: qty,
+                unitCost: entryData.unitCost ? roundCurrency(parseFloat(entryData.unitCost)) : null,
+                note: entryData.note ? entryData.note.trim() : '',
+                timestamp: Date.now()
+            });
+            
+            await db.products.update(productId, {
+                stock: (product.stock || 0) + qty
+            });
+        });
+        
+        console.log(`Entrada de estoque: Produto ${productId}, +${qty} (ID: ${entryId})`);
+        return entryId;
+    } catch (error) {
+        console.error('Erro ao registrar entrada de estoque:', error);
+        throw new Error('Falha ao registrar entrada de estoque');
+    }
+}
+
+/**
+ * Ajusta o estoque de um produto (negativo para saída, positivo para devolução)
+ * Produtos sem controle de estoque (stock null) são ignorados.
+ * Deve ser chamada dentro de uma transação 'rw' que inclua db.products
+ * @param {number} productId - ID do produto
+ * @param {number} delta - Quantidade a somar ao estoque
+ * @returns {Promise<boolean>} true se o estoque foi movimentado
+ */
+async function adjustStock(productId, delta) {
+    const product = await db.products.get(productId);
+    
+    if (!product || product.stock === null || product.stock === undefined) {
+        return false;
+    }
+    
+    await db.products.update(productId, { stock: product.stock + delta });
+    return true;
+}
+
+/**
+ * Normaliza a categoria de um produto (texto livre, vazio = sem categoria)
+ * @param {string|null|undefined} category - Categoria informada
+ * @returns {string} Categoria sem espaços extras
+ */
+function normalizeCategory(category) {
+    return category ? category.trim() : '';
+}
+
+/**
+ * Normaliza quantidades de estoque: vazio ou inválido vira null
+ * @param {number|string|null|undefined} value - Quantidade informada
+ * @returns {number|null} Quantidade inteira ou null
+ */
+function normalizeStockValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    
+    const qty = parseInt(value);
+    return isNaN(qty) || qty < 0 ? null : qty;
+}
+
+/**
+ * Marca ou desmarca um registro (cliente ou produto) como arquivado
+ * @param {Dexie.Table} table - Tabela do registro
+ * @param {number} id - ID do registro
+ * @param {boolean} archived - true para arquivar, false para restaurar
+ * @param {string} label - Rótulo usado nos logs e mensagens
+ * @returns {Promise<boolean>} true se atualizado com sucesso
+ */
+async function setArchived(table, id, archived, label) {
+    try {
+        const updated = await table.update(id, {
+            archived: archived,
+            archivedAt: archived ? Date.now() : null
+        });
+        
+        if (!updated) {
+            console.warn(`${label} não encontrado: ID ${id}`);
+            return false;
+        }
+        
+        console.log(`${label} ${archived ? 'arquivado' : 'restaurado'}: ID ${id}`);
+        return true;
+    } catch (error) {
+        console.error(`Erro ao ${archived ? 'arquivar' : 'restaurar'} registro:`, error);
+        throw new Error(`Falha ao ${archived ? 'arquivar' : 'restaurar'} ${label.toLowerCase()}`);
+    }
+}
+
 /* ==========================================================================
    OPERAÇÕES DE TRANSAÇÕES
    ========================================================================== */
 
 /**
- * Adiciona uma nova transação (consumo ou pagamento)
+ * Adiciona uma nova transação de consumo
+ * Pagamentos devem ser registrados com addPayment
  * @param {Object} transactionData - Dados da transação
  * @param {number} transactionData.clientId - ID do cliente
  * @param {number} transactionData.productId - ID do produto
  * @param {number} transactionData.qty - Quantidade
- * @param {string} [transactionData.type='debit'] - Tipo: 'debit' ou 'credit'
+ * @param {number} [transactionData.unitPrice] - Preço unitário (padrão: preço atual do produto)
  * @param {number} [transactionData.timestamp] - Timestamp (padrão: agora)
  * @returns {Promise<number>} ID da transação criada
  */
 export async function addTransaction(transactionData) {
     try {
+        const productId = parseInt(transactionData.productId);
+        const qty = parseInt(transactionData.qty);
+        
+        let unitPrice = transactionData.unitPrice;
+        if (unitPrice === undefined) {
+            const product = await db.products.get(productId);
+            unitPrice = product ? product.price : 0;
+        }
+        
         const transaction = {
             clientId: parseInt(transactionData.clientId),
-            productId: parseInt(transactionData.productId),
-            qty: parseInt(transactionData.qty),
-            type: transactionData.type || 'debit',
+            productId: productId,
+            qty: qty,
+            unitPrice: unitPrice,
+            total: roundCurrency(unitPrice * qty),
+            type: 'debit',
+            operatorId: getCurrentOperatorId(),
             timestamp: transactionData.timestamp || Date.now()
         };
         
-        const transactionId = await db.transactions.add(transaction);
+        let transactionId;
+        
+        await db.transaction('rw', db.transactions, db.products, db.clients, async () => {
+            // stockMoved indica se o estorno deste item deve devolvê-lo ao estoque
+            transaction.stockMoved = await adjustStock(productId, -qty);
+            transactionId = await db.transactions.add(transaction);
+            await adjustClientBalance(transaction.clientId, transaction.total);
+        });
         
         console.log(`Transação adicionada: Cliente ${transaction.clientId}, Produto ${transaction.productId}, Qty ${transaction.qty} (ID: ${transactionId})`);
         return transactionId;
@@ -219,12 +869,11 @@ export async function getTransactionsByClientId(clientId) {
         const transactions = await db.transactions
             .where('clientId')
             .equals(parseInt(clientId))
-            .orderBy('timestamp')
             .reverse()
-            .toArray();
+            .sortBy('timestamp');
         
         console.log(`${transactions.length} transações encontradas para cliente ${clientId}`);
-        return transactions;
+        return await decryptRecords('transactions', transactions);
     } catch (error) {
         console.error('Erro ao buscar transações do cliente:', error);
         throw new Error('Falha ao buscar transações');
@@ -232,107 +881,1828 @@ export async function getTransactionsByClientId(clientId) {
 }
 
 /**
- * Adiciona um lançamento em lote (múltiplos produtos para um cliente)
- * @param {Object} launchData - Dados do lançamento
- * @param {number} launchData.clientId - ID do cliente
- * @param {Array} launchData.items - Lista de itens: [{productId, qty}, ...]
- * @returns {Promise<Array>} Lista de IDs das transações criadas
+ * Busca uma transação específica por ID
+ * @param {number} transactionId - ID da transação
+ * @returns {Promise<Object|null>} Transação ou null se não encontrada
  */
-export async function addBatchTransaction(launchData) {
+export async function getTransactionById(transactionId) {
     try {
-        const { clientId, items } = launchData;
-        const timestamp = Date.now();
-        const transactionIds = [];
-        
-        // Usar transação do banco para garantir atomicidade
-        await db.transaction('rw', db.transactions, async () => {
-            for (const item of items) {
-                const transactionId = await db.transactions.add({
-                    clientId: parseInt(clientId),
-                    productId: parseInt(item.productId),
-                    qty: parseInt(item.qty),
-                    type: 'debit',
-                    timestamp: timestamp
-                });
-                
-                transactionIds.push(transactionId);
-            }
-        });
-        
-        console.log(`Lançamento em lote adicionado: ${items.length} itens para cliente ${clientId}`);
-        return transactionIds;
+        const transaction = await db.transactions.get(parseInt(transactionId));
+        return transaction ? await decryptRecord('transactions', transaction) : null;
     } catch (error) {
-        console.error('Erro ao adicionar lançamento em lote:', error);
-        throw new Error('Falha ao processar lançamento');
+        console.error('Erro ao buscar transação por ID:', error);
+        throw new Error('Falha ao buscar transação');
     }
 }
 
-/* ==========================================================================
-   OPERAÇÕES DE RELATÓRIOS E CÁLCULOS
-   ========================================================================== */
-
 /**
- * Calcula o saldo devedor de um cliente
- * @param {number} clientId - ID do cliente
- * @returns {Promise<number>} Valor total em dívida
+ * Busca todas as transações, em ordem cronológica
+ * @returns {Promise<Array>} Array de transações
  */
-export async function getClientBalance(clientId) {
+export async function getAllTransactions() {
     try {
-        // Buscar todas as transações do cliente
-        const transactions = await getTransactionsByClientId(clientId);
-        
-        // Buscar informações dos produtos para calcular valores
-        const products = await getAllProducts();
-        const productsMap = products.reduce((acc, product) => {
-            acc[product.id] = product.price;
+        const transactions = await db.transactions
+            .orderBy('timestamp')
+            .toArray();
+        
+        console.log(`${transactions.length} transações encontradas`);
+        return await decryptRecords('transactions', transactions);
+    } catch (error) {
+        console.error('Erro ao buscar transações:', error);
+        throw new Error('Falha ao buscar transações');
+    }
+}
+
+/**
+ * Busca todas as transações de um período, em ordem cronológica
+ * @param {number} startTimestamp - Início do período (inclusive)
+ * @param {number} endTimestamp - Fim do período (inclusive)
+ * @returns {Promise<Array>} Array de transações do período
+ */
+export async function getTransactionsByDateRange(startTimestamp, endTimestamp) {
+    try {
+        const transactions = await db.transactions
+            .where('timestamp')
+            .between(startTimestamp, endTimestamp, true, true)
+            .toArray();
+        
+        console.log(`${transactions.length} transações encontradas no período`);
+        return await decryptRecords('transactions', transactions);
+    } catch (error) {
+        console.error('Erro ao buscar transações do período:', error);
+        throw new Error('Falha ao buscar transações do período');
+    }
+}
+
+/**
+ * Busca uma página do extrato de um cliente, da transação mais recente para a mais antiga
+ * Transações com o mesmo horário (itens de uma comanda) nunca ficam divididas entre páginas
+ * @param {number} clientId - ID do cliente
+ * @param {Object} [options] - Opções da consulta
+ * @param {number|null} [options.start=null] - Início do período (inclusive; null = desde o início)
+ * @param {number|null} [options.end=null] - Fim do período (inclusive; null = até agora)
+ * @param {number|null} [options.before=null] - Cursor: só transações anteriores a este timestamp
+ * @param {number} [options.limit=30] - Quantidade mínima de transações por página
+ * @returns {Promise<Object>} {transactions, launches, nextCursor, hasMore}
+ */
+export async function getStatementPage(clientId, { start = null, end = null, before = null, limit = 30 } = {}) {
+    try {
+        const id = parseInt(clientId);
+        const lower = start === null ? -Infinity : start;
+        const upper = before !== null ? before : (end === null ? Infinity : end);
+        
+        const transactions = await db.transactions
+            .where('[clientId+timestamp]')
+            .between([id, lower], [id, upper], true, before === null)
+            .reverse()
+            .limit(limit)
+            .toArray();
+        
+        const hasMore = transactions.length === limit;
+        const nextCursor = transactions.length > 0 ? transactions[transactions.length - 1].timestamp : null;
+        
+        // Completar a página com o restante das transações do último horário
+        if (hasMore) {
+            const loadedIds = new Set(transactions.map(transaction => transaction.id));
+            const sameTime = await db.transactions
+                .where('[clientId+timestamp]')
+                .equals([id, nextCursor])
+                .reverse()
+                .toArray();
+            
+            transactions.push(...sameTime.filter(transaction => !loadedIds.has(transaction.id)));
+        }
+        
+        const launchIds = [...new Set(transactions.map(transaction => transaction.launchId).filter(Boolean))];
+        const launches = (await db.launches.bulkGet(launchIds)).filter(Boolean);
+        
+        return { transactions: await decryptRecords('transactions', transactions), launches, nextCursor, hasMore };
+    } catch (error) {
+        console.error('Erro ao buscar página do extrato:', error);
+        throw new Error('Falha ao buscar extrato');
+    }
+}
+
+/**
+ * Calcula o resumo de um período do extrato a partir do saldo gravado do cliente,
+ * lendo só as transações do início do período em diante
+ * Consumo e pagamentos são líquidos dos estornos feitos no período
+ * @param {number} clientId - ID do cliente
+ * @param {number|null} start - Início do período (inclusive; null = desde o início)
+ * @param {number|null} end - Fim do período (inclusive; null = até agora)
+ * @returns {Promise<Object>} {openingBalance, consumption, payments, closingBalance, count}
+ */
+export async function getStatementSummary(clientId, start, end) {
+    try {
+        const id = parseInt(clientId);
+        const currentBalance = await getClientBalance(id);
+        let afterStart = 0;
+        let afterEnd = 0;
+        let consumption = 0;
+        let payments = 0;
+        let count = 0;
+        
+        await db.transactions
+            .where('[clientId+timestamp]')
+            .between([id, start === null ? -Infinity : start], [id, Infinity], true, true)
+            .each(transaction => {
+                const effect = getTransactionEffect(transaction);
+                afterStart += effect;
+                
+                if (end !== null && transaction.timestamp > end) {
+                    afterEnd += effect;
+                    return;
+                }
+                
+                count++;
+                
+                // Estorno de consumo tem efeito negativo; estorno de pagamento, positivo
+                if (transaction.type === 'debit' || (transaction.type === 'reversal' && effect < 0)) {
+                    consumption += effect;
+                } else {
+                    payments -= effect;
+                }
+            });
+        
+        return {
+            openingBalance: roundCurrency(currentBalance - afterStart),
+            consumption: roundCurrency(consumption),
+            payments: roundCurrency(payments),
+            closingBalance: roundCurrency(currentBalance - afterEnd),
+            count: count
+        };
+    } catch (error) {
+        console.error('Erro ao calcular resumo do extrato:', error);
+        throw new Error('Falha ao calcular resumo do extrato');
+    }
+}
+
+/**
+ * Busca os consumos mais recentes de um cliente que continuam valendo (sem estorno)
+ * Percorre o histórico do mais recente para o mais antigo e para ao juntar o limite
+ * @param {number} clientId - ID do cliente
+ * @param {number} [limit=5] - Quantidade máxima de consumos
+ * @returns {Promise<Array>} Consumos, mais recente primeiro
+ */
+export async function getRecentDebits(clientId, limit = 5) {
+    try {
+        const id = parseInt(clientId);
+        
+        const debits = await db.transactions
+            .where('[clientId+timestamp]')
+            .between([id, -Infinity], [id, Infinity])
+            .reverse()
+            .filter(transaction => transaction.type === 'debit' && !transaction.reversedBy)
+            .limit(limit)
+            .toArray();
+        
+        return await decryptRecords('transactions', debits);
+    } catch (error) {
+        console.error('Erro ao buscar consumos recentes:', error);
+        throw new Error('Falha ao buscar consumos recentes');
+    }
+}
+
+/**
+ * Busca, para cada cliente, o último pagamento válido e, se nunca pagou, o primeiro consumo
+ * Lê só o histórico dos clientes informados, pelo índice [clientId+timestamp]
+ * @param {Array<number>} clientIds - IDs dos clientes (ex: só os devedores)
+ * @returns {Promise<Object>} {clientId: {lastPaymentAt, firstDebitAt}} - null quando não há
+ */
+export async function getPaymentActivity(clientIds) {
+    try {
+        const activity = {};
+        
+        for (const id of clientIds) {
+            const range = db.transactions
+                .where('[clientId+timestamp]')
+                .between([id, -Infinity], [id, Infinity]);
+            
+            const lastPayment = await range.clone()
+                .reverse()
+                .filter(transaction => transaction.type === 'payment' && !transaction.reversedBy)
+                .first();
+            
+            const firstDebit = lastPayment ? null : await range.clone()
+                .filter(transaction => transaction.type === 'debit' && !transaction.reversedBy)
+                .first();
+            
+            activity[id] = {
+                lastPaymentAt: lastPayment ? lastPayment.timestamp : null,
+                firstDebitAt: firstDebit ? firstDebit.timestamp : null
+            };
+        }
+        
+        return activity;
+    } catch (error) {
+        console.error('Erro ao buscar pagamentos dos clientes:', error);
+        throw new Error('Falha ao buscar pagamentos dos clientes');
+    }
+}
+
+/**
+ * Encontra o último pagamento que quitou toda a dívida do cliente (saldo zerado ou a favor),
+ * percorrendo o histórico do mais recente para o mais antigo a partir do saldo gravado
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<number|null>} Timestamp desse pagamento ou null se nunca quitou
+ */
+export async function getLastSettlementTimestamp(clientId) {
+    try {
+        const id = parseInt(clientId);
+        let balance = await getClientBalance(id);
+        let settledAt = null;
+        
+        await db.transactions
+            .where('[clientId+timestamp]')
+            .between([id, -Infinity], [id, Infinity])
+            .reverse()
+            .until(() => settledAt !== null)
+            .each(transaction => {
+                // balance = saldo logo após esta transação
+                if (transaction.type === 'payment' && !transaction.reversedBy && roundCurrency(balance) <= 0) {
+                    settledAt = transaction.timestamp;
+                }
+                
+                balance -= getTransactionEffect(transaction);
+            });
+        
+        return settledAt;
+    } catch (error) {
+        console.error('Erro ao buscar última quitação:', error);
+        throw new Error('Falha ao buscar última quitação');
+    }
+}
+
+/**
+ * Adiciona um lançamento em lote (múltiplos produtos para um cliente)
+ * Cria uma comanda em 'launches' e uma transação por item vinculada a ela
+ * @param {Object} launchData - Dados do lançamento
+ * @param {number} launchData.clientId - ID do cliente
+ * @param {Array} launchData.items - Lista de itens: [{productId, qty}, ...]
+ * @param {string} [launchData.operator] - Nome de quem fez o lançamento (sem atendentes cadastrados;
+ *   com atendentes, vale o atendente logado)
+ * @returns {Promise<number>} ID da comanda criada
+ */
+export async function addBatchTransaction(launchData) {
+    try {
+        const { clientId, items } = launchData;
+        const timestamp = Date.now();
+        let launchId;
+        
+        // Usar transação do banco para garantir atomicidade
+        // (itens, comanda, baixa de estoque e saldo são gravados juntos ou nada é gravado)
+        await db.transaction('rw', db.transactions, db.products, db.launches, db.clients, async () => {
+            const launchItems = [];
+            
+            for (const item of items) {
+                const productId = parseInt(item.productId);
+                const qty = parseInt(item.qty);
+                
+                // Gravar o preço vigente para que o saldo não mude se o preço mudar depois
+                const product = await db.products.get(productId);
+                const unitPrice = product ? product.price : 0;
+                
+                launchItems.push({
+                    productId: productId,
+                    productName: product ? product.name : '',
+                    qty: qty,
+                    unitPrice: unitPrice,
+                    total: roundCurrency(unitPrice * qty)
+                });
+            }
+            
+            launchId = await db.launches.add({
+                clientId: parseInt(clientId),
+                timestamp: timestamp,
+                operator: currentOperator ? currentOperator.name : (launchData.operator ? launchData.operator.trim() : ''),
+                operatorId: getCurrentOperatorId(),
+                status: 'active',
+                total: roundCurrency(launchItems.reduce((sum, item) => sum + item.total, 0)),
+                items: launchItems
+            });
+            
+            for (const item of launchItems) {
+                const stockMoved = await adjustStock(item.productId, -item.qty);
+                
+                await db.transactions.add({
+                    clientId: parseInt(clientId),
+                    productId: item.productId,
+                    qty: item.qty,
+                    unitPrice: item.unitPrice,
+                    total: item.total,
+                    type: 'debit',
+                    launchId: launchId,
+                    stockMoved: stockMoved,
+                    operatorId: getCurrentOperatorId(),
+                    timestamp: timestamp
+                });
+            }
+            
+            await adjustClientBalance(parseInt(clientId), launchItems.reduce((sum, item) => sum + item.total, 0));
+        });
+        
+        console.log(`Lançamento em lote adicionado: comanda ${launchId} com ${items.length} itens para cliente ${clientId}`);
+        return launchId;
+    } catch (error) {
+        console.error('Erro ao adicionar lançamento em lote:', error);
+        throw new Error('Falha ao processar lançamento');
+    }
+}
+
+/* ==========================================================================
+   OPERAÇÕES DE COMANDAS
+   ========================================================================== */
+
+/**
+ * Busca os clientes que receberam lançamentos mais recentemente
+ * @param {number} [limit=5] - Quantidade máxima de clientes
+ * @returns {Promise<Array<number>>} IDs dos clientes, do mais recente para o mais antigo
+ */
+export async function getRecentClientIds(limit = 5) {
+    try {
+        const clientIds = [];
+        
+        await db.launches
+            .orderBy('timestamp')
+            .reverse()
+            .until(() => clientIds.length >= limit)
+            .each(launch => {
+                if (!clientIds.includes(launch.clientId)) {
+                    clientIds.push(launch.clientId);
+                }
+            });
+        
+        return clientIds;
+    } catch (error) {
+        console.error('Erro ao buscar clientes recentes:', error);
+        throw new Error('Falha ao buscar clientes recentes');
+    }
+}
+
+/**
+ * Busca todas as comandas de um cliente
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<Array>} Lista de comandas ordenadas por data (mais recente primeiro)
+ */
+export async function getLaunchesByClientId(clientId) {
+    try {
+        return await db.launches
+            .where('clientId')
+            .equals(parseInt(clientId))
+            .reverse()
+            .sortBy('timestamp');
+    } catch (error) {
+        console.error('Erro ao buscar comandas do cliente:', error);
+        throw new Error('Falha ao buscar comandas');
+    }
+}
+
+/**
+ * Busca uma comanda específica por ID
+ * @param {number} launchId - ID da comanda
+ * @returns {Promise<Object|null>} Comanda ou null se não encontrada
+ */
+export async function getLaunchById(launchId) {
+    try {
+        const launch = await db.launches.get(parseInt(launchId));
+        return launch || null;
+    } catch (error) {
+        console.error('Erro ao buscar comanda por ID:', error);
+        throw new Error('Falha ao buscar comanda');
+    }
+}
+
+/**
+ * Cancela uma comanda inteira
+ * Cada item ainda não estornado recebe um estorno com o mesmo motivo,
+ * mantendo o histórico auditável
+ * @param {number} launchId - ID da comanda
+ * @param {string} reason - Motivo do cancelamento (obrigatório)
+ * @returns {Promise<boolean>} true se cancelada com sucesso
+ */
+export async function voidLaunch(launchId, reason) {
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    
+    if (!trimmedReason) {
+        throw new Error('Informe o motivo do cancelamento');
+    }
+    
+    const launch = await db.launches.get(launchId);
+    
+    if (!launch) {
+        throw new Error('Comanda não encontrada');
+    }
+    
+    if (launch.status === 'voided') {
+        throw new Error('Comanda já foi cancelada');
+    }
+    
+    try {
+        await db.transaction('rw', db.launches, db.transactions, db.products, db.clients, db.pixCharges, async () => {
+            const timestamp = Date.now();
+            const rows = await db.transactions
+                .where('launchId')
+                .equals(launchId)
+                .filter(row => row.type === 'debit' && !row.reversedBy)
+                .toArray();
+            
+            for (const row of rows) {
+                await postReversal(row, trimmedReason, timestamp);
+            }
+            
+            await db.launches.update(launchId, {
+                status: 'voided',
+                voidedAt: timestamp,
+                voidReason: trimmedReason,
+                voidedBy: getCurrentOperatorId()
+            });
+        });
+        
+        console.log(`Comanda cancelada: ID ${launchId}`);
+        return true;
+    } catch (error) {
+        console.error('Erro ao cancelar comanda:', error);
+        throw new Error('Falha ao cancelar comanda');
+    }
+}
+
+/* ==========================================================================
+   OPERAÇÕES DE ESTORNO
+   ========================================================================== */
+
+/**
+ * Estorna uma transação (consumo ou pagamento)
+ * A original permanece no histórico e recebe o vínculo com o estorno;
+ * o estorno carrega o valor inverso, zerando o efeito no saldo
+ * @param {number} transactionId - ID da transação a ser estornada
+ * @param {string} reason - Motivo do estorno (obrigatório)
+ * @returns {Promise<number>} ID da transação de estorno criada
+ */
+export async function reverseTransaction(transactionId, reason) {
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    
+    if (!trimmedReason) {
+        throw new Error('Informe o motivo do estorno');
+    }
+    
+    const original = await db.transactions.get(transactionId);
+    
+    if (!original) {
+        throw new Error('Transação não encontrada');
+    }
+    
+    if (original.type === 'reversal') {
+        throw new Error('Um estorno não pode ser estornado');
+    }
+    
+    if (original.reversedBy) {
+        throw new Error('Transação já foi estornada');
+    }
+    
+    try {
+        let reversalId;
+        
+        await db.transaction('rw', db.transactions, db.products, db.clients, db.pixCharges, async () => {
+            reversalId = await postReversal(original, trimmedReason, Date.now());
+        });
+        
+        console.log(`Transação ${transactionId} estornada (estorno ID: ${reversalId})`);
+        return reversalId;
+    } catch (error) {
+        console.error('Erro ao estornar transação:', error);
+        throw new Error('Falha ao estornar transação');
+    }
+}
+
+/**
+ * Grava o estorno de uma transação, marca a original como estornada e ajusta o saldo do cliente
+ * Estornos de consumo devolvem ao estoque os itens que deram baixa nele; estornos de
+ * pagamento de cobrança Pix reabrem a cobrança.
+ * Deve ser chamada dentro de uma transação 'rw' com db.transactions, db.products, db.clients e db.pixCharges
+ * @param {Object} original - Transação original
+ * @param {string} reason - Motivo do estorno
+ * @param {number} timestamp - Momento do estorno
+ * @returns {Promise<number>} ID do estorno
+ */
+async function postReversal(original, reason, timestamp) {
+    const reversal = {
+        clientId: original.clientId,
+        type: 'reversal',
+        reversalOf: original.id,
+        amount: -getTransactionEffect(original),
+        reason: reason,
+        operatorId: getCurrentOperatorId(),
+        timestamp: timestamp
+    };
+    
+    // Estornos de itens de comanda ficam agrupados com ela no extrato
+    if (original.launchId) {
+        reversal.launchId = original.launchId;
+    }
+    
+    const reversalId = await db.transactions.add(reversal);
+    await db.transactions.update(original.id, { reversedBy: reversalId });
+    await adjustClientBalance(original.clientId, reversal.amount);
+    
+    // Só devolve ao estoque o que saiu dele no lançamento
+    if (original.type === 'debit' && original.stockMoved) {
+        await adjustStock(original.productId, original.qty);
+    }
+    
+    // A cobrança volta a ficar em aberto para receber outro pagamento
+    if (original.type === 'payment' && original.pixTxid) {
+        await db.pixCharges
+            .where('txid').equals(original.pixTxid)
+            .filter(charge => charge.paymentId === original.id)
+            .modify(charge => {
+                charge.status = 'pending';
+                delete charge.paymentId;
+                delete charge.paidAt;
+            });
+    }
+    
+    return reversalId;
+}
+
+/* ==========================================================================
+   OPERAÇÕES DE RELATÓRIOS E CÁLCULOS
+   ========================================================================== */
+
+/**
+ * Retorna o saldo devedor de um cliente (gravado no cadastro, sem ler o histórico)
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<number>} Valor total em dívida
+ */
+export async function getClientBalance(clientId) {
+    try {
+        const client = await db.clients.get(parseInt(clientId));
+        return roundCurrency((client && client.balance) || 0);
+    } catch (error) {
+        console.error('Erro ao buscar saldo do cliente:', error);
+        throw new Error('Falha ao buscar saldo');
+    }
+}
+
+/**
+ * Retorna o saldo devedor de todos os clientes de uma só vez
+ * @returns {Promise<Object>} Mapa clientId => saldo
+ */
+export async function getAllClientBalances() {
+    try {
+        const balances = {};
+        
+        await db.clients.each(client => {
+            balances[client.id] = roundCurrency(client.balance || 0);
+        });
+        
+        return balances;
+    } catch (error) {
+        console.error('Erro ao buscar saldos dos clientes:', error);
+        throw new Error('Falha ao buscar saldos');
+    }
+}
+
+/**
+ * Soma um valor ao saldo gravado de um cliente
+ * Deve ser chamada dentro da mesma transação 'rw' (com db.clients) que grava
+ * o lançamento, pagamento ou estorno, para o saldo nunca divergir do histórico
+ * @param {number} clientId - ID do cliente
+ * @param {number} delta - Efeito no saldo (positivo = dívida aumenta)
+ */
+async function adjustClientBalance(clientId, delta) {
+    await db.clients
+        .where('id').equals(clientId)
+        .modify(client => {
+            client.balance = roundCurrency((client.balance || 0) + delta);
+        });
+}
+
+/**
+ * Calcula o saldo de cada cliente somando todas as transações do histórico
+ * Consumos somam, pagamentos subtraem e estornos anulam a transação original
+ * @param {Object} transactionsTable - Tabela de transações (db.transactions ou tx.table)
+ * @returns {Promise<Object>} Mapa clientId => saldo
+ */
+async function computeLedgerBalances(transactionsTable) {
+    const balances = {};
+    
+    await transactionsTable.each(transaction => {
+        balances[transaction.clientId] = (balances[transaction.clientId] || 0) + getTransactionEffect(transaction);
+    });
+    
+    for (const clientId of Object.keys(balances)) {
+        balances[clientId] = roundCurrency(balances[clientId]);
+    }
+    
+    return balances;
+}
+
+/**
+ * Grava em cada cliente o saldo calculado do histórico
+ * Deve ser chamada dentro de uma transação 'rw' com db.clients e db.transactions
+ * @returns {Promise<Array>} Clientes cujo saldo gravado estava diferente:
+ *   [{clientId, name, stored, computed, difference}]
+ */
+async function rebuildClientBalances() {
+    const balances = await computeLedgerBalances(db.transactions);
+    const drifts = [];
+    
+    await db.clients.toCollection().modify(client => {
+        const stored = roundCurrency(client.balance || 0);
+        const computed = balances[client.id] || 0;
+        
+        if (stored !== computed) {
+            drifts.push({
+                clientId: client.id,
+                name: client.name,
+                stored: stored,
+                computed: computed,
+                difference: roundCurrency(computed - stored)
+            });
+        }
+        
+        client.balance = computed;
+    });
+    
+    return drifts;
+}
+
+/**
+ * Recalcula os saldos de todos os clientes a partir do histórico de transações
+ * e corrige os que estiverem diferentes (ferramenta de integridade)
+ * @returns {Promise<Object>} {checked, drifts: [{clientId, name, stored, computed, difference}]}
+ */
+export async function recalculateBalances() {
+    try {
+        let drifts = [];
+        let checked = 0;
+        
+        await db.transaction('rw', db.clients, db.transactions, async () => {
+            checked = await db.clients.count();
+            drifts = await rebuildClientBalances();
+        });
+        
+        console.log(`Saldos recalculados: ${checked} clientes, ${drifts.length} divergências corrigidas`);
+        return { checked, drifts };
+    } catch (error) {
+        console.error('Erro ao recalcular saldos:', error);
+        throw new Error('Falha ao recalcular saldos');
+    }
+}
+
+/**
+ * Calcula, numa única passada pelas transações, as datas da última compra e do
+ * último pagamento de todos os clientes (lançamentos estornados não contam)
+ * @returns {Promise<Object>} Mapa clientId => {lastPurchaseAt, lastPaymentAt}
+ */
+export async function getClientsActivity() {
+    try {
+        const activity = {};
+        
+        await db.transactions.each(transaction => {
+            const entry = activity[transaction.clientId] ||
+                (activity[transaction.clientId] = { lastPurchaseAt: null, lastPaymentAt: null });
+            
+            if (transaction.reversedBy) return;
+            
+            if (transaction.type === 'debit' && transaction.timestamp > (entry.lastPurchaseAt || 0)) {
+                entry.lastPurchaseAt = transaction.timestamp;
+            } else if (transaction.type === 'payment' && transaction.timestamp > (entry.lastPaymentAt || 0)) {
+                entry.lastPaymentAt = transaction.timestamp;
+            }
+        });
+        
+        return activity;
+    } catch (error) {
+        console.error('Erro ao calcular movimentação dos clientes:', error);
+        throw new Error('Falha ao calcular movimentação dos clientes');
+    }
+}
+
+/**
+ * Registra um pagamento de cliente
+ * @param {Object} paymentData - Dados do pagamento
+ * @param {number} paymentData.clientId - ID do cliente
+ * @param {number} paymentData.amount - Valor do pagamento
+ * @param {string} [paymentData.method='dinheiro'] - Forma de pagamento (chave de PAYMENT_METHODS)
+ * @param {string} [paymentData.note] - Observação opcional
+ * @param {string} [paymentData.pixTxid] - txid da cobrança Pix paga (marca a cobrança como paga)
+ * @returns {Promise<number>} ID da transação de pagamento criada
+ */
+export async function addPayment(paymentData) {
+    const amount = roundCurrency(parseFloat(paymentData.amount));
+    const method = paymentData.method || 'dinheiro';
+    
+    if (!(amount > 0)) {
+        throw new Error('Valor do pagamento deve ser maior que zero');
+    }
+    
+    if (!PAYMENT_METHODS[method]) {
+        throw new Error(`Forma de pagamento inválida: ${method}`);
+    }
+    
+    if (paymentData.pixTxid) {
+        const charge = await db.pixCharges.where('txid').equals(paymentData.pixTxid).first();
+        
+        if (!charge) {
+            throw new Error('Cobrança Pix não encontrada');
+        }
+        
+        if (charge.clientId !== parseInt(paymentData.clientId)) {
+            throw new Error('A cobrança Pix é de outro cliente');
+        }
+    }
+    
+    try {
+        const payment = await encryptRecord('transactions', {
+            clientId: parseInt(paymentData.clientId),
+            type: 'payment',
+            amount: amount,
+            method: method,
+            note: paymentData.note ? paymentData.note.trim() : '',
+            operatorId: getCurrentOperatorId(),
+            timestamp: Date.now()
+        });
+        
+        if (paymentData.pixTxid) {
+            payment.pixTxid = paymentData.pixTxid;
+        }
+        
+        // Pagamento, saldo do cliente e baixa da cobrança Pix na mesma transação
+        const paymentId = await db.transaction('rw', db.transactions, db.clients, db.pixCharges, async () => {
+            const id = await db.transactions.add(payment);
+            await adjustClientBalance(payment.clientId, -amount);
+            
+            if (payment.pixTxid) {
+                await db.pixCharges
+                    .where('txid').equals(payment.pixTxid)
+                    .modify({ status: 'paid', paymentId: id, paidAt: payment.timestamp });
+            }
+            
+            return id;
+        });
+        
+        console.log(`Pagamento registrado: Cliente ${paymentData.clientId}, Valor R$ ${amount} (${method}) (ID: ${paymentId})`);
+        return paymentId;
+    } catch (error) {
+        console.error('Erro ao registrar pagamento:', error);
+        throw new Error('Falha ao registrar pagamento');
+    }
+}
+
+/* ==========================================================================
+   COBRANÇAS PIX
+   ========================================================================== */
+
+/**
+ * Registra uma cobrança Pix gerada para um cliente
+ * @param {Object} chargeData - Dados da cobrança
+ * @param {string} chargeData.txid - Identificador gravado no BR Code
+ * @param {number} chargeData.clientId - ID do cliente
+ * @param {number} chargeData.amount - Valor cobrado
+ * @param {string} chargeData.payload - Pix "copia e cola" gerado
+ * @returns {Promise<number>} ID da cobrança criada
+ */
+export async function addPixCharge(chargeData) {
+    const amount = roundCurrency(parseFloat(chargeData.amount));
+    
+    if (!chargeData.txid) {
+        throw new Error('txid da cobrança é obrigatório');
+    }
+    
+    if (!(amount > 0)) {
+        throw new Error('Valor da cobrança deve ser maior que zero');
+    }
+    
+    try {
+        const chargeId = await db.pixCharges.add({
+            txid: chargeData.txid,
+            clientId: parseInt(chargeData.clientId),
+            amount: amount,
+            payload: chargeData.payload,
+            status: 'pending',
+            createdAt: Date.now()
+        });
+        
+        console.log(`Cobrança Pix registrada: Cliente ${chargeData.clientId}, R$ ${amount}, txid ${chargeData.txid}`);
+        return chargeId;
+    } catch (error) {
+        console.error('Erro ao registrar cobrança Pix:', error);
+        throw new Error('Falha ao registrar cobrança Pix');
+    }
+}
+
+/**
+ * Busca uma cobrança Pix pelo txid (para conciliar um pagamento recebido)
+ * @param {string} txid - Identificador da cobrança
+ * @returns {Promise<Object|undefined>} Cobrança encontrada
+ */
+export async function getPixChargeByTxid(txid) {
+    try {
+        return await db.pixCharges.where('txid').equals(txid).first();
+    } catch (error) {
+        console.error('Erro ao buscar cobrança Pix:', error);
+        throw new Error('Falha ao buscar cobrança Pix');
+    }
+}
+
+/**
+ * Busca as cobranças Pix de um cliente, mais recentes primeiro
+ * @param {number} clientId - ID do cliente
+ * @returns {Promise<Array>} Lista de cobranças
+ */
+export async function getPixChargesByClientId(clientId) {
+    try {
+        const charges = await db.pixCharges.where('clientId').equals(clientId).toArray();
+        return charges.sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+        console.error('Erro ao buscar cobranças Pix do cliente:', error);
+        throw new Error('Falha ao buscar cobranças Pix');
+    }
+}
+
+/* ==========================================================================
+   CONFIGURAÇÕES
+   ========================================================================== */
+
+/**
+ * Busca todas as configurações, completando com os valores padrão
+ * @returns {Promise<Object>} Configurações {chave: valor}
+ */
+export async function getSettings() {
+    try {
+        const rows = await db.settings.toArray();
+        
+        return rows.reduce((acc, row) => {
+            acc[row.key] = row.value;
             return acc;
-        }, {});
+        }, { ...DEFAULT_SETTINGS });
+    } catch (error) {
+        console.error('Erro ao buscar configurações:', error);
+        throw new Error('Falha ao buscar configurações');
+    }
+}
+
+/**
+ * Busca uma configuração específica
+ * @param {string} key - Chave da configuração
+ * @returns {Promise<*>} Valor gravado ou o padrão de DEFAULT_SETTINGS
+ */
+export async function getSetting(key) {
+    try {
+        const row = await db.settings.get(key);
+        return row ? row.value : DEFAULT_SETTINGS[key];
+    } catch (error) {
+        console.error('Erro ao buscar configuração:', error);
+        throw new Error('Falha ao buscar configuração');
+    }
+}
+
+/**
+ * Grava várias configurações de uma vez (somente administradores)
+ * As chaves alteradas ficam no registro de ações (ex: troca da chave Pix)
+ * @param {Object} values - Configurações {chave: valor}
+ * @returns {Promise<boolean>} true se gravadas com sucesso
+ */
+export async function saveSettings(values) {
+    await requireAdmin();
+    
+    try {
+        const current = await getSettings();
+        const changedKeys = Object.keys(values).filter(key => current[key] !== values[key]);
+        
+        await db.transaction('rw', db.settings, db.auditLog, async () => {
+            await db.settings.bulkPut(
+                Object.entries(values).map(([key, value]) => ({ key, value }))
+            );
+            
+            if (changedKeys.length > 0) {
+                await addAuditEntry('settings-changed', `Configurações alteradas: ${changedKeys.join(', ')}`);
+            }
+        });
+        
+        console.log(`Configurações salvas: ${Object.keys(values).join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error('Erro ao salvar configurações:', error);
+        throw new Error('Falha ao salvar configurações');
+    }
+}
+
+/* ==========================================================================
+   ATENDENTES (OPERADORES) E REGISTRO DE AÇÕES
+   ========================================================================== */
+
+// Atendente que está usando o aparelho (null = nenhum logado)
+let currentOperator = null;
+
+/**
+ * Define o atendente que está usando o aparelho; as próximas gravações levam o seu ID
+ * @param {Object|null} operator - Atendente ({id, name, isAdmin}) ou null para sair
+ */
+export function setCurrentOperator(operator) {
+    currentOperator = operator
+        ? { id: operator.id, name: operator.name, isAdmin: !!operator.isAdmin }
+        : null;
+}
+
+/**
+ * Retorna o atendente que está usando o aparelho
+ * @returns {Object|null} {id, name, isAdmin} ou null
+ */
+export function getCurrentOperator() {
+    return currentOperator;
+}
+
+/**
+ * ID do atendente logado, gravado em transações e registros
+ * @returns {number|null} ID ou null (nenhum atendente logado)
+ */
+function getCurrentOperatorId() {
+    return currentOperator ? currentOperator.id : null;
+}
+
+/**
+ * Garante que a ação é feita por um administrador
+ * Sem atendentes cadastrados o aplicativo funciona sem restrições
+ */
+async function requireAdmin() {
+    if (currentOperator && currentOperator.isAdmin) {
+        return;
+    }
+    
+    if (await db.operators.count() > 0) {
+        throw new Error('Ação permitida apenas para administradores');
+    }
+}
+
+/**
+ * Grava uma ação no registro, com o atendente logado
+ * Deve ser chamada dentro de uma transação 'rw' que inclua db.auditLog
+ * @param {string} action - Código da ação (ex: 'client-deleted')
+ * @param {string} description - Descrição legível
+ */
+async function addAuditEntry(action, description) {
+    await db.auditLog.add({
+        timestamp: Date.now(),
+        operatorId: getCurrentOperatorId(),
+        operatorName: currentOperator ? currentOperator.name : '',
+        action: action,
+        description: description
+    });
+}
+
+/**
+ * Busca todos os atendentes ordenados por nome
+ * @returns {Promise<Array>} Lista de atendentes (com pinHash e pinSalt)
+ */
+export async function getAllOperators() {
+    try {
+        return await db.operators.orderBy('name').toArray();
+    } catch (error) {
+        console.error('Erro ao buscar atendentes:', error);
+        throw new Error('Falha ao buscar atendentes');
+    }
+}
+
+/**
+ * Cadastra um atendente
+ * O primeiro atendente é sempre administrador; os demais só um administrador cadastra
+ * @param {Object} operatorData - Dados do atendente
+ * @param {string} operatorData.name - Nome
+ * @param {string} operatorData.pinHash - Hash do PIN (OperatorService.hashPin)
+ * @param {string} operatorData.pinSalt - Sal do hash
+ * @param {boolean} [operatorData.isAdmin=false] - Administrador
+ * @returns {Promise<number>} ID do atendente criado
+ */
+export async function addOperator(operatorData) {
+    const name = (operatorData.name || '').trim();
+    
+    if (!name) {
+        throw new Error('Nome do atendente é obrigatório');
+    }
+    
+    if (!operatorData.pinHash || !operatorData.pinSalt) {
+        throw new Error('PIN do atendente é obrigatório');
+    }
+    
+    const isFirst = await db.operators.count() === 0;
+    
+    if (!isFirst) {
+        await requireAdmin();
+    }
+    
+    try {
+        let operatorId;
+        
+        await db.transaction('rw', db.operators, db.auditLog, async () => {
+            operatorId = await db.operators.add({
+                name: name,
+                pinHash: operatorData.pinHash,
+                pinSalt: operatorData.pinSalt,
+                isAdmin: isFirst || !!operatorData.isAdmin,
+                createdAt: Date.now()
+            });
+            
+            await addAuditEntry('operator-added', `Atendente "${name}" cadastrado${isFirst || operatorData.isAdmin ? ' (administrador)' : ''}`);
+        });
+        
+        console.log(`Atendente adicionado: ${name} (ID: ${operatorId})`);
+        return operatorId;
+    } catch (error) {
+        console.error('Erro ao adicionar atendente:', error);
+        throw new Error('Falha ao adicionar atendente');
+    }
+}
+
+/**
+ * Atualiza um atendente (somente administradores)
+ * @param {number} operatorId - ID do atendente
+ * @param {Object} operatorData - {name, isAdmin, pinHash?, pinSalt?} - sem pinHash o PIN é mantido
+ * @returns {Promise<boolean>} true se atualizado
+ */
+export async function updateOperator(operatorId, operatorData) {
+    const name = (operatorData.name || '').trim();
+    
+    if (!name) {
+        throw new Error('Nome do atendente é obrigatório');
+    }
+    
+    await requireAdmin();
+    
+    const operator = await db.operators.get(operatorId);
+    
+    if (!operator) {
+        throw new Error('Atendente não encontrado');
+    }
+    
+    if (operator.isAdmin && !operatorData.isAdmin && await countAdmins() === 1) {
+        throw new Error('É preciso manter pelo menos um administrador');
+    }
+    
+    try {
+        const changes = { name: name, isAdmin: !!operatorData.isAdmin, updatedAt: Date.now() };
+        
+        if (operatorData.pinHash) {
+            changes.pinHash = operatorData.pinHash;
+            changes.pinSalt = operatorData.pinSalt;
+        }
+        
+        await db.transaction('rw', db.operators, db.auditLog, async () => {
+            await db.operators.update(operatorId, changes);
+            await addAuditEntry('operator-updated', `Atendente "${name}" alterado${operatorData.pinHash ? ' (novo PIN)' : ''}`);
+        });
+        
+        // Manter a sessão em dia se o próprio atendente logado foi alterado
+        if (currentOperator && currentOperator.id === operatorId) {
+            setCurrentOperator({ id: operatorId, ...changes });
+        }
+        
+        console.log(`Atendente atualizado: ${name} (ID: ${operatorId})`);
+        return true;
+    } catch (error) {
+        console.error('Erro ao atualizar atendente:', error);
+        throw new Error('Falha ao atualizar atendente');
+    }
+}
+
+/**
+ * Remove um atendente (somente administradores)
+ * As transações continuam com o operatorId; o registro de ações guarda o nome
+ * @param {number} operatorId - ID do atendente
+ * @returns {Promise<boolean>} true se removido
+ */
+export async function deleteOperator(operatorId) {
+    await requireAdmin();
+    
+    const operator = await db.operators.get(operatorId);
+    
+    if (!operator) {
+        throw new Error('Atendente não encontrado');
+    }
+    
+    if (currentOperator && currentOperator.id === operatorId) {
+        throw new Error('Não é possível excluir o atendente que está logado');
+    }
+    
+    if (operator.isAdmin && await countAdmins() === 1) {
+        throw new Error('É preciso manter pelo menos um administrador');
+    }
+    
+    try {
+        await db.transaction('rw', db.operators, db.auditLog, async () => {
+            await db.operators.delete(operatorId);
+            await addAuditEntry('operator-removed', `Atendente "${operator.name}" excluído`);
+        });
+        
+        console.log(`Atendente removido: ${operator.name} (ID: ${operatorId})`);
+        return true;
+    } catch (error) {
+        console.error('Erro ao remover atendente:', error);
+        throw new Error('Falha ao remover atendente');
+    }
+}
+
+/**
+ * Conta os administradores cadastrados
+ * @returns {Promise<number>} Quantidade de administradores
+ */
+async function countAdmins() {
+    return db.operators.filter(operator => operator.isAdmin).count();
+}
+
+/**
+ * Busca as ações registradas mais recentes
+ * @param {number} [limit=50] - Quantidade máxima de registros
+ * @returns {Promise<Array>} Registros {timestamp, operatorId, operatorName, action, description}, mais recente primeiro
+ */
+export async function getAuditLog(limit = 50) {
+    try {
+        return await db.auditLog
+            .orderBy('timestamp')
+            .reverse()
+            .limit(limit)
+            .toArray();
+    } catch (error) {
+        console.error('Erro ao buscar registro de ações:', error);
+        throw new Error('Falha ao buscar registro de ações');
+    }
+}
+
+/* ==========================================================================
+   FRASE-SENHA E CRIPTOGRAFIA DOS DADOS PESSOAIS
+   ========================================================================== */
+
+// Campos gravados cifrados (AES-GCM) quando a proteção está ativa
+// Ficam em claro (e o aviso da tela de ajustes diz isso): o nome do cliente, que é indexado
+// e ordena as listas; saldos e valores, que os índices e relatórios somam; e as descrições
+// do registro de ações, gravadas dentro das transações do Dexie, onde o WebCrypto não roda
+const ENCRYPTED_FIELDS = {
+    clients: ['nickname', 'phone'],
+    transactions: ['note']
+};
+
+// Chave da sessão: só existe em memória, entre o desbloqueio e o próximo bloqueio
+let dataKey = null;
+
+/**
+ * Busca a configuração da proteção (sal, iterações e verificador)
+ * @returns {Promise<Object|undefined>} Configuração ou undefined se desativada
+ */
+async function getEncryptionConfig() {
+    return db.security.get('encryption');
+}
+
+/**
+ * Verifica se a proteção por frase-senha está ativa
+ * @returns {Promise<boolean>} true se ativa
+ */
+export async function isEncryptionEnabled() {
+    try {
+        return !!(await getEncryptionConfig());
+    } catch (error) {
+        console.error('Erro ao verificar proteção:', error);
+        throw new Error('Falha ao verificar proteção dos dados');
+    }
+}
+
+/**
+ * Verifica se os dados estão desbloqueados nesta sessão
+ * @returns {boolean} true se a chave está em memória
+ */
+export function isUnlocked() {
+    return dataKey !== null;
+}
+
+/**
+ * Deriva a chave da frase-senha e confere com o verificador gravado
+ * @param {string} passphrase - Frase-senha digitada
+ * @param {Object} config - Configuração da proteção
+ * @returns {Promise<CryptoKey|null>} Chave, ou null se a frase-senha não confere
+ */
+async function deriveCheckedKey(passphrase, config) {
+    const key = await CryptoService.deriveKey(passphrase, config.salt, config.iterations);
+    return await CryptoService.checkVerifier(key, config.verifier) ? key : null;
+}
+
+/**
+ * Desbloqueia os dados com a frase-senha
+ * @param {string} passphrase - Frase-senha digitada
+ * @returns {Promise<boolean>} true se a frase-senha confere
+ */
+export async function unlock(passphrase) {
+    const config = await getEncryptionConfig();
+    
+    if (!config) {
+        return true;
+    }
+    
+    const key = await deriveCheckedKey(passphrase || '', config);
+    
+    if (!key) {
+        return false;
+    }
+    
+    dataKey = key;
+    console.log('Dados desbloqueados');
+    return true;
+}
+
+/**
+ * Bloqueia os dados: a chave sai da memória até o próximo desbloqueio
+ */
+export function lock() {
+    dataKey = null;
+    console.log('Dados bloqueados');
+}
+
+/**
+ * Cifra os campos pessoais de um registro com a chave da sessão
+ * Com a proteção desativada o registro é gravado em claro
+ * @param {string} tableName - Tabela (chave de ENCRYPTED_FIELDS)
+ * @param {Object} record - Registro (ou alterações) em claro
+ * @param {CryptoKey|null} [key] - Chave (padrão: a da sessão)
+ * @returns {Promise<Object>} Novo objeto com os campos cifrados
+ */
+async function encryptRecord(tableName, record, key = dataKey) {
+    if (!key) {
+        if (await getEncryptionConfig()) {
+            throw new Error('Aplicativo bloqueado: digite a frase-senha');
+        }
         
-        // Calcular saldo
-        let balance = 0;
+        return record;
+    }
+    
+    const encrypted = { ...record };
+    
+    for (const field of ENCRYPTED_FIELDS[tableName]) {
+        if (typeof record[field] === 'string' && record[field] !== '') {
+            encrypted[field] = await CryptoService.encryptText(key, record[field]);
+        }
+    }
+    
+    return encrypted;
+}
+
+/**
+ * Cifra os campos pessoais de vários registros
+ * @param {string} tableName - Tabela (chave de ENCRYPTED_FIELDS)
+ * @param {Array} records - Registros em claro
+ * @param {CryptoKey|null} [key] - Chave (padrão: a da sessão)
+ * @returns {Promise<Array>} Registros com os campos cifrados
+ */
+async function encryptRecords(tableName, records, key = dataKey) {
+    const encrypted = [];
+    
+    for (const record of records) {
+        encrypted.push(await encryptRecord(tableName, record, key));
+    }
+    
+    return encrypted;
+}
+
+/**
+ * Decifra os campos pessoais de um registro lido do banco
+ * @param {string} tableName - Tabela (chave de ENCRYPTED_FIELDS)
+ * @param {Object} record - Registro como está gravado
+ * @param {CryptoKey|null} [key] - Chave (padrão: a da sessão)
+ * @returns {Promise<Object>} Registro com os campos em claro
+ */
+async function decryptRecord(tableName, record, key = dataKey) {
+    const fields = ENCRYPTED_FIELDS[tableName].filter(field => CryptoService.isEncryptedValue(record[field]));
+    
+    if (fields.length === 0) {
+        return record;
+    }
+    
+    if (!key) {
+        throw new Error('Aplicativo bloqueado: digite a frase-senha');
+    }
+    
+    const decrypted = { ...record };
+    
+    for (const field of fields) {
+        decrypted[field] = await CryptoService.decryptText(key, record[field]);
+    }
+    
+    return decrypted;
+}
+
+/**
+ * Decifra os campos pessoais de vários registros
+ * @param {string} tableName - Tabela (chave de ENCRYPTED_FIELDS)
+ * @param {Array} records - Registros como estão gravados
+ * @param {CryptoKey|null} [key] - Chave (padrão: a da sessão)
+ * @returns {Promise<Array>} Registros com os campos em claro
+ */
+async function decryptRecords(tableName, records, key = dataKey) {
+    const decrypted = [];
+    
+    for (const record of records) {
+        decrypted.push(await decryptRecord(tableName, record, key));
+    }
+    
+    return decrypted;
+}
+
+/**
+ * Regrava os campos pessoais de todas as tabelas trocando a chave
+ * A cifragem é feita antes da transação (WebCrypto não roda dentro dela); a gravação
+ * dos campos e da nova configuração acontece de uma vez
+ * @param {CryptoKey|null} fromKey - Chave atual (null = dados em claro)
+ * @param {CryptoKey|null} toKey - Nova chave (null = gravar em claro)
+ * @param {Object|null} config - Nova configuração (null = desativar a proteção)
+ * @returns {Promise<number>} Quantidade de registros regravados
+ */
+async function reencryptAllData(fromKey, toKey, config) {
+    const changes = {};
+    let count = 0;
+    
+    for (const [tableName, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+        const rows = await db.table(tableName).toArray();
+        changes[tableName] = [];
         
-        for (const transaction of transactions) {
-            const productPrice = productsMap[transaction.productId] || 0;
-            const amount = productPrice * transaction.qty;
+        for (const row of rows) {
+            const plain = await decryptRecord(tableName, row, fromKey);
+            const values = fields.reduce((acc, field) => {
+                acc[field] = plain[field];
+                return acc;
+            }, {});
             
-            if (transaction.type === 'debit') {
-                balance += amount; // Adiciona à dívida
-            } else if (transaction.type === 'credit') {
-                balance -= amount; // Remove da dívida (pagamento)
+            changes[tableName].push({ id: row.id, values: toKey ? await encryptRecord(tableName, values, toKey) : values });
+        }
+    }
+    
+    await db.transaction('rw', db.clients, db.transactions, db.security, db.auditLog, async () => {
+        for (const [tableName, rows] of Object.entries(changes)) {
+            for (const { id, values } of rows) {
+                await db.table(tableName).update(id, values);
+                count++;
             }
         }
         
-        return balance;
+        if (config) {
+            await db.security.put(config);
+        } else {
+            await db.security.delete('encryption');
+        }
+        
+        await addAuditEntry(config ? 'encryption-key-set' : 'encryption-disabled',
+            config ? 'Frase-senha dos dados definida' : 'Proteção por frase-senha desativada');
+    });
+    
+    return count;
+}
+
+/**
+ * Cria a configuração da proteção para uma nova frase-senha
+ * @param {string} passphrase - Nova frase-senha (já validada)
+ * @returns {Promise<Object>} {key, config}
+ */
+async function createEncryptionConfig(passphrase) {
+    const salt = CryptoService.generateSalt();
+    const key = await CryptoService.deriveKey(passphrase, salt);
+    
+    return {
+        key: key,
+        config: {
+            key: 'encryption',
+            salt: salt,
+            iterations: CryptoService.PBKDF2_ITERATIONS,
+            verifier: await CryptoService.createVerifier(key),
+            updatedAt: Date.now()
+        }
+    };
+}
+
+/**
+ * Ativa a proteção: cifra os dados pessoais já gravados com a frase-senha
+ * @param {string} passphrase - Nova frase-senha
+ * @returns {Promise<number>} Quantidade de registros cifrados
+ */
+export async function enableEncryption(passphrase) {
+    const validation = CryptoService.validatePassphrase(passphrase);
+    
+    if (!validation.isValid) {
+        throw new Error(validation.message);
+    }
+    
+    await requireAdmin();
+    
+    if (await getEncryptionConfig()) {
+        throw new Error('A proteção por frase-senha já está ativa');
+    }
+    
+    try {
+        const { key, config } = await createEncryptionConfig(passphrase);
+        const count = await reencryptAllData(null, key, config);
+        
+        dataKey = key;
+        console.log(`Proteção ativada: ${count} registros cifrados`);
+        return count;
     } catch (error) {
-        console.error('Erro ao calcular saldo do cliente:', error);
-        throw new Error('Falha ao calcular saldo');
+        console.error('Erro ao ativar proteção:', error);
+        throw new Error('Falha ao ativar proteção dos dados');
     }
 }
 
 /**
- * Registra um pagamento de cliente
- * @param {Object} paymentData - Dados do pagamento
- * @param {number} paymentData.clientId - ID do cliente
- * @param {number} paymentData.amount - Valor do pagamento
- * @returns {Promise<number>} ID da transação de pagamento criada
+ * Troca a frase-senha: decifra com a atual e cifra de novo com a nova
+ * @param {string} currentPassphrase - Frase-senha atual
+ * @param {string} newPassphrase - Nova frase-senha
+ * @returns {Promise<number>} Quantidade de registros regravados
  */
-export async function addPayment(paymentData) {
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+    const validation = CryptoService.validatePassphrase(newPassphrase);
+    
+    if (!validation.isValid) {
+        throw new Error(validation.message);
+    }
+    
+    await requireAdmin();
+    
+    const currentConfig = await getEncryptionConfig();
+    
+    if (!currentConfig) {
+        throw new Error('A proteção por frase-senha não está ativa');
+    }
+    
+    const currentKey = await deriveCheckedKey(currentPassphrase || '', currentConfig);
+    
+    if (!currentKey) {
+        throw new Error('Frase-senha atual incorreta');
+    }
+    
     try {
-        // Criar uma transação especial de pagamento
-        // Usamos productId = 0 para identificar pagamentos
-        const paymentId = await db.transactions.add({
-            clientId: parseInt(paymentData.clientId),
-            productId: 0, // ID especial para pagamentos
-            qty: paymentData.amount, // Quantidade armazena o valor do pagamento
-            type: 'credit',
-            timestamp: Date.now()
+        const { key, config } = await createEncryptionConfig(newPassphrase);
+        const count = await reencryptAllData(currentKey, key, config);
+        
+        dataKey = key;
+        console.log(`Frase-senha trocada: ${count} registros regravados`);
+        return count;
+    } catch (error) {
+        console.error('Erro ao trocar frase-senha:', error);
+        throw new Error('Falha ao trocar frase-senha');
+    }
+}
+
+/**
+ * Desativa a proteção: grava os dados pessoais em claro de novo
+ * @param {string} currentPassphrase - Frase-senha atual
+ * @returns {Promise<number>} Quantidade de registros regravados
+ */
+export async function disableEncryption(currentPassphrase) {
+    await requireAdmin();
+    
+    const config = await getEncryptionConfig();
+    
+    if (!config) {
+        throw new Error('A proteção por frase-senha não está ativa');
+    }
+    
+    const currentKey = await deriveCheckedKey(currentPassphrase || '', config);
+    
+    if (!currentKey) {
+        throw new Error('Frase-senha atual incorreta');
+    }
+    
+    try {
+        const count = await reencryptAllData(currentKey, null, null);
+        
+        dataKey = null;
+        console.log(`Proteção desativada: ${count} registros em claro`);
+        return count;
+    } catch (error) {
+        console.error('Erro ao desativar proteção:', error);
+        throw new Error('Falha ao desativar proteção dos dados');
+    }
+}
+
+/**
+ * Dados para cifrar um backup com a mesma chave dos dados
+ * Quem restaura só precisa da frase-senha: o sal e as iterações vão no arquivo
+ * @returns {Promise<Object|null>} {key, salt, iterations}, ou null com a proteção desativada
+ */
+export async function getBackupEncryption() {
+    const config = await getEncryptionConfig();
+    
+    if (!config) {
+        return null;
+    }
+    
+    if (!dataKey) {
+        throw new Error('Aplicativo bloqueado: digite a frase-senha');
+    }
+    
+    return { key: dataKey, salt: config.salt, iterations: config.iterations };
+}
+
+/* ==========================================================================
+   BACKUP E RESTAURAÇÃO
+   ========================================================================== */
+
+/**
+ * Tabelas que entram no backup (a configuração da frase-senha fica só no aparelho)
+ * @returns {Array} Tabelas do Dexie
+ */
+function getBackupTables() {
+    return db.tables.filter(table => table.name !== 'security');
+}
+
+// Mesclagem: campos que apontam para o ID de outra tabela (campo -> tabela)
+// Quando o registro de origem ganha um ID novo, estes campos são reescritos
+// operatorId segue o mapa de restoreOperatorIds (inclusive ao substituir)
+const MERGE_FOREIGN_KEYS = {
+    launches: { clientId: 'clients', operatorId: 'operators' },
+    transactions: { clientId: 'clients', productId: 'products', launchId: 'launches', reversalOf: 'transactions', operatorId: 'operators' },
+    priceHistory: { productId: 'products', operatorId: 'operators' },
+    stockEntries: { productId: 'products' },
+    pixCharges: { clientId: 'clients', paymentId: 'transactions' }
+};
+
+// Ordem de gravação na mesclagem: tabelas referenciadas antes das que as referenciam
+const MERGE_ORDER = ['clients', 'products', 'launches', 'transactions', 'priceHistory', 'stockEntries', 'pixCharges'];
+
+/**
+ * Mapeia os atendentes do backup para os deste aparelho, pelo nome
+ * Atendentes não são restaurados: sem o mapa, um operatorId do backup apontaria para
+ * quem tiver o mesmo ID aqui. Atendente sem correspondente fica de fora do mapa
+ * (o registro perde o operatorId e aparece como "Sem atendente")
+ * Deve ser chamada dentro de uma transação que inclua db.operators
+ * @param {Array} backupOperators - Atendentes do backup
+ * @returns {Promise<Map>} ID no backup -> ID do atendente de mesmo nome neste aparelho
+ */
+async function restoreOperatorIds(backupOperators) {
+    const localIds = {};
+    const operatorMap = new Map();
+    
+    (await db.operators.toArray()).forEach(operator => {
+        localIds[normalizeText(operator.name)] = operator.id;
+    });
+    
+    for (const operator of backupOperators) {
+        const localId = localIds[normalizeText(operator.name)];
+        if (localId !== undefined) {
+            operatorMap.set(operator.id, localId);
+        }
+    }
+    
+    return operatorMap;
+}
+
+/**
+ * Troca o operatorId de um registro do backup pelo atendente correspondente deste aparelho
+ * @param {Object} row - Registro do backup
+ * @param {Map} operatorMap - Mapa de restoreOperatorIds
+ * @returns {Object} Registro com operatorId local ou sem operatorId
+ */
+function withLocalOperator(row, operatorMap) {
+    if (row.operatorId == null) {
+        return row;
+    }
+    
+    const { operatorId, ...rest } = row;
+    return operatorMap.has(operatorId) ? { ...rest, operatorId: operatorMap.get(operatorId) } : rest;
+}
+
+/**
+ * Procura no banco o mesmo registro de um backup
+ * Em tabelas com ID automático, o mesmo ID só é o mesmo registro se o momento de criação
+ * também bate; senão é outro registro (ex: backup de outro aparelho) que recebe ID novo
+ * @param {Object} table - Tabela do Dexie
+ * @param {Object} row - Registro do backup
+ * @returns {Promise<Object|null>} Registro já existente ou null
+ */
+async function findExistingRecord(table, row) {
+    const primKey = table.schema.primKey;
+    
+    // Cobranças Pix: o txid é único e identifica a cobrança
+    if (table.name === 'pixCharges' && row.txid) {
+        const charge = await table.where('txid').equals(row.txid).first();
+        if (charge) return charge;
+    }
+    
+    const existing = await table.get(row[primKey.keyPath]);
+    
+    if (!existing || !primKey.auto) {
+        return existing || null;
+    }
+    
+    const stamp = record => record.createdAt ?? record.timestamp ?? record.changedAt ?? null;
+    return stamp(existing) !== null && stamp(existing) === stamp(row) ? existing : null;
+}
+
+/**
+ * Mescla os registros de uma tabela do backup, com IDs novos onde colidem
+ * @param {Object} table - Tabela do Dexie
+ * @param {Array} incomingRows - Registros do backup
+ * @param {Object} idMaps - {tabela: Map(ID no backup -> ID gravado)}, preenchido aqui
+ *   (idMaps.operators já vem de restoreOperatorIds)
+ * @returns {Promise<number>} Quantidade de registros gravados
+ */
+async function mergeTableRows(table, incomingRows, idMaps) {
+    const primKey = table.schema.primKey;
+    const foreignKeys = MERGE_FOREIGN_KEYS[table.name] || {};
+    const idMap = new Map();
+    const remap = (tableName, id) => (idMaps[tableName] && idMaps[tableName].has(id) ? idMaps[tableName].get(id) : id);
+    const added = [];
+    
+    idMaps[table.name] = idMap;
+    
+    // Em ordem de ID, para que estornos encontrem o ID novo da transação original
+    const rows = primKey.auto
+        ? [...incomingRows].sort((a, b) => a[primKey.keyPath] - b[primKey.keyPath])
+        : incomingRows;
+    
+    for (const incoming of rows) {
+        let row = { ...incoming };
+        
+        for (const [field, target] of Object.entries(foreignKeys)) {
+            if (row[field] != null && target !== 'operators') {
+                row[field] = remap(target, row[field]);
+            }
+        }
+        
+        if (foreignKeys.operatorId) {
+            row = withLocalOperator(row, idMaps.operators);
+        }
+        
+        if (table.name === 'launches' && Array.isArray(row.items)) {
+            row.items = row.items.map(item => ({ ...item, productId: remap('products', item.productId) }));
+        }
+        
+        const existing = await findExistingRecord(table, row);
+        
+        if (existing) {
+            idMap.set(incoming[primKey.keyPath], existing[primKey.keyPath]);
+            continue;
+        }
+        
+        // Chave ocupada por outro registro: gravar com ID novo
+        if (primKey.auto && await table.get(row[primKey.keyPath])) {
+            delete row[primKey.keyPath];
+        }
+        
+        const newKey = await table.add(row);
+        idMap.set(incoming[primKey.keyPath], newKey);
+        added.push({ key: newKey, row: row });
+    }
+    
+    // reversedBy aponta para um estorno gravado depois da transação original
+    if (table.name === 'transactions') {
+        for (const { key, row } of added) {
+            if (row.reversedBy != null && idMap.has(row.reversedBy) && idMap.get(row.reversedBy) !== row.reversedBy) {
+                await table.update(key, { reversedBy: idMap.get(row.reversedBy) });
+            }
+        }
+    }
+    
+    return added.length;
+}
+
+/**
+ * Tabelas que uma restauração grava
+ * Atendentes e registro de ações vão no backup só para consulta: restaurar nunca
+ * os apaga nem regrava (senão um backup editado daria acesso de administrador)
+ * @returns {Array} Tabelas do Dexie
+ */
+function getRestoreTables() {
+    return getBackupTables().filter(table => table.name !== 'operators' && table.name !== 'auditLog');
+}
+
+/**
+ * Lê o conteúdo completo de todas as tabelas do banco
+ * @returns {Promise<Object>} Objeto { schemaVersion, tables: { nomeDaTabela: registros[] } }
+ */
+export async function exportAllTables() {
+    try {
+        const tables = {};
+        
+        await db.transaction('r', getBackupTables(), async () => {
+            for (const table of getBackupTables()) {
+                tables[table.name] = await table.toArray();
+            }
         });
         
-        console.log(`Pagamento registrado: Cliente ${paymentData.clientId}, Valor R$ ${paymentData.amount} (ID: ${paymentId})`);
-        return paymentId;
+        // O backup leva os dados pessoais em claro; o arquivo inteiro é cifrado pelo BackupService
+        for (const tableName of Object.keys(ENCRYPTED_FIELDS)) {
+            tables[tableName] = await decryptRecords(tableName, tables[tableName]);
+        }
+        
+        return {
+            schemaVersion: db.verno,
+            tables: tables
+        };
     } catch (error) {
-        console.error('Erro ao registrar pagamento:', error);
-        throw new Error('Falha ao registrar pagamento');
+        console.error('Erro ao exportar tabelas:', error);
+        throw new Error('Falha ao exportar dados');
+    }
+}
+
+/**
+ * Compara as tabelas de um backup com o conteúdo atual do banco
+ * @param {Object} tables - Registros do backup por tabela
+ * @returns {Promise<Array>} Resumo por tabela: { table, current, incoming, added, conflicting }
+ *   added = registros do backup que a mesclagem grava;
+ *   conflicting = registros do backup que já existem no banco (ver findExistingRecord)
+ */
+export async function getBackupDiff(tables) {
+    try {
+        const diff = [];
+        
+        await db.transaction('r', getRestoreTables(), async () => {
+            for (const table of getRestoreTables()) {
+                const incomingRows = tables[table.name] || [];
+                let conflicting = 0;
+                
+                for (const row of incomingRows) {
+                    if (await findExistingRecord(table, row)) {
+                        conflicting++;
+                    }
+                }
+                
+                diff.push({
+                    table: table.name,
+                    current: await table.count(),
+                    incoming: incomingRows.length,
+                    added: incomingRows.length - conflicting,
+                    conflicting: conflicting
+                });
+            }
+        });
+        
+        return diff;
+    } catch (error) {
+        console.error('Erro ao comparar backup:', error);
+        throw new Error('Falha ao comparar backup com os dados atuais');
+    }
+}
+
+/**
+ * Grava as tabelas de um backup no banco, tudo em uma única transação (somente administradores)
+ * Atendentes e registro de ações não são alterados (ver getRestoreTables); o operatorId
+ * dos registros passa para o atendente de mesmo nome neste aparelho (ver restoreOperatorIds)
+ * - 'replace': apaga todos os dados atuais e grava os do backup
+ * - 'merge': mantém os dados atuais e adiciona apenas os registros do backup que
+ *   ainda não existem; registros cujo ID já pertence a outro registro ganham ID novo
+ *   e as referências a eles (clientId, productId, launchId...) são reescritas
+ * @param {Object} tables - Registros do backup por tabela
+ * @param {string} mode - 'replace' ou 'merge'
+ * @returns {Promise<number>} Quantidade de registros gravados
+ */
+export async function importAllTables(tables, mode) {
+    if (mode !== 'replace' && mode !== 'merge') {
+        throw new Error(`Modo de restauração inválido: ${mode}`);
+    }
+    
+    await requireAdmin();
+    
+    try {
+        let written = 0;
+        
+        // Cifrar os dados pessoais antes de abrir a transação (WebCrypto não roda dentro dela)
+        tables = { ...tables };
+        for (const tableName of Object.keys(ENCRYPTED_FIELDS)) {
+            tables[tableName] = await encryptRecords(tableName, tables[tableName] || []);
+        }
+        
+        await db.transaction('rw', [...getRestoreTables(), db.operators, db.auditLog], async () => {
+            const operatorMap = await restoreOperatorIds(tables.operators || []);
+            
+            if (mode === 'replace') {
+                for (const table of getRestoreTables()) {
+                    let incomingRows = tables[table.name] || [];
+                    
+                    if ((MERGE_FOREIGN_KEYS[table.name] || {}).operatorId) {
+                        incomingRows = incomingRows.map(row => withLocalOperator(row, operatorMap));
+                    }
+                    
+                    await table.clear();
+                    await table.bulkAdd(incomingRows);
+                    written += incomingRows.length;
+                }
+            } else {
+                const idMaps = { operators: operatorMap };
+                const order = table => (MERGE_ORDER.includes(table.name) ? MERGE_ORDER.indexOf(table.name) : MERGE_ORDER.length);
+                const mergeTables = getRestoreTables().sort((a, b) => order(a) - order(b));
+                
+                for (const table of mergeTables) {
+                    written += await mergeTableRows(table, tables[table.name] || [], idMaps);
+                }
+            }
+            
+            // Backups antigos não trazem o saldo, e a mesclagem pode acrescentar
+            // transações a clientes já existentes: recalcular a partir do histórico
+            await rebuildClientBalances();
+            
+            await addAuditEntry('backup-restored', `Backup restaurado (${mode === 'replace' ? 'substituindo' : 'mesclando'}): ${written} registros gravados`);
+        });
+        
+        console.log(`Backup restaurado (${mode}): ${written} registros gravados`);
+        return written;
+    } catch (error) {
+        console.error('Erro ao restaurar backup:', error);
+        throw new Error('Falha ao restaurar backup');
     }
 }
 
@@ -345,11 +2715,19 @@ export async function addPayment(paymentData) {
  * @returns {Promise<boolean>} true se limpeza foi bem-sucedida
  */
 export async function clearAllData() {
+    await requireAdmin();
+    
     try {
-        await db.transaction('rw', db.clients, db.products, db.transactions, async () => {
+        // Atendentes e registro de ações são mantidos
+        await db.transaction('rw', [db.clients, db.products, db.transactions, db.launches, db.priceHistory, db.stockEntries, db.pixCharges, db.auditLog], async () => {
             await db.clients.clear();
             await db.products.clear();
             await db.transactions.clear();
+            await db.launches.clear();
+            await db.priceHistory.clear();
+            await db.stockEntries.clear();
+            await db.pixCharges.clear();
+            await addAuditEntry('data-cleared', 'Todos os dados foram apagados');
         });
         
         console.log('Todos os dados foram limpos do banco');
@@ -369,11 +2747,21 @@ export async function getDatabaseInfo() {
         const clientsCount = await db.clients.count();
         const productsCount = await db.products.count();
         const transactionsCount = await db.transactions.count();
+        const launchesCount = await db.launches.count();
+        const stockEntriesCount = await db.stockEntries.count();
+        const pixChargesCount = await db.pixCharges.count();
+        const operatorsCount = await db.operators.count();
+        const encrypted = !!(await getEncryptionConfig());
         
         return {
             clients: clientsCount,
             products: productsCount,
             transactions: transactionsCount,
+            launches: launchesCount,
+            stockEntries: stockEntriesCount,
+            pixCharges: pixChargesCount,
+            operators: operatorsCount,
+            encrypted: encrypted,
             dbName: db.name,
             version: db.verno
         };
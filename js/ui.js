@@ -2,7 +2,10 @@
 // Módulo de manipulação da interface do usuário (DOM)
 // Todas as funções de renderização e atualização visual são centralizadas aqui
 
-import { formatCurrency, formatTimestamp } from './utils.js';
+import {
+    formatCurrency, formatTimestamp, formatDate, formatTime, toDateInputValue, getTransactionEffect, isLowStock,
+    normalizeText, roundCurrency, PAYMENT_METHODS
+} from './utils.js';
 
 /* ==========================================================================
    NAVEGAÇÃO ENTRE PÁGINAS
@@ -42,11 +45,31 @@ export function showPage(pageId) {
    RENDERIZAÇÃO DE LISTAS DE CLIENTES
    ========================================================================== */
 
+// Filtros da lista de clientes (valor do #client-filter => teste sobre {balance, status})
+const CLIENT_FILTERS = {
+    todos: () => true,
+    devendo: info => info.balance > 0,
+    quitados: info => info.balance <= 0,
+    'acima-do-limite': info => info.status === 'over'
+};
+
+// Ordenações da lista de clientes (valor do #client-sort => comparador)
+// Datas mais recentes primeiro; clientes sem compra/pagamento vão para o fim
+const CLIENT_SORTS = {
+    nome: (a, b) => a.client.name.localeCompare(b.client.name, 'pt-BR'),
+    saldo: (a, b) => b.balance - a.balance,
+    'ultima-compra': (a, b) => (b.lastPurchaseAt || 0) - (a.lastPurchaseAt || 0),
+    'ultimo-pagamento': (a, b) => (b.lastPaymentAt || 0) - (a.lastPaymentAt || 0)
+};
+
 /**
- * Renderiza a lista de clientes na página de clientes
+ * Renderiza a lista de clientes na página de clientes, com saldo e datas de
+ * movimentação, aplicando a ordenação (#client-sort) e o filtro (#client-filter) escolhidos
  * @param {Array} clients - Array de objetos cliente
+ * @param {Object} [creditInfo={}] - Mapa clientId => {balance, limit, status}
+ * @param {Object} [activity={}] - Mapa clientId => {lastPurchaseAt, lastPaymentAt}
  */
-export function renderClientList(clients) {
+export function renderClientList(clients, creditInfo = {}, activity = {}) {
     const clientList = document.getElementById('client-list');
     
     if (!clientList) {
@@ -57,8 +80,12 @@ export function renderClientList(clients) {
     // Limpar lista existente
     clientList.innerHTML = '';
     
+    // Clientes arquivados aparecem apenas na página de arquivados
+    clients = (clients || []).filter(client => !client.archived);
+    
     // Verificar se há clientes
     if (!clients || clients.length === 0) {
+        updateClientListCount(0, 0);
         clientList.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">👥</div>
@@ -69,24 +96,72 @@ export function renderClientList(clients) {
         return;
     }
     
+    const sortSelect = document.getElementById('client-sort');
+    const filterSelect = document.getElementById('client-filter');
+    const compare = CLIENT_SORTS[sortSelect ? sortSelect.value : 'nome'] || CLIENT_SORTS.nome;
+    const matches = CLIENT_FILTERS[filterSelect ? filterSelect.value : 'todos'] || CLIENT_FILTERS.todos;
+    
+    const rows = clients
+        .map(client => {
+            const info = creditInfo[client.id] || { balance: 0, limit: null, status: 'none' };
+            const clientActivity = activity[client.id] || {};
+            return {
+                client,
+                info,
+                balance: info.balance,
+                status: info.status,
+                lastPurchaseAt: clientActivity.lastPurchaseAt || null,
+                lastPaymentAt: clientActivity.lastPaymentAt || null
+            };
+        })
+        .filter(matches)
+        .sort((a, b) => compare(a, b) || CLIENT_SORTS.nome(a, b));
+    
+    updateClientListCount(rows.length, clients.length);
+    
+    if (rows.length === 0) {
+        clientList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🔍</div>
+                <div class="empty-state-text">Nenhum cliente neste filtro</div>
+            </div>
+        `;
+        return;
+    }
+    
     // Renderizar cada cliente
-    clients.forEach(client => {
+    rows.forEach(({ client, info, balance, lastPurchaseAt, lastPaymentAt }) => {
         const clientItem = document.createElement('li');
         clientItem.innerHTML = `
             <div class="item-info">
-                <div class="item-name">${escapeHtml(client.name)}</div>
+                <div class="item-name">
+                    ${escapeHtml(client.name)}
+                    ${client.nickname ? `<span class="item-nickname">"${escapeHtml(client.nickname)}"</span>` : ''}
+                    ${renderCreditBadge(info)}
+                </div>
+                <div class="item-balance ${balance > 0 ? 'has-debt' : ''}">
+                    Saldo: ${formatCurrency(balance)}
+                </div>
                 <div class="item-meta">
                     ${client.phone ? `📞 ${escapeHtml(client.phone)}` : ''}
                     ${client.phone ? ' • ' : ''}
                     Cadastrado em ${formatTimestamp(client.createdAt).split(' ')[0]}
+                    ${info.limit !== null ? ` • Limite: ${formatCurrency(info.limit)}` : ''}
+                </div>
+                <div class="item-meta">
+                    Última compra: ${lastPurchaseAt ? formatDate(lastPurchaseAt) : '—'}
+                    • Último pagamento: ${lastPaymentAt ? formatDate(lastPaymentAt) : '—'}
                 </div>
             </div>
             <div class="item-actions">
                 <button class="btn btn-primary btn-small" onclick="viewClientStatement(${client.id})">
                     Ver Extrato
                 </button>
-                <button class="btn btn-danger btn-small" onclick="confirmDeleteClient(${client.id}, '${escapeHtml(client.name)}')">
-                    Excluir
+                <button class="btn btn-secondary btn-small" onclick="editClient(${client.id})">
+                    Editar
+                </button>
+                <button class="btn btn-secondary btn-small" onclick="archiveClient(${client.id})">
+                    Arquivar
                 </button>
             </div>
         `;
@@ -94,14 +169,66 @@ export function renderClientList(clients) {
         clientList.appendChild(clientItem);
     });
     
-    console.log(`Renderizados ${clients.length} clientes`);
+    console.log(`Renderizados ${rows.length} de ${clients.length} clientes`);
+}
+
+/**
+ * Atualiza o contador de clientes exibidos pelo filtro
+ * @param {number} shown - Clientes exibidos
+ * @param {number} total - Clientes ativos
+ */
+function updateClientListCount(shown, total) {
+    const counter = document.getElementById('client-list-count');
+    
+    if (counter) {
+        counter.textContent = shown === total ? `${total} clientes` : `${shown} de ${total} clientes`;
+    }
+}
+
+/**
+ * Gera o selo de situação do limite de fiado de um cliente
+ * @param {Object} [info] - {balance, limit, status} do cliente
+ * @returns {string} HTML do selo ou string vazia
+ */
+function renderCreditBadge(info) {
+    if (!info) return '';
+    
+    if (info.status === 'over') {
+        return '<span class="badge badge-danger">Acima do limite</span>';
+    }
+    
+    if (info.status === 'near') {
+        return '<span class="badge badge-warning">Perto do limite</span>';
+    }
+    
+    return '';
 }
 
+/* ==========================================================================
+   SELETOR DE CLIENTES COM BUSCA (LANÇAMENTO)
+   ========================================================================== */
+
+// Máximo de opções exibidas de uma vez na lista de sugestões
+const CLIENT_PICKER_LIMIT = 30;
+
+// Dados usados pela busca, atualizados a cada populateClientSelector
+const clientPicker = {
+    clients: [],
+    creditInfo: {},
+    recentIds: [],
+    results: [],
+    activeIndex: -1
+};
+
 /**
  * Popula o seletor de clientes na página de lançamento
+ * O <select> oculto continua guardando o cliente escolhido; a escolha é feita
+ * pelo campo de busca (combobox), que filtra por nome, apelido e telefone
  * @param {Array} clients - Array de objetos cliente
+ * @param {Object} [creditInfo={}] - Mapa clientId => {balance, limit, status}
+ * @param {Array<number>} [recentClientIds=[]] - Clientes usados recentemente (aparecem primeiro)
  */
-export function populateClientSelector(clients) {
+export function populateClientSelector(clients, creditInfo = {}, recentClientIds = []) {
     const selectClient = document.getElementById('select-client');
     
     if (!selectClient) {
@@ -109,20 +236,259 @@ export function populateClientSelector(clients) {
         return;
     }
     
+    const selectedId = selectClient.value;
+    
     // Limpar opções existentes (mantendo a primeira opção)
     selectClient.innerHTML = '<option value="">Selecione um cliente...</option>';
     
+    // Clientes arquivados não recebem novos lançamentos
+    const activeClients = (clients || []).filter(client => !client.archived);
+    
     // Adicionar cada cliente como opção
-    if (clients && clients.length > 0) {
-        clients.forEach(client => {
-            const option = document.createElement('option');
-            option.value = client.id;
-            option.textContent = client.name;
-            selectClient.appendChild(option);
-        });
+    activeClients.forEach(client => {
+        const option = document.createElement('option');
+        option.value = client.id;
+        option.textContent = client.name;
+        selectClient.appendChild(option);
+    });
+    
+    clientPicker.clients = activeClients;
+    clientPicker.creditInfo = creditInfo;
+    clientPicker.recentIds = recentClientIds;
+    
+    // Manter a escolha atual se o cliente continuar disponível
+    selectClient.value = selectedId;
+    selectClient.value = selectClient.value || '';
+    syncClientSearch();
+    
+    console.log(`Seletor de clientes populado com ${activeClients.length} opções`);
+}
+
+/**
+ * Filtra os clientes pelo texto digitado (sem diferenciar acentos e maiúsculas)
+ * Cada palavra precisa aparecer no nome ou no apelido; números também buscam no telefone
+ * @param {string} query - Texto digitado
+ * @returns {Array} Clientes encontrados, recentes primeiro e depois em ordem alfabética
+ */
+function searchClients(query) {
+    const terms = normalizeText(query).split(' ').filter(Boolean);
+    const digits = query.replace(/\D/g, '');
+    const isPhoneQuery = digits.length >= 2 && /^[\d\s()+-]+$/.test(query.trim());
+    
+    const matches = clientPicker.clients.filter(client => {
+        if (terms.length === 0) return true;
+        
+        if (isPhoneQuery && (client.phone || '').replace(/\D/g, '').includes(digits)) {
+            return true;
+        }
+        
+        const haystack = normalizeText(`${client.name} ${client.nickname || ''}`);
+        return terms.every(term => haystack.includes(term));
+    });
+    
+    const recentRank = clientId => {
+        const index = clientPicker.recentIds.indexOf(clientId);
+        return index === -1 ? Infinity : index;
+    };
+    
+    return matches
+        .sort((a, b) => recentRank(a.id) - recentRank(b.id) || a.name.localeCompare(b.name, 'pt-BR'))
+        .slice(0, CLIENT_PICKER_LIMIT);
+}
+
+/**
+ * Desenha a lista de sugestões do seletor de clientes
+ */
+function renderClientOptions() {
+    const list = document.getElementById('client-options');
+    const input = document.getElementById('client-search');
+    const selectedId = parseInt(document.getElementById('select-client').value);
+    
+    if (clientPicker.results.length === 0) {
+        list.innerHTML = '<li class="client-option-empty" role="presentation">Nenhum cliente encontrado</li>';
+    } else {
+        list.innerHTML = clientPicker.results.map((client, index) => {
+            const info = clientPicker.creditInfo[client.id];
+            const balance = info ? info.balance : 0;
+            const isRecent = clientPicker.recentIds.includes(client.id);
+            let status = '';
+            
+            if (info && info.status === 'over') {
+                status = ' ⛔';
+            } else if (info && info.status === 'near') {
+                status = ' ⚠️';
+            }
+            
+            return `
+                <li id="client-option-${client.id}" role="option" class="client-option${index === clientPicker.activeIndex ? ' active' : ''}"
+                    data-client-id="${client.id}" aria-selected="${client.id === selectedId}">
+                    <span class="client-option-name">
+                        ${isRecent ? '<span class="client-option-recent" title="Usado recentemente">🕘</span>' : ''}
+                        ${escapeHtml(client.name)}
+                        ${client.nickname ? `<small>"${escapeHtml(client.nickname)}"</small>` : ''}
+                    </span>
+                    <span class="client-option-balance${balance > 0 ? ' has-debt' : ''}">${formatCurrency(balance)}${status}</span>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    const active = clientPicker.results[clientPicker.activeIndex];
+    if (active) {
+        input.setAttribute('aria-activedescendant', `client-option-${active.id}`);
+        const activeItem = document.getElementById(`client-option-${active.id}`);
+        if (activeItem && activeItem.scrollIntoView) {
+            activeItem.scrollIntoView({ block: 'nearest' });
+        }
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Abre a lista de sugestões com o resultado da busca atual
+ */
+function openClientOptions() {
+    const input = document.getElementById('client-search');
+    const list = document.getElementById('client-options');
+    const selected = getSelectedPickerClient();
+    
+    // Com o nome do cliente escolhido no campo, mostrar todos (não só ele)
+    const query = selected && input.value === selected.name ? '' : input.value;
+    
+    clientPicker.results = searchClients(query);
+    clientPicker.activeIndex = query.trim() && clientPicker.results.length > 0 ? 0 : -1;
+    renderClientOptions();
+    
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Fecha a lista de sugestões
+ */
+function closeClientOptions() {
+    const input = document.getElementById('client-search');
+    const list = document.getElementById('client-options');
+    
+    list.hidden = true;
+    clientPicker.activeIndex = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Cliente atualmente escolhido no seletor
+ * @returns {Object|undefined} Cliente escolhido
+ */
+function getSelectedPickerClient() {
+    const selectedId = parseInt(document.getElementById('select-client').value);
+    return clientPicker.clients.find(client => client.id === selectedId);
+}
+
+/**
+ * Mostra no campo de busca o nome do cliente escolhido (ou limpa o campo)
+ */
+function syncClientSearch() {
+    const input = document.getElementById('client-search');
+    if (!input) return;
+    
+    const selected = getSelectedPickerClient();
+    input.value = selected ? selected.name : '';
+}
+
+/**
+ * Escolhe um cliente pelo seletor com busca
+ * @param {number} clientId - ID do cliente
+ */
+function chooseClient(clientId) {
+    selectClient(clientId);
+    closeClientOptions();
+    document.getElementById('select-client').dispatchEvent(new Event('change'));
+}
+
+/**
+ * Liga os eventos de teclado, toque e foco do seletor de clientes com busca
+ */
+export function setupClientPicker() {
+    const input = document.getElementById('client-search');
+    const list = document.getElementById('client-options');
+    
+    if (!input || !list) {
+        console.error('Elementos do seletor de clientes não encontrados');
+        return;
     }
     
-    console.log(`Seletor de clientes populado com ${clients ? clients.length : 0} opções`);
+    input.addEventListener('focus', () => {
+        input.select();
+        openClientOptions();
+    });
+    
+    input.addEventListener('input', () => {
+        // Digitar desfaz a escolha anterior até um novo cliente ser escolhido
+        document.getElementById('select-client').value = '';
+        openClientOptions();
+    });
+    
+    input.addEventListener('keydown', e => {
+        const count = clientPicker.results.length;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (list.hidden) {
+                    openClientOptions();
+                } else if (count > 0) {
+                    clientPicker.activeIndex = (clientPicker.activeIndex + 1) % count;
+                    renderClientOptions();
+                }
+                break;
+                
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!list.hidden && count > 0) {
+                    clientPicker.activeIndex = (clientPicker.activeIndex - 1 + count) % count;
+                    renderClientOptions();
+                }
+                break;
+                
+            case 'Enter': {
+                const active = clientPicker.results[clientPicker.activeIndex];
+                if (!list.hidden && active) {
+                    e.preventDefault();
+                    chooseClient(active.id);
+                }
+                break;
+            }
+                
+            case 'Escape':
+                if (!list.hidden) {
+                    e.preventDefault();
+                    closeClientOptions();
+                    syncClientSearch();
+                }
+                break;
+        }
+    });
+    
+    // Ao sair do campo sem escolher, voltar para o cliente escolhido (ou vazio)
+    input.addEventListener('blur', () => {
+        closeClientOptions();
+        syncClientSearch();
+    });
+    
+    // pointerdown não tira o foco do campo antes da escolha (toque e mouse)
+    list.addEventListener('pointerdown', e => e.preventDefault());
+    list.addEventListener('mousedown', e => e.preventDefault());
+    
+    list.addEventListener('click', e => {
+        const option = e.target.closest('[data-client-id]');
+        if (option) {
+            chooseClient(parseInt(option.dataset.clientId));
+        }
+    });
+    
+    console.log('Seletor de clientes com busca configurado');
 }
 
 /* ==========================================================================
@@ -132,8 +498,9 @@ export function populateClientSelector(clients) {
 /**
  * Renderiza a lista de produtos na página de produtos
  * @param {Array} products - Array de objetos produto
+ * @param {Array} [priceHistory=[]] - Registros do histórico de preços (mais antigo primeiro)
  */
-export function renderProductList(products) {
+export function renderProductList(products, priceHistory = []) {
     const productList = document.getElementById('product-list');
     
     if (!productList) {
@@ -144,6 +511,9 @@ export function renderProductList(products) {
     // Limpar lista existente
     productList.innerHTML = '';
     
+    // Produtos arquivados aparecem apenas na página de arquivados
+    products = (products || []).filter(product => !product.archived);
+    
     // Verificar se há produtos
     if (!products || products.length === 0) {
         productList.innerHTML = `
@@ -156,6 +526,12 @@ export function renderProductList(products) {
         return;
     }
     
+    // Agrupar histórico de preços por produto
+    const historyMap = priceHistory.reduce((acc, entry) => {
+        (acc[entry.productId] = acc[entry.productId] || []).push(entry);
+        return acc;
+    }, {});
+    
     // Renderizar cada produto
     products.forEach(product => {
         const productItem = document.createElement('li');
@@ -164,12 +540,18 @@ export function renderProductList(products) {
                 <div class="item-name">${escapeHtml(product.name)}</div>
                 <div class="item-meta">
                     Preço: ${formatCurrency(product.price)}
+                    ${product.category ? `• ${escapeHtml(product.category)}` : ''}
+                    ${renderStockInfo(product)}
                     • Cadastrado em ${formatTimestamp(product.createdAt).split(' ')[0]}
                 </div>
+                ${renderPriceHistory(historyMap[product.id] || [])}
             </div>
             <div class="item-actions">
-                <button class="btn btn-danger btn-small" onclick="confirmDeleteProduct(${product.id}, '${escapeHtml(product.name)}')">
-                    Excluir
+                <button class="btn btn-secondary btn-small" onclick="editProduct(${product.id})">
+                    Editar
+                </button>
+                <button class="btn btn-secondary btn-small" onclick="archiveProduct(${product.id})">
+                    Arquivar
                 </button>
             </div>
         `;
@@ -180,6 +562,222 @@ export function renderProductList(products) {
     console.log(`Renderizados ${products.length} produtos`);
 }
 
+/**
+ * Gera o trecho de estoque exibido nos metadados do produto
+ * @param {Object} product - Produto
+ * @returns {string} HTML do estoque ou string vazia se o produto não controla estoque
+ */
+function renderStockInfo(product) {
+    if (product.stock === null || product.stock === undefined) {
+        return '';
+    }
+    
+    const lowClass = isLowStock(product) ? ' class="stock-low"' : '';
+    const minStock = product.minStock !== null && product.minStock !== undefined
+        ? ` (mín. ${product.minStock})`
+        : '';
+    
+    return `• <span${lowClass}>Estoque: ${product.stock}${minStock}</span>`;
+}
+
+/**
+ * Renderiza o relatório de reposição com os produtos no estoque mínimo ou abaixo
+ * @param {Array} products - Array de objetos produto
+ */
+export function renderRestockList(products) {
+    const restockList = document.getElementById('restock-list');
+    
+    if (!restockList) {
+        console.error('Elemento restock-list não encontrado');
+        return;
+    }
+    
+    restockList.innerHTML = '';
+    
+    // Os mais críticos (maior falta em relação ao mínimo) primeiro
+    const lowStock = (products || [])
+        .filter(product => !product.archived && isLowStock(product))
+        .sort((a, b) => (a.stock - (a.minStock ?? 0)) - (b.stock - (b.minStock ?? 0)));
+    
+    if (lowStock.length === 0) {
+        restockList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">✅</div>
+                <div class="empty-state-text">Nenhum produto precisa de reposição</div>
+            </div>
+        `;
+        return;
+    }
+    
+    lowStock.forEach(product => {
+        const minStock = product.minStock ?? 0;
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <div class="item-info">
+                <div class="item-name">${escapeHtml(product.name)}</div>
+                <div class="item-meta">
+                    <span class="stock-low">Estoque: ${product.stock}</span>
+                    • Mínimo: ${minStock}
+                    • Repor ao menos ${Math.max(minStock - product.stock, 0) + 1}
+                </div>
+            </div>
+        `;
+        
+        restockList.appendChild(item);
+    });
+    
+    console.log(`Relatório de reposição: ${lowStock.length} produtos`);
+}
+
+/**
+ * Preenche as sugestões do campo de categoria com as categorias já usadas
+ * @param {Array} products - Array de objetos produto
+ */
+export function populateCategoryOptions(products) {
+    const datalist = document.getElementById('product-category-options');
+    if (!datalist) return;
+    
+    const categories = [...new Set((products || []).map(product => product.category).filter(Boolean))].sort();
+    datalist.innerHTML = categories.map(category => `<option value="${escapeHtml(category)}">`).join('');
+}
+
+/**
+ * Preenche o seletor de produtos do formulário de entrada de mercadoria
+ * @param {Array} products - Array de objetos produto
+ */
+export function populateStockEntrySelector(products) {
+    const selector = document.getElementById('stock-entry-product');
+    
+    if (!selector) {
+        console.error('Elemento stock-entry-product não encontrado');
+        return;
+    }
+    
+    const currentValue = selector.value;
+    selector.innerHTML = '<option value="">Selecione um produto...</option>';
+    
+    (products || [])
+        .filter(product => !product.archived)
+        .forEach(product => {
+            const option = document.createElement('option');
+            option.value = product.id;
+            option.textContent = product.stock !== null && product.stock !== undefined
+                ? `${product.name} (estoque: ${product.stock})`
+                : product.name;
+            selector.appendChild(option);
+        });
+    
+    selector.value = currentValue;
+}
+
+/**
+ * Gera o HTML do histórico de mudanças de preço de um produto
+ * @param {Array} entries - Registros do produto (mais antigo primeiro)
+ * @returns {string} HTML do histórico ou string vazia se o preço nunca mudou
+ */
+function renderPriceHistory(entries) {
+    const changes = entries.filter(entry => entry.oldPrice !== null);
+    
+    if (changes.length === 0) {
+        return '';
+    }
+    
+    return `
+        <details class="price-history">
+            <summary>Histórico de preços (${changes.length} ${changes.length === 1 ? 'alteração' : 'alterações'})</summary>
+            <ul>
+                ${changes.slice().reverse().map(entry => `
+                    <li>
+                        ${formatDate(entry.changedAt)}:
+                        ${formatCurrency(entry.oldPrice)} → ${formatCurrency(entry.newPrice)}
+                        ${entry.newPrice > entry.oldPrice ? '▲' : '▼'}
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+/* ==========================================================================
+   FORMULÁRIOS DE CADASTRO E EDIÇÃO
+   ========================================================================== */
+
+/**
+ * Preenche o formulário de cliente para edição
+ * @param {Object} client - Cliente a ser editado
+ */
+export function fillClientForm(client) {
+    document.getElementById('client-edit-id').value = client.id;
+    document.getElementById('client-name').value = client.name;
+    document.getElementById('client-nickname').value = client.nickname || '';
+    document.getElementById('client-phone').value = client.phone || '';
+    document.getElementById('client-credit-limit').value = client.creditLimit ?? '';
+    
+    setFormEditMode('add-client-form', true, 'Editar Cliente', 'Adicionar Novo Cliente');
+    document.getElementById('client-name').focus();
+}
+
+/**
+ * Volta o formulário de cliente para o modo de cadastro
+ */
+export function resetClientForm() {
+    document.getElementById('add-client-form').reset();
+    document.getElementById('client-edit-id').value = '';
+    
+    setFormEditMode('add-client-form', false, 'Editar Cliente', 'Adicionar Novo Cliente');
+}
+
+/**
+ * Preenche o formulário de produto para edição
+ * @param {Object} product - Produto a ser editado
+ */
+export function fillProductForm(product) {
+    document.getElementById('product-edit-id').value = product.id;
+    document.getElementById('product-name').value = product.name;
+    document.getElementById('product-price').value = product.price;
+    document.getElementById('product-category').value = product.category || '';
+    document.getElementById('product-min-stock').value = product.minStock ?? '';
+    
+    setFormEditMode('add-product-form', true, 'Editar Produto', 'Adicionar Novo Produto');
+    document.getElementById('product-name').focus();
+}
+
+/**
+ * Volta o formulário de produto para o modo de cadastro
+ */
+export function resetProductForm() {
+    document.getElementById('add-product-form').reset();
+    document.getElementById('product-edit-id').value = '';
+    
+    setFormEditMode('add-product-form', false, 'Editar Produto', 'Adicionar Novo Produto');
+}
+
+/**
+ * Alterna título, botão principal e botão de cancelar de um formulário de cadastro
+ * @param {string} formId - ID do formulário
+ * @param {boolean} editing - true para modo de edição
+ * @param {string} editTitle - Título no modo de edição
+ * @param {string} addTitle - Título no modo de cadastro
+ */
+function setFormEditMode(formId, editing, editTitle, addTitle) {
+    const form = document.getElementById(formId);
+    if (!form) return;
+    
+    form.querySelector('h3').textContent = editing ? editTitle : addTitle;
+    form.querySelector('button[type="submit"]').textContent = editing ? 'Salvar Alterações' : addTitle.replace(' Novo', '');
+    form.querySelector('.btn-cancel-edit').style.display = editing ? '' : 'none';
+    form.classList.toggle('editing', editing);
+    
+    // Campos que só fazem sentido no cadastro (ex: estoque inicial)
+    form.querySelectorAll('[data-add-only]').forEach(field => {
+        field.style.display = editing ? 'none' : '';
+    });
+    
+    if (editing) {
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
 /**
  * Renderiza a grade de produtos na página de lançamento
  * @param {Array} products - Array de objetos produto
@@ -195,6 +793,9 @@ export function renderProductsGrid(products) {
     // Limpar grade existente
     productsGrid.innerHTML = '';
     
+    // Produtos arquivados não podem ser lançados
+    products = (products || []).filter(product => !product.archived);
+    
     // Verificar se há produtos
     if (!products || products.length === 0) {
         productsGrid.innerHTML = `
@@ -211,6 +812,7 @@ export function renderProductsGrid(products) {
     products.forEach(product => {
         const productCard = document.createElement('div');
         productCard.className = 'product-card';
+        productCard.classList.toggle('low-stock', isLowStock(product));
         productCard.dataset.productId = product.id;
         productCard.dataset.productName = product.name;
         productCard.dataset.productPrice = product.price;
@@ -218,6 +820,9 @@ export function renderProductsGrid(products) {
         productCard.innerHTML = `
             <div class="product-name">${escapeHtml(product.name)}</div>
             <div class="product-price">${formatCurrency(product.price)}</div>
+            ${product.stock !== null && product.stock !== undefined
+                ? `<div class="product-stock">${isLowStock(product) ? '⚠️ ' : ''}Estoque: ${product.stock}</div>`
+                : ''}
             <div class="product-quantity" style="display: none;">0</div>
         `;
         
@@ -230,6 +835,88 @@ export function renderProductsGrid(products) {
     console.log(`Grade de produtos renderizada com ${products.length} itens`);
 }
 
+/* ==========================================================================
+   ARQUIVADOS
+   ========================================================================== */
+
+/**
+ * Renderiza as listas de clientes e produtos arquivados
+ * @param {Array} clients - Array de clientes (apenas os arquivados são exibidos)
+ * @param {Array} products - Array de produtos (apenas os arquivados são exibidos)
+ */
+export function renderArchivedLists(clients, products) {
+    const clientList = document.getElementById('archived-client-list');
+    const productList = document.getElementById('archived-product-list');
+    
+    if (!clientList || !productList) {
+        console.error('Listas de arquivados não encontradas');
+        return;
+    }
+    
+    const archivedClients = (clients || []).filter(client => client.archived);
+    const archivedProducts = (products || []).filter(product => product.archived);
+    
+    clientList.innerHTML = archivedClients.length === 0
+        ? renderArchivedEmptyState('Nenhum cliente arquivado')
+        : archivedClients.map(client => `
+            <li>
+                <div class="item-info">
+                    <div class="item-name">${escapeHtml(client.name)}</div>
+                    <div class="item-meta">Arquivado em ${formatDate(client.archivedAt)}</div>
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-primary btn-small" onclick="viewClientStatement(${client.id})">
+                        Ver Extrato
+                    </button>
+                    <button class="btn btn-success btn-small" onclick="restoreClient(${client.id})">
+                        Restaurar
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="confirmDeleteClient(${client.id}, '${escapeHtml(client.name)}')">
+                        Excluir
+                    </button>
+                </div>
+            </li>
+        `).join('');
+    
+    productList.innerHTML = archivedProducts.length === 0
+        ? renderArchivedEmptyState('Nenhum produto arquivado')
+        : archivedProducts.map(product => `
+            <li>
+                <div class="item-info">
+                    <div class="item-name">${escapeHtml(product.name)}</div>
+                    <div class="item-meta">
+                        Preço: ${formatCurrency(product.price)}
+                        • Arquivado em ${formatDate(product.archivedAt)}
+                    </div>
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-success btn-small" onclick="restoreProduct(${product.id})">
+                        Restaurar
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="confirmDeleteProduct(${product.id}, '${escapeHtml(product.name)}')">
+                        Excluir
+                    </button>
+                </div>
+            </li>
+        `).join('');
+    
+    console.log(`Arquivados renderizados: ${archivedClients.length} clientes, ${archivedProducts.length} produtos`);
+}
+
+/**
+ * Gera o estado vazio das listas de arquivados
+ * @param {string} text - Texto a exibir
+ * @returns {string} HTML do estado vazio
+ */
+function renderArchivedEmptyState(text) {
+    return `
+        <div class="empty-state">
+            <div class="empty-state-icon">📦</div>
+            <div class="empty-state-text">${text}</div>
+        </div>
+    `;
+}
+
 /* ==========================================================================
    PÁGINA DE LANÇAMENTO
    ========================================================================== */
@@ -238,16 +925,15 @@ export function renderProductsGrid(products) {
  * Renderiza a tela de lançamento com clientes e produtos
  * @param {Array} clients - Array de clientes
  * @param {Array} products - Array de produtos
+ * @param {Object} [creditInfo={}] - Mapa clientId => {balance, limit, status}
+ * @param {Array<number>} [recentClientIds=[]] - Clientes usados recentemente
  */
-export function renderLaunchScreen(clients, products) {
-    populateClientSelector(clients);
+export function renderLaunchScreen(clients, products, creditInfo = {}, recentClientIds = []) {
+    populateClientSelector(clients, creditInfo, recentClientIds);
     renderProductsGrid(products);
     
     // Resetar formulário de lançamento
-    const selectClient = document.getElementById('select-client');
-    if (selectClient) {
-        selectClient.value = '';
-    }
+    selectClient('');
     
     // Ocultar resumo
     hideLaunchSummary();
@@ -413,12 +1099,13 @@ export function setProductQuantity(productId, newQty) {
 
 /**
  * Seleciona um cliente no dropdown de lançamento.
- * @param {number} clientId - O ID do cliente a ser selecionado.
+ * @param {number|string} clientId - O ID do cliente a ser selecionado ('' para limpar).
  */
 export function selectClient(clientId) {
     const selectClient = document.getElementById('select-client');
     if (selectClient) {
         selectClient.value = clientId;
+        syncClientSearch();
     }
 }
 
@@ -438,8 +1125,11 @@ export function getLaunchData() {
         return null;
     }
     
+    const operatorInput = document.getElementById('launch-operator');
+    
     return {
         clientId: parseInt(selectClient.value),
+        operator: operatorInput ? operatorInput.value.trim() : '',
         items: selectedProducts.map(product => ({
             productId: product.productId,
             qty: product.qty
@@ -451,107 +1141,1711 @@ export function getLaunchData() {
    EXTRATO DE CLIENTE
    ========================================================================== */
 
-/**
- * Renderiza o extrato detalhado de um cliente
- * @param {Object} client - Dados do cliente
- * @param {Array} transactions - Lista de transações
- * @param {Array} products - Lista de produtos (para nomes e preços)
- * @param {number} balance - Saldo devedor atual
- */
-export function renderClientStatement(client, transactions, products, balance) {
+// Filtros de período do extrato (valor do #statement-filter => rótulo)
+export const STATEMENT_FILTERS = {
+    tudo: 'Todo o histórico',
+    semana: 'Esta semana',
+    mes: 'Este mês',
+    'desde-quitacao': 'Desde a última quitação',
+    personalizado: 'Período personalizado'
+};
+
+// Estado do extrato exibido, mantido entre as páginas carregadas
+// runningBalance = saldo logo após a transação mais antiga já exibida
+const statementView = {
+    productsMap: {},
+    runningBalance: 0,
+    days: {},
+    observer: null,
+    onLoadMore: null
+};
+
+/**
+ * Renderiza o extrato de um cliente: cabeçalho, filtro de período e resumo do período
+ * As transações são acrescentadas depois, página a página, por appendStatementPage
+ * @param {Object} client - Dados do cliente
+ * @param {Array} products - Array de produtos para lookup
+ * @param {number} balance - Saldo atual do cliente
+ * @param {Object} period - Período exibido
+ * @param {string} period.filter - Chave de STATEMENT_FILTERS
+ * @param {string} period.startDate - Início (AAAA-MM-DD) ou vazio
+ * @param {string} period.endDate - Fim (AAAA-MM-DD) ou vazio
+ * @param {Object} period.summary - {openingBalance, consumption, payments, closingBalance, count}
+ * @param {Array} [period.pixCharges] - Cobranças Pix em aberto do cliente
+ * @param {Function} onLoadMore - Chamada quando o fim da lista fica visível
+ */
+export function renderClientStatement(client, products, balance, period, onLoadMore) {
     const statementContent = document.getElementById('client-statement-content');
     
-    if (!statementContent) {
-        console.error('Elemento client-statement-content não encontrado');
+    if (!statementContent) {
+        console.error('Elemento client-statement-content não encontrado');
+        return;
+    }
+    
+    const { summary } = period;
+    const pixCharges = period.pixCharges || [];
+    
+    // Criar mapa para lookup rápido; o saldo corrido parte do saldo no fim do período
+    statementView.productsMap = products.reduce((acc, product) => {
+        acc[product.id] = product;
+        return acc;
+    }, {});
+    statementView.runningBalance = summary.closingBalance;
+    statementView.days = {};
+    statementView.onLoadMore = onLoadMore;
+    const isCustom = period.filter === 'personalizado';
+    
+    const stat = (label, value) => `
+        <div class="report-stat">
+            <span class="report-stat-label">${label}</span>
+            <span class="report-stat-value">${value}</span>
+        </div>
+    `;
+    
+    // Cabeçalho do cliente
+    statementContent.innerHTML = `
+        <div class="client-header">
+            <h3>${escapeHtml(client.name)}</h3>
+            <div class="client-balance">
+                Saldo: ${formatCurrency(balance)}
+            </div>
+            <div style="margin-top: 1rem;">
+                <button class="btn btn-success" onclick="promptPayment(${client.id}, ${balance})">
+                    Registrar Pagamento
+                </button>
+                <button class="btn btn-secondary" onclick="exportStatementCsv(${client.id})">
+                    📄 CSV
+                </button>
+                <button class="btn btn-secondary" onclick="promptPrintStatement(${client.id})">
+                    🖨️ Imprimir
+                </button>
+                <button class="btn btn-secondary" onclick="printStatementReceipt(${client.id})">
+                    🧾 Resumo
+                </button>
+                <button class="btn btn-secondary" onclick="showPixCharge(${client.id})">
+                    ⚡ Cobrar Pix
+                </button>
+                <button class="btn btn-secondary" onclick="sendStatementWhatsApp(${client.id})" ${client.phone ? '' : 'disabled title="Cliente sem telefone"'}>
+                    💬 Enviar por WhatsApp
+                </button>
+                <button class="btn btn-secondary" onclick="showPage('page-clientes')">
+                    Voltar
+                </button>
+            </div>
+        </div>
+        
+        ${pixCharges.length > 0 ? `
+            <div class="pix-open-charges">
+                <h3>Cobranças Pix em aberto</h3>
+                <ul class="item-list">
+                    ${pixCharges.map(charge => `
+                        <li>
+                            <div class="item-info">
+                                <div class="item-name">${formatCurrency(charge.amount)}</div>
+                                <div class="item-meta">Gerada em ${formatDate(charge.createdAt)} • ${escapeHtml(charge.txid)}</div>
+                            </div>
+                            <div class="item-actions">
+                                <button class="btn btn-success btn-small" onclick="payPixCharge('${escapeHtml(charge.txid)}')">
+                                    Registrar pagamento
+                                </button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : ''}
+        
+        <form id="statement-filter-form" class="form-card statement-filter">
+            <div class="form-group">
+                <label for="statement-filter">Período:</label>
+                <select id="statement-filter">
+                    ${Object.entries(STATEMENT_FILTERS).map(([value, label]) => `
+                        <option value="${value}" ${value === period.filter ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="statement-custom-range" ${isCustom ? '' : 'hidden'}>
+                <div class="form-group">
+                    <label for="statement-start-date">De:</label>
+                    <input type="date" id="statement-start-date" value="${escapeHtml(period.startDate)}">
+                </div>
+                <div class="form-group">
+                    <label for="statement-end-date">Até:</label>
+                    <input type="date" id="statement-end-date" value="${escapeHtml(period.endDate)}">
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary btn-small">Aplicar</button>
+                </div>
+            </div>
+        </form>
+        
+        <div class="report-summary">
+            ${stat('Saldo anterior', formatCurrency(summary.openingBalance))}
+            ${stat('Consumo', formatCurrency(summary.consumption))}
+            ${stat('Pagamentos', formatCurrency(summary.payments))}
+            ${stat('Saldo no fim do período', formatCurrency(summary.closingBalance))}
+        </div>
+        
+        <div class="transactions-list">
+            <h3>Histórico de Transações</h3>
+            <div id="statement-rows"></div>
+            <button type="button" id="statement-more" class="btn btn-secondary statement-more" hidden>
+                Carregar mais
+            </button>
+        </div>
+    `;
+    
+    if (summary.count === 0) {
+        document.getElementById('statement-rows').innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">📋</div>
+                <div class="empty-state-text">Nenhuma transação encontrada</div>
+                <div class="empty-state-subtext">As transações aparecerão aqui conforme forem lançadas</div>
+            </div>
+        `;
+    }
+    
+    const moreBtn = document.getElementById('statement-more');
+    moreBtn.addEventListener('click', () => statementView.onLoadMore());
+    
+    // Carregar a próxima página ao rolar até o fim da lista
+    if (statementView.observer) {
+        statementView.observer.disconnect();
+    }
+    
+    if ('IntersectionObserver' in window) {
+        statementView.observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting) && !moreBtn.hidden) {
+                statementView.onLoadMore();
+            }
+        }, { rootMargin: '200px' });
+        statementView.observer.observe(moreBtn);
+    }
+    
+    console.log(`Extrato renderizado para ${client.name}: ${summary.count} transações no período, saldo ${formatCurrency(balance)}`);
+}
+
+/**
+ * Acrescenta uma página de transações ao extrato exibido, agrupada por dia
+ * Cada linha mostra o saldo logo após ela, calculado a partir do saldo no fim do
+ * período voltando no tempo (as páginas vêm da mais recente para a mais antiga).
+ * Um dia dividido entre duas páginas continua no mesmo grupo
+ * @param {Object} page - Página de Store.getStatementPage: {transactions, launches, hasMore}
+ */
+export function appendStatementPage(page) {
+    const rowsContainer = document.getElementById('statement-rows');
+    const moreBtn = document.getElementById('statement-more');
+    
+    if (!rowsContainer) return;
+    
+    const { transactions, launches } = page;
+    const { productsMap } = statementView;
+    
+    const launchesMap = launches.reduce((acc, launch) => {
+        acc[launch.id] = launch;
+        return acc;
+    }, {});
+    
+    // Itens de uma comanda têm o mesmo horário e vêm sempre na mesma página
+    const renderedLaunches = new Set();
+    
+    transactions.forEach(transaction => {
+        const balanceAfter = statementView.runningBalance;
+        const effect = getTransactionEffect(transaction);
+        statementView.runningBalance = roundCurrency(balanceAfter - effect);
+        
+        const day = getStatementDay(rowsContainer, transaction.timestamp, balanceAfter);
+        
+        // Estorno de consumo tem efeito negativo; estorno de pagamento, positivo
+        if (transaction.type === 'debit' || (transaction.type === 'reversal' && effect < 0)) {
+            day.consumption += effect;
+        } else {
+            day.payments -= effect;
+        }
+        
+        updateStatementDayTotals(day);
+        
+        if (transaction.type === 'payment') {
+            day.rows.insertAdjacentHTML('beforeend', renderPaymentRow(transaction, balanceAfter));
+        } else if (transaction.type === 'reversal') {
+            day.rows.insertAdjacentHTML('beforeend', renderReversalRow(transaction, balanceAfter));
+        } else if (transaction.launchId && launchesMap[transaction.launchId]) {
+            if (renderedLaunches.has(transaction.launchId)) return;
+            
+            renderedLaunches.add(transaction.launchId);
+            const launchRows = transactions.filter(row => row.launchId === transaction.launchId && row.type === 'debit');
+            day.rows.insertAdjacentHTML('beforeend',
+                renderLaunchGroup(launchesMap[transaction.launchId], launchRows, productsMap, balanceAfter));
+        } else {
+            day.rows.insertAdjacentHTML('beforeend', renderConsumptionRow(transaction, productsMap, balanceAfter));
+        }
+    });
+    
+    if (moreBtn) {
+        moreBtn.hidden = !page.hasMore;
+    }
+}
+
+/**
+ * Busca o grupo do dia de uma transação no extrato, criando-o se ainda não existir
+ * @param {HTMLElement} rowsContainer - Elemento #statement-rows
+ * @param {number} timestamp - Horário da transação
+ * @param {number} closingBalance - Saldo após a transação (vira o saldo do fim do dia se o grupo for novo)
+ * @returns {Object} {section, rows, consumption, payments, closingBalance}
+ */
+function getStatementDay(rowsContainer, timestamp, closingBalance) {
+    const key = toDateInputValue(timestamp);
+    
+    if (statementView.days[key]) {
+        return statementView.days[key];
+    }
+    
+    const weekday = new Date(timestamp).toLocaleDateString('pt-BR', { weekday: 'long' });
+    const section = document.createElement('section');
+    section.className = 'statement-day';
+    section.innerHTML = `
+        <div class="statement-day-header">
+            <div class="statement-day-date">${weekday}, ${formatDate(timestamp)}</div>
+            <div class="statement-day-totals"></div>
+        </div>
+        <div class="statement-day-rows"></div>
+    `;
+    rowsContainer.appendChild(section);
+    
+    statementView.days[key] = {
+        section,
+        rows: section.querySelector('.statement-day-rows'),
+        consumption: 0,
+        payments: 0,
+        closingBalance
+    };
+    
+    return statementView.days[key];
+}
+
+/**
+ * Atualiza os subtotais exibidos no cabeçalho do dia
+ * @param {Object} day - Grupo do dia (de getStatementDay)
+ */
+function updateStatementDayTotals(day) {
+    day.section.querySelector('.statement-day-totals').innerHTML = `
+        <span>Consumo: ${formatCurrency(roundCurrency(day.consumption))}</span>
+        <span>Pago: ${formatCurrency(roundCurrency(day.payments))}</span>
+        <span class="statement-day-balance">Saldo no fim do dia: ${formatCurrency(day.closingBalance)}</span>
+    `;
+}
+
+/**
+ * Gera a coluna de saldo corrido de uma linha do extrato
+ * @param {number|null} balance - Saldo logo após a transação (null = sem coluna)
+ * @returns {string} HTML da coluna ou string vazia
+ */
+function renderRunningBalance(balance) {
+    if (balance === null || balance === undefined) return '';
+    
+    return `
+        <div class="transaction-balance ${balance > 0 ? 'has-debt' : ''}" title="Saldo após esta transação">
+            ${formatCurrency(balance)}
+        </div>
+    `;
+}
+
+/**
+ * Gera o HTML de uma comanda (grupo recolhível com seus itens)
+ * Estornos dos itens aparecem no dia em que foram feitos, não dentro da comanda
+ * @param {Object} launch - Dados da comanda
+ * @param {Array} rows - Itens da comanda
+ * @param {Object} productsMap - Mapa de produtos por ID
+ * @param {number} [balanceAfter] - Saldo logo após a comanda
+ * @returns {string} HTML da comanda
+ */
+function renderLaunchGroup(launch, rows, productsMap, balanceAfter) {
+    const isVoided = launch.status === 'voided';
+    const itemsCount = rows
+        .filter(row => row.type === 'debit')
+        .reduce((sum, row) => sum + row.qty, 0);
+    
+    return `
+        <details class="launch-group ${isVoided ? 'voided' : ''}" id="launch-${launch.id}">
+            <summary class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-product">
+                        🧾 Comanda #${launch.id} • ${itemsCount} ${itemsCount === 1 ? 'item' : 'itens'}
+                        ${isVoided ? '<span class="badge badge-danger">Cancelada</span>' : ''}
+                    </div>
+                    <div class="transaction-date">
+                        ${formatTime(launch.timestamp)}${launch.operator ? ` • ${escapeHtml(launch.operator)}` : ''}
+                    </div>
+                    ${isVoided && launch.voidReason ? `<div class="transaction-note">Motivo: ${escapeHtml(launch.voidReason)}</div>` : ''}
+                </div>
+                <div class="transaction-value">
+                    +${formatCurrency(launch.total)}
+                </div>
+                ${renderRunningBalance(balanceAfter)}
+            </summary>
+            <div class="launch-items">
+                ${rows.map(row => renderConsumptionRow(row, productsMap)).join('')}
+                <div class="launch-actions">
+                    <button class="btn btn-secondary btn-small" onclick="printLaunchReceipt(${launch.id})">
+                        🧾 Recibo
+                    </button>
+                    ${isVoided ? '' : `
+                        <button class="btn btn-danger btn-small" onclick="confirmVoidLaunch(${launch.id})">
+                            Cancelar comanda
+                        </button>
+                    `}
+                </div>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Gera o HTML de uma linha de consumo
+ * @param {Object} transaction - Transação de consumo
+ * @param {Object} productsMap - Mapa de produtos por ID
+ * @param {number} [balanceAfter] - Saldo logo após a transação (itens de comanda não têm)
+ * @returns {string} HTML da linha
+ */
+function renderConsumptionRow(transaction, productsMap, balanceAfter) {
+    // Valores gravados no momento do lançamento
+    const product = productsMap[transaction.productId];
+    const productName = product ? product.name : 'Produto não encontrado';
+    
+    return `
+        <div class="transaction-item ${transaction.reversedBy ? 'reversed' : ''}" id="transaction-${transaction.id}">
+            <div class="transaction-info">
+                <div class="transaction-product">
+                    ${transaction.qty}x ${escapeHtml(productName)}
+                    ${transaction.reversedBy ? '<span class="badge badge-warning">Estornado</span>' : ''}
+                </div>
+                <div class="transaction-date">
+                    ${formatTime(transaction.timestamp)} • ${formatCurrency(transaction.unitPrice || 0)} cada
+                </div>
+            </div>
+            <div class="transaction-value">
+                +${formatCurrency(transaction.total || 0)}
+            </div>
+            ${renderRunningBalance(balanceAfter)}
+            ${renderReverseButton(transaction)}
+        </div>
+    `;
+}
+
+/**
+ * Gera o HTML de uma linha de pagamento
+ * @param {Object} transaction - Transação de pagamento
+ * @param {number} [balanceAfter] - Saldo logo após o pagamento
+ * @returns {string} HTML da linha
+ */
+function renderPaymentRow(transaction, balanceAfter) {
+    const methodLabel = PAYMENT_METHODS[transaction.method] || transaction.method;
+    
+    return `
+        <div class="transaction-item ${transaction.reversedBy ? 'reversed' : ''}" id="transaction-${transaction.id}">
+            <div class="transaction-info">
+                <div class="transaction-product">
+                    💰 Pagamento • ${escapeHtml(methodLabel)}
+                    ${transaction.reversedBy ? '<span class="badge badge-warning">Estornado</span>' : ''}
+                </div>
+                <div class="transaction-date">${formatTime(transaction.timestamp)}</div>
+                ${transaction.note ? `<div class="transaction-note">${escapeHtml(transaction.note)}</div>` : ''}
+            </div>
+            <div class="transaction-value" style="color: var(--success-color);">
+                -${formatCurrency(transaction.amount)}
+            </div>
+            ${renderRunningBalance(balanceAfter)}
+            <button class="btn btn-secondary btn-small btn-reverse" onclick="printPaymentReceipt(${transaction.id})" title="Recibo">
+                🧾
+            </button>
+            ${renderReverseButton(transaction)}
+        </div>
+    `;
+}
+
+/**
+ * Gera o HTML de uma linha de estorno, com link para a transação original
+ * @param {Object} transaction - Transação de estorno
+ * @param {number} [balanceAfter] - Saldo logo após o estorno
+ * @returns {string} HTML da linha
+ */
+function renderReversalRow(transaction, balanceAfter) {
+    const effect = getTransactionEffect(transaction);
+    const sign = effect >= 0 ? '+' : '-';
+    
+    return `
+        <div class="transaction-item reversal">
+            <div class="transaction-info">
+                <div class="transaction-product">
+                    ↩️ Estorno de <a href="#transaction-${transaction.reversalOf}">#${transaction.reversalOf}</a>
+                </div>
+                <div class="transaction-date">${formatTime(transaction.timestamp)}</div>
+                <div class="transaction-note">Motivo: ${escapeHtml(transaction.reason)}</div>
+            </div>
+            <div class="transaction-value">
+                ${sign}${formatCurrency(Math.abs(effect))}
+            </div>
+            ${renderRunningBalance(balanceAfter)}
+        </div>
+    `;
+}
+
+/**
+ * Gera o botão de estorno para transações que ainda podem ser estornadas
+ * @param {Object} transaction - Transação
+ * @returns {string} HTML do botão ou string vazia
+ */
+function renderReverseButton(transaction) {
+    if (transaction.reversedBy || transaction.type === 'reversal') {
+        return '';
+    }
+    
+    return `
+        <button class="btn btn-secondary btn-small btn-reverse" onclick="promptReversal(${transaction.id})" title="Estornar">
+            ↩️
+        </button>
+    `;
+}
+
+/* ==========================================================================
+   CONFIGURAÇÕES
+   ========================================================================== */
+
+/**
+ * Preenche o formulário de configurações com os valores atuais
+ * @param {Object} settings - Configurações {chave: valor}
+ */
+export function renderSettingsForm(settings) {
+    const form = document.getElementById('settings-form');
+    
+    if (!form) {
+        console.error('Elemento settings-form não encontrado');
+        return;
+    }
+    
+    form.querySelectorAll('[data-setting]').forEach(input => {
+        const value = settings[input.dataset.setting];
+        input.value = value ?? '';
+    });
+}
+
+/**
+ * Obtém os valores do formulário de configurações (ainda não validados)
+ * @returns {Object} Configurações {chave: valor}
+ */
+export function getSettingsFormData() {
+    const values = {};
+    
+    document.querySelectorAll('#settings-form [data-setting]').forEach(input => {
+        values[input.dataset.setting] = input.value.trim();
+    });
+    
+    return values;
+}
+
+/* ==========================================================================
+   ATENDENTES (OPERADORES)
+   ========================================================================== */
+
+/**
+ * Mostra o atendente logado no cabeçalho e esconde o campo livre de atendente da comanda
+ * @param {Object|null} operator - Atendente logado
+ * @param {boolean} enabled - true se há atendentes cadastrados
+ */
+export function renderOperatorBadge(operator, enabled) {
+    const button = document.getElementById('operator-btn');
+    const launchOperatorGroup = document.getElementById('launch-operator-group');
+    
+    if (button) {
+        button.hidden = !enabled;
+        document.getElementById('operator-btn-name').textContent = operator
+            ? `${operator.name}${operator.isAdmin ? ' (admin)' : ''}`
+            : 'Entrar';
+    }
+    
+    // Com atendentes cadastrados, a comanda leva o atendente logado
+    if (launchOperatorGroup) {
+        launchOperatorGroup.style.display = enabled ? 'none' : '';
+    }
+}
+
+/**
+ * Abre o modal de escolha do atendente
+ * @param {Array} operators - Atendentes cadastrados
+ * @param {boolean} required - true se ninguém está logado (não dá para cancelar)
+ */
+export function showOperatorModal(operators, required) {
+    const modal = document.getElementById('operator-modal');
+    const choices = document.getElementById('operator-choices');
+    
+    if (!modal || !choices) {
+        console.error('Elementos do modal de atendente não encontrados');
+        return;
+    }
+    
+    choices.innerHTML = operators.map(operator => `
+        <button type="button" class="btn btn-secondary operator-choice" onclick="chooseOperator(${operator.id})">
+            👤 ${escapeHtml(operator.name)}
+        </button>
+    `).join('');
+    
+    choices.style.display = '';
+    document.getElementById('operator-login-form').style.display = 'none';
+    document.getElementById('close-operator-btn').style.display = required ? 'none' : '';
+    
+    modal.style.display = 'flex';
+}
+
+/**
+ * Pede o PIN do atendente escolhido no modal
+ * @param {Object} operator - Atendente escolhido
+ */
+export function showOperatorPinForm(operator) {
+    const form = document.getElementById('operator-login-form');
+    if (!form) return;
+    
+    form.reset();
+    document.getElementById('operator-login-id').value = operator.id;
+    document.getElementById('operator-login-name').textContent = operator.name;
+    
+    document.getElementById('operator-choices').style.display = 'none';
+    form.style.display = '';
+    document.getElementById('operator-login-pin').focus();
+}
+
+/**
+ * Fecha o modal de escolha do atendente
+ */
+export function hideOperatorModal() {
+    const modal = document.getElementById('operator-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Obtém o atendente e o PIN digitados no modal
+ * @returns {Object} {operatorId, pin}
+ */
+export function getOperatorLoginData() {
+    return {
+        operatorId: parseInt(document.getElementById('operator-login-id').value),
+        pin: document.getElementById('operator-login-pin').value
+    };
+}
+
+/**
+ * Limpa o PIN digitado (após PIN errado)
+ */
+export function clearOperatorLoginPin() {
+    const pinInput = document.getElementById('operator-login-pin');
+    if (pinInput) {
+        pinInput.value = '';
+        pinInput.focus();
+    }
+}
+
+/**
+ * Renderiza a lista de atendentes na página de ajustes
+ * @param {Array} operators - Atendentes cadastrados
+ * @param {Object|null} currentOperator - Atendente logado
+ */
+export function renderOperatorList(operators, currentOperator) {
+    const operatorList = document.getElementById('operator-list');
+    
+    if (!operatorList) {
+        console.error('Elemento operator-list não encontrado');
+        return;
+    }
+    
+    if (operators.length === 0) {
+        operatorList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-text">Nenhum atendente cadastrado</div>
+                <div class="empty-state-subtext">Sem atendentes, o aplicativo funciona sem PIN</div>
+            </div>
+        `;
+        return;
+    }
+    
+    operatorList.innerHTML = operators.map(operator => `
+        <li>
+            <div class="item-info">
+                <div class="item-name">
+                    ${escapeHtml(operator.name)}
+                    ${operator.isAdmin ? '<span class="badge badge-admin">Admin</span>' : ''}
+                </div>
+                <div class="item-meta">
+                    ${currentOperator && currentOperator.id === operator.id ? 'Logado agora • ' : ''}
+                    Cadastrado em ${formatDate(operator.createdAt)}
+                </div>
+            </div>
+            <div class="item-actions">
+                <button type="button" class="btn btn-secondary btn-small" onclick="editOperator(${operator.id})">
+                    Editar
+                </button>
+                <button type="button" class="btn btn-danger btn-small" onclick="confirmDeleteOperator(${operator.id})">
+                    Excluir
+                </button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Preenche o formulário de atendente para edição (o PIN fica em branco)
+ * @param {Object} operator - Atendente a ser editado
+ */
+export function fillOperatorForm(operator) {
+    document.getElementById('operator-edit-id').value = operator.id;
+    document.getElementById('operator-name').value = operator.name;
+    document.getElementById('operator-pin').value = '';
+    document.getElementById('operator-admin').checked = !!operator.isAdmin;
+    
+    setFormEditMode('operator-form', true, 'Editar Atendente', 'Adicionar Atendente');
+    document.getElementById('operator-name').focus();
+}
+
+/**
+ * Volta o formulário de atendente para o modo de cadastro
+ */
+export function resetOperatorForm() {
+    document.getElementById('operator-form').reset();
+    document.getElementById('operator-edit-id').value = '';
+    
+    setFormEditMode('operator-form', false, 'Editar Atendente', 'Adicionar Atendente');
+}
+
+/**
+ * Obtém os dados do formulário de atendente (ainda não validados)
+ * @returns {Object} {editId, name, pin, isAdmin} - editId vazio no cadastro
+ */
+export function getOperatorFormData() {
+    return {
+        editId: document.getElementById('operator-edit-id').value,
+        name: document.getElementById('operator-name').value.trim(),
+        pin: document.getElementById('operator-pin').value,
+        isAdmin: document.getElementById('operator-admin').checked
+    };
+}
+
+/**
+ * Renderiza o registro de ações administrativas
+ * @param {Array} entries - Registros {timestamp, operatorName, description}, mais recente primeiro
+ */
+export function renderAuditLog(entries) {
+    const auditList = document.getElementById('audit-log-list');
+    if (!auditList) return;
+    
+    if (entries.length === 0) {
+        auditList.innerHTML = '<li class="form-hint">Nenhuma ação registrada</li>';
+        return;
+    }
+    
+    auditList.innerHTML = entries.map(entry => `
+        <li>
+            <div class="item-info">
+                <div class="item-name">${escapeHtml(entry.description)}</div>
+                <div class="item-meta">
+                    ${formatTimestamp(entry.timestamp)} • ${escapeHtml(entry.operatorName || 'Sem atendente')}
+                </div>
+            </div>
+        </li>
+    `).join('');
+}
+
+/* ==========================================================================
+   BLOQUEIO E PROTEÇÃO DOS DADOS
+   ========================================================================== */
+
+/**
+ * Cobre o aplicativo com a tela de bloqueio
+ */
+export function showLockScreen() {
+    const lockScreen = document.getElementById('lock-screen');
+    if (!lockScreen) return;
+    
+    document.getElementById('unlock-form').reset();
+    document.getElementById('unlock-error').textContent = '';
+    
+    lockScreen.style.display = 'flex';
+    document.getElementById('unlock-passphrase').focus();
+}
+
+/**
+ * Apaga da tela tudo o que mostra dados de clientes (listas, extrato, painel, relatórios,
+ * registro de ações, busca, formulário e modais), para que nada fique no documento por
+ * baixo da tela de bloqueio
+ */
+export function clearSensitiveViews() {
+    [
+        'client-list', 'archived-client-list', 'client-statement-content', 'print-area',
+        'dashboard-content', 'report-content', 'aging-report', 'audit-log-list'
+    ].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.innerHTML = '';
+        }
+    });
+    
+    // Busca de clientes do lançamento: sem opções e sem cliente escolhido
+    populateClientSelector([]);
+    selectClient('');
+    
+    // Formulário de cliente aberto em edição
+    resetClientForm();
+    
+    hidePaymentModal();
+    hidePixModal();
+    hidePrintModal();
+    hideBackupPreview();
+    hideImportPreview();
+}
+
+/**
+ * Remove a tela de bloqueio
+ */
+export function hideLockScreen() {
+    const lockScreen = document.getElementById('lock-screen');
+    if (lockScreen) {
+        lockScreen.style.display = 'none';
+    }
+}
+
+/**
+ * Obtém a frase-senha digitada na tela de bloqueio
+ * @returns {string} Frase-senha
+ */
+export function getUnlockPassphrase() {
+    return document.getElementById('unlock-passphrase').value;
+}
+
+/**
+ * Mostra um erro na tela de bloqueio (os avisos flutuantes ficam por baixo dela)
+ * @param {string} message - Mensagem de erro
+ */
+export function showUnlockError(message) {
+    const passphraseInput = document.getElementById('unlock-passphrase');
+    
+    document.getElementById('unlock-error').textContent = message;
+    passphraseInput.value = '';
+    passphraseInput.focus();
+}
+
+/**
+ * Ajusta o cartão de proteção e o botão de bloqueio ao estado da frase-senha
+ * @param {boolean} enabled - true se a proteção está ativa
+ */
+export function renderSecurityStatus(enabled) {
+    const status = document.getElementById('security-status');
+    const lockBtn = document.getElementById('lock-btn');
+    
+    if (lockBtn) {
+        lockBtn.hidden = !enabled;
+    }
+    
+    if (!status) return;
+    
+    status.textContent = enabled
+        ? '✅ Proteção ativa. Para trocar a frase-senha, digite a atual e a nova; para desativar, só a atual.'
+        : 'Proteção desativada: os dados ficam gravados em claro.';
+    
+    document.getElementById('security-current-group').style.display = enabled ? '' : 'none';
+    document.getElementById('security-submit-btn').textContent = enabled ? 'Trocar Frase-senha' : 'Ativar Proteção';
+    document.getElementById('disable-encryption-btn').style.display = enabled ? '' : 'none';
+}
+
+/**
+ * Obtém as frases-senha digitadas no cartão de proteção (ainda não validadas)
+ * @returns {Object} {current, next, confirm}
+ */
+export function getSecurityFormData() {
+    return {
+        current: document.getElementById('security-current').value,
+        next: document.getElementById('security-new').value,
+        confirm: document.getElementById('security-confirm').value
+    };
+}
+
+/**
+ * Limpa as frases-senha digitadas no cartão de proteção
+ */
+export function resetSecurityForm() {
+    const form = document.getElementById('security-form');
+    if (form) {
+        form.reset();
+    }
+}
+
+/**
+ * Obtém a frase-senha informada para restaurar um backup protegido
+ * @returns {string} Frase-senha (vazia se não informada)
+ */
+export function getBackupPassphrase() {
+    const input = document.getElementById('backup-passphrase');
+    return input ? input.value : '';
+}
+
+/* ==========================================================================
+   ARQUIVOS: BACKUP E PLANILHAS
+   ========================================================================== */
+
+// Nomes amigáveis das tabelas exibidos no resumo do backup
+const TABLE_LABELS = {
+    clients: 'Clientes',
+    products: 'Produtos',
+    transactions: 'Transações',
+    launches: 'Comandas',
+    priceHistory: 'Histórico de preços',
+    settings: 'Configurações',
+    stockEntries: 'Entradas de estoque',
+    pixCharges: 'Cobranças Pix',
+    operators: 'Atendentes',
+    auditLog: 'Registro de ações'
+};
+
+/**
+ * Dispara o download de um arquivo gerado no navegador
+ * @param {string} fileName - Nome do arquivo
+ * @param {string|Blob} content - Conteúdo do arquivo
+ * @param {string} [mimeType='application/json'] - Tipo do conteúdo
+ */
+export function downloadFile(fileName, content, mimeType = 'application/json') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Liberar a URL depois que o navegador iniciar o download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    
+    console.log(`Download iniciado: ${fileName}`);
+}
+
+/**
+ * Exibe a prévia de uma importação de CSV com a situação de cada linha
+ * @param {Object} preview - Resultado de CsvService.prepareImport
+ */
+export function showImportPreview(preview) {
+    const container = document.getElementById('import-preview');
+    const summary = document.getElementById('import-summary');
+    const head = document.getElementById('import-preview-head');
+    const body = document.getElementById('import-preview-body');
+    
+    if (!container || !summary || !head || !body) {
+        console.error('Elementos da prévia de importação não encontrados');
+        return;
+    }
+    
+    const isClients = preview.type === 'clients';
+    const valid = preview.rows.filter(row => row.errors.length === 0 && !row.duplicateOf).length;
+    const duplicates = preview.rows.filter(row => row.errors.length === 0 && row.duplicateOf).length;
+    const invalid = preview.rows.length - valid - duplicates;
+    
+    summary.textContent = `${preview.rows.length} linhas lidas: ${valid} válidas, ` +
+        `${duplicates} prováveis duplicados, ${invalid} com erro (serão ignoradas).`;
+    
+    head.innerHTML = `
+        <tr>
+            <th>Linha</th>
+            <th>Nome</th>
+            <th>${isClients ? 'Telefone' : 'Preço'}</th>
+            <th>${isClients ? 'Limite' : 'Categoria'}</th>
+            <th>Situação</th>
+        </tr>
+    `;
+    
+    body.innerHTML = preview.rows.map(row => {
+        let rowClass = '';
+        let status = '✅ OK';
+        
+        if (row.errors.length > 0) {
+            rowClass = 'import-error';
+            status = `❌ ${row.errors.join('; ')}`;
+        } else if (row.duplicateOf) {
+            rowClass = 'import-duplicate';
+            status = `⚠️ Parece com "${row.duplicateOf}"`;
+        }
+        
+        const second = isClients ? row.data.phone : formatCurrency(row.data.price);
+        const third = isClients
+            ? (row.data.creditLimit !== null ? formatCurrency(row.data.creditLimit) : '')
+            : row.data.category;
+        
+        return `
+            <tr class="${rowClass}">
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.data.name)}</td>
+                <td>${escapeHtml(second)}</td>
+                <td>${escapeHtml(third)}</td>
+                <td>${escapeHtml(status)}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    document.getElementById('import-include-duplicates').checked = false;
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Esconde a prévia da importação e limpa o arquivo selecionado
+ */
+export function hideImportPreview() {
+    const container = document.getElementById('import-preview');
+    const fileInput = document.getElementById('import-csv-input');
+    
+    if (container) {
+        container.style.display = 'none';
+    }
+    
+    if (fileInput) {
+        fileInput.value = '';
+    }
+}
+
+/**
+ * Exibe o resumo de um backup selecionado antes da restauração
+ * @param {Object} backup - Backup validado
+ * @param {Array} diff - Resumo por tabela {table, current, incoming, added, conflicting}
+ */
+export function showBackupPreview(backup, diff) {
+    const preview = document.getElementById('backup-preview');
+    const info = document.getElementById('backup-preview-info');
+    const body = document.getElementById('backup-diff-body');
+    
+    if (!preview || !info || !body) {
+        console.error('Elementos do resumo de backup não encontrados');
+        return;
+    }
+    
+    info.textContent = `Backup de ${formatTimestamp(backup.exportedAt)} (schema v${backup.schemaVersion}). ` +
+        'Confira o que será gravado antes de restaurar.';
+    
+    body.innerHTML = diff.map(row => `
+        <tr>
+            <td>${escapeHtml(TABLE_LABELS[row.table] || row.table)}</td>
+            <td>${row.current}</td>
+            <td>${row.incoming}</td>
+            <td>${row.added}</td>
+            <td>${row.conflicting}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('backup-restore-mode').value = 'merge';
+    preview.style.display = 'block';
+    preview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Esconde o resumo do backup e limpa o arquivo selecionado
+ */
+export function hideBackupPreview() {
+    const preview = document.getElementById('backup-preview');
+    const fileInput = document.getElementById('import-backup-input');
+    
+    if (preview) {
+        preview.style.display = 'none';
+    }
+    
+    if (fileInput) {
+        fileInput.value = '';
+    }
+}
+
+/**
+ * Obtém o modo de restauração escolhido
+ * @returns {string} 'merge' ou 'replace'
+ */
+export function getRestoreMode() {
+    return document.getElementById('backup-restore-mode').value;
+}
+
+/**
+ * Mostra o resultado da conferência de saldos (divergências já corrigidas)
+ * @param {Object} result - {checked, drifts: [{clientId, name, stored, computed, difference}]}
+ */
+export function renderBalanceCheck(result) {
+    const container = document.getElementById('balance-check-result');
+    if (!container) return;
+    
+    if (result.drifts.length === 0) {
+        container.innerHTML = `<p class="form-hint">✅ ${result.checked} clientes conferidos. Todos os saldos batem com o histórico.</p>`;
+        return;
+    }
+    
+    container.innerHTML = `
+        <p class="form-hint">⚠️ ${result.drifts.length} de ${result.checked} clientes estavam com o saldo diferente do histórico e foram corrigidos:</p>
+        <table class="report-table">
+            <thead>
+                <tr>
+                    <th>Cliente</th>
+                    <th>Gravado</th>
+                    <th>Histórico</th>
+                    <th>Diferença</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.drifts.map(drift => `
+                    <tr>
+                        <td>${escapeHtml(drift.name)}</td>
+                        <td>${formatCurrency(drift.stored)}</td>
+                        <td>${formatCurrency(drift.computed)}</td>
+                        <td>${formatCurrency(drift.difference)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/* ==========================================================================
+   MODAL DE PAGAMENTO
+   ========================================================================== */
+
+/**
+ * Abre o modal de registro de pagamento
+ * @param {number} clientId - ID do cliente que está pagando
+ * @param {number} [suggestedAmount] - Valor sugerido (ex: saldo devedor atual)
+ * @param {Array} [openCharges=[]] - Cobranças Pix em aberto do cliente, para escolher qual está sendo paga
+ */
+export function showPaymentModal(clientId, suggestedAmount, openCharges = []) {
+    const modal = document.getElementById('payment-modal');
+    const form = document.getElementById('payment-form');
+    const methodSelect = document.getElementById('payment-method');
+    
+    if (!modal || !form || !methodSelect) {
+        console.error('Elementos do modal de pagamento não encontrados');
+        return;
+    }
+    
+    form.reset();
+    document.getElementById('payment-client-id').value = clientId;
+    
+    // Popular formas de pagamento
+    methodSelect.innerHTML = Object.entries(PAYMENT_METHODS)
+        .map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`)
+        .join('');
+    
+    if (suggestedAmount > 0) {
+        document.getElementById('payment-amount').value = suggestedAmount.toFixed(2);
+    }
+    
+    // Cobranças Pix em aberto (o grupo só aparece se houver alguma)
+    const chargeGroup = document.getElementById('payment-pix-charges-group');
+    const chargeSelect = document.getElementById('payment-pix-charge');
+    
+    if (chargeGroup && chargeSelect) {
+        chargeSelect.innerHTML = `<option value="">Nenhuma</option>` + openCharges
+            .map(charge => `
+                <option value="${escapeHtml(charge.txid)}">${formatCurrency(charge.amount)} - gerada em ${formatDate(charge.createdAt)}</option>
+            `).join('');
+        chargeGroup.hidden = openCharges.length === 0;
+    }
+    
+    clearPaymentPixCharge();
+    
+    modal.style.display = 'flex';
+    document.getElementById('payment-amount').focus();
+}
+
+/**
+ * Fecha o modal de registro de pagamento
+ */
+export function hidePaymentModal() {
+    const modal = document.getElementById('payment-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Obtém os dados preenchidos no modal de pagamento
+ * @returns {Object} {clientId, amount, method, note, pixTxid} - amount ainda não validado;
+ * pixTxid só vem preenchido se a forma de pagamento continuar sendo Pix
+ */
+export function getPaymentFormData() {
+    const method = document.getElementById('payment-method').value;
+    
+    return {
+        clientId: parseInt(document.getElementById('payment-client-id').value),
+        amount: document.getElementById('payment-amount').value,
+        method: method,
+        note: document.getElementById('payment-note').value.trim(),
+        pixTxid: method === 'pix' ? document.getElementById('payment-pix-txid').value : ''
+    };
+}
+
+/* ==========================================================================
+   COBRANÇA PIX
+   ========================================================================== */
+
+/**
+ * Gera o HTML de uma cobrança Pix: QR Code, valor e o "copia e cola"
+ * @param {Object} charge - Cobrança {amount, txid, payload, svg}
+ * @param {string} textareaId - ID do campo do "copia e cola"
+ * @returns {string} HTML
+ */
+function renderPixChargeHTML(charge, textareaId) {
+    return `
+        <div class="pix-qr">${charge.svg}</div>
+        <p class="pix-amount">${formatCurrency(charge.amount)}</p>
+        <label for="${textareaId}">Pix copia e cola:</label>
+        <textarea id="${textareaId}" class="pix-payload" rows="3" readonly>${escapeHtml(charge.payload)}</textarea>
+        <button type="button" class="btn btn-secondary" onclick="copyPixPayload('${textareaId}')">📋 Copiar código</button>
+        <p class="form-hint">Identificador: ${escapeHtml(charge.txid)}</p>
+    `;
+}
+
+/**
+ * Abre o modal com a cobrança Pix do saldo de um cliente
+ * @param {Object} client - Cliente cobrado
+ * @param {Object} charge - Cobrança {amount, txid, payload, svg}
+ */
+export function showPixModal(client, charge) {
+    const modal = document.getElementById('pix-modal');
+    const body = document.getElementById('pix-modal-body');
+    
+    if (!modal || !body) {
+        console.error('Elementos do modal Pix não encontrados');
+        return;
+    }
+    
+    body.innerHTML = `
+        <p><strong>${escapeHtml(client.name)}</strong></p>
+        ${renderPixChargeHTML(charge, 'pix-modal-payload')}
+    `;
+    
+    modal.style.display = 'flex';
+}
+
+/**
+ * Fecha o modal de cobrança Pix
+ */
+export function hidePixModal() {
+    const modal = document.getElementById('pix-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Mostra no modal de pagamento a cobrança Pix gerada e a vincula ao pagamento
+ * @param {Object} charge - Cobrança {amount, txid, payload, svg}
+ */
+export function setPaymentPixCharge(charge) {
+    const area = document.getElementById('payment-pix-area');
+    
+    if (!area) {
+        console.error('Elemento payment-pix-area não encontrado');
+        return;
+    }
+    
+    document.getElementById('payment-method').value = 'pix';
+    document.getElementById('payment-pix-txid').value = charge.txid;
+    
+    // Marcar a cobrança na lista de abertas (fica em "Nenhuma" se for uma cobrança nova)
+    const chargeSelect = document.getElementById('payment-pix-charge');
+    if (chargeSelect) {
+        chargeSelect.value = charge.txid;
+        if (chargeSelect.selectedIndex === -1) {
+            chargeSelect.value = '';
+        }
+    }
+    
+    area.innerHTML = renderPixChargeHTML(charge, 'payment-pix-payload');
+    area.style.display = 'block';
+}
+
+/**
+ * Remove a cobrança Pix do modal de pagamento (ex: quando o valor muda)
+ */
+export function clearPaymentPixCharge() {
+    const area = document.getElementById('payment-pix-area');
+    const txidInput = document.getElementById('payment-pix-txid');
+    const chargeSelect = document.getElementById('payment-pix-charge');
+    
+    if (txidInput) {
+        txidInput.value = '';
+    }
+    
+    if (chargeSelect) {
+        chargeSelect.value = '';
+    }
+    
+    if (area) {
+        area.innerHTML = '';
+        area.style.display = 'none';
+    }
+}
+
+/* ==========================================================================
+   EXTRATO PARA IMPRESSÃO
+   ========================================================================== */
+
+/**
+ * Abre o modal de escolha do período do extrato impresso
+ * @param {number} clientId - ID do cliente
+ */
+export function showPrintModal(clientId) {
+    const modal = document.getElementById('print-modal');
+    
+    if (!modal) {
+        console.error('Elemento print-modal não encontrado');
+        return;
+    }
+    
+    // Período padrão: do primeiro dia do mês até hoje
+    const today = new Date();
+    document.getElementById('print-client-id').value = clientId;
+    document.getElementById('print-start-date').value =
+        toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1).getTime());
+    document.getElementById('print-end-date').value = toDateInputValue(today.getTime());
+    
+    modal.style.display = 'flex';
+}
+
+/**
+ * Fecha o modal de impressão do extrato
+ */
+export function hidePrintModal() {
+    const modal = document.getElementById('print-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Obtém os dados do modal de impressão
+ * @returns {Object} {clientId, startDate, endDate} - datas no formato AAAA-MM-DD
+ */
+export function getPrintFormData() {
+    return {
+        clientId: parseInt(document.getElementById('print-client-id').value),
+        startDate: document.getElementById('print-start-date').value,
+        endDate: document.getElementById('print-end-date').value
+    };
+}
+
+/**
+ * Monta o extrato de um período na área de impressão
+ * @param {Object} data - Dados do extrato
+ * @param {Object} data.client - Cliente
+ * @param {Object} data.settings - Configurações (dados do bar)
+ * @param {number} data.startTimestamp - Início do período
+ * @param {number} data.endTimestamp - Fim do período
+ * @param {number} data.openingBalance - Saldo anterior ao período
+ * @param {Array} data.rows - Linhas {transaction, effect, balance} em ordem cronológica
+ * @param {Array} data.products - Produtos (para nomear os consumos)
+ */
+export function renderPrintStatement(data) {
+    const printArea = document.getElementById('print-area');
+    
+    if (!printArea) {
+        console.error('Elemento print-area não encontrado');
         return;
     }
     
-    // Criar mapa de produtos para lookup rápido
+    const { client, settings, startTimestamp, endTimestamp, openingBalance, rows, products } = data;
     const productsMap = products.reduce((acc, product) => {
         acc[product.id] = product;
         return acc;
     }, {});
     
-    // Cabeçalho do cliente
-    let html = `
-        <div class="client-header">
-            <h3>${escapeHtml(client.name)}</h3>
-            <div class="client-balance">
-                Saldo: ${formatCurrency(balance)}
-            </div>
-            <div style="margin-top: 1rem;">
-                <button class="btn btn-success" onclick="promptPayment(${client.id})">
-                    Registrar Pagamento
-                </button>
-                <button class="btn btn-secondary" onclick="showPage('page-clientes')">
-                    Voltar
-                </button>
-            </div>
+    const totalDebits = rows.reduce((sum, row) => sum + Math.max(row.effect, 0), 0);
+    const totalCredits = rows.reduce((sum, row) => sum + Math.max(-row.effect, 0), 0);
+    const closingBalance = rows.length > 0 ? rows[rows.length - 1].balance : openingBalance;
+    
+    const barLines = [settings.barAddress, settings.barPhone].filter(Boolean).map(escapeHtml).join(' • ');
+    const clientLines = [
+        client.phone ? `Telefone: ${escapeHtml(client.phone)}` : '',
+        client.creditLimit !== null && client.creditLimit !== undefined ? `Limite: ${formatCurrency(client.creditLimit)}` : ''
+    ].filter(Boolean).join(' • ');
+    
+    printArea.innerHTML = `
+        <div class="print-header">
+            <h1>${escapeHtml(settings.barName || 'Meu Bar')}</h1>
+            ${barLines ? `<p>${barLines}</p>` : ''}
+        </div>
+        
+        <div class="print-client">
+            <h2>Extrato de ${escapeHtml(client.name)}</h2>
+            ${clientLines ? `<p>${clientLines}</p>` : ''}
+            <p>Período: ${formatDate(startTimestamp)} a ${formatDate(endTimestamp)}</p>
+        </div>
+        
+        <table class="print-table">
+            <thead>
+                <tr>
+                    <th>Data</th>
+                    <th>Descrição</th>
+                    <th class="num">Débito</th>
+                    <th class="num">Crédito</th>
+                    <th class="num">Saldo</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr class="print-opening">
+                    <td>${formatDate(startTimestamp)}</td>
+                    <td>Saldo anterior</td>
+                    <td></td>
+                    <td></td>
+                    <td class="num">${formatCurrency(openingBalance)}</td>
+                </tr>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${formatDate(row.transaction.timestamp)} ${formatTime(row.transaction.timestamp)}</td>
+                        <td>${describePrintEntry(row.transaction, productsMap)}</td>
+                        <td class="num">${row.effect > 0 ? formatCurrency(row.effect) : ''}</td>
+                        <td class="num">${row.effect < 0 ? formatCurrency(-row.effect) : ''}</td>
+                        <td class="num">${formatCurrency(row.balance)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="2">Totais do período</td>
+                    <td class="num">${formatCurrency(totalDebits)}</td>
+                    <td class="num">${formatCurrency(totalCredits)}</td>
+                    <td></td>
+                </tr>
+            </tfoot>
+        </table>
+        
+        <div class="print-total">
+            ${closingBalance > 0 ? 'Total devido' : 'Saldo'} em ${formatDate(endTimestamp)}:
+            <strong>${formatCurrency(closingBalance)}</strong>
         </div>
+        
+        <p class="print-footer">Emitido em ${formatTimestamp(Date.now())}</p>
     `;
     
-    // Lista de transações
-    if (transactions && transactions.length > 0) {
-        html += `
-            <div class="transactions-list">
-                <h3>Histórico de Transações</h3>
-        `;
+    console.log(`Extrato para impressão montado: ${client.name}, ${rows.length} lançamentos`);
+}
+
+/**
+ * Descreve uma transação em uma linha do extrato impresso
+ * @param {Object} transaction - Transação
+ * @param {Object} productsMap - Produtos indexados por ID
+ * @returns {string} HTML da descrição
+ */
+function describePrintEntry(transaction, productsMap) {
+    const reversed = transaction.reversedBy ? ' <em>(estornado)</em>' : '';
+    
+    switch (transaction.type) {
+        case 'debit': {
+            const product = productsMap[transaction.productId];
+            const name = product ? escapeHtml(product.name) : 'Produto removido';
+            return `${transaction.qty}x ${name} (${formatCurrency(transaction.unitPrice)})${reversed}`;
+        }
+        case 'payment': {
+            const method = PAYMENT_METHODS[transaction.method] || transaction.method;
+            const note = transaction.note ? ` - ${escapeHtml(transaction.note)}` : '';
+            return `Pagamento (${escapeHtml(method)})${note}${reversed}`;
+        }
+        case 'reversal':
+            return `Estorno: ${escapeHtml(transaction.reason || '')}`;
+        default:
+            return '';
+    }
+}
+
+/* ==========================================================================
+   PAINEL INICIAL
+   ========================================================================== */
+
+/**
+ * Desenha um minigráfico de linha (sparkline) em SVG inline
+ * @param {Array<number>} values - Valores em ordem cronológica
+ * @param {number} [width=300] - Largura do desenho
+ * @param {number} [height=60] - Altura do desenho
+ * @returns {string} Marcação SVG
+ */
+function renderSparklineSVG(values, width = 300, height = 60) {
+    const max = Math.max(...values, 0);
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+    const padding = 2;
+    
+    // Sem vendas no período: linha reta na base
+    const points = values.map((value, i) => {
+        const x = i * step;
+        const y = max > 0 ? height - padding - (value / max) * (height - padding * 2) : height - padding;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    
+    return `
+        <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Vendas por dia">
+            <polygon points="0,${height} ${points.join(' ')} ${width},${height}" fill="currentColor" fill-opacity="0.15"/>
+            <polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="2" vector-effect="non-scaling-stroke"/>
+        </svg>
+    `;
+}
+
+/**
+ * Renderiza o painel inicial: totais, gráfico de vendas e listas de devedores
+ * @param {Object} dashboard - Indicadores de ReportService.buildDashboard
+ */
+export function renderDashboard(dashboard) {
+    const container = document.getElementById('dashboard-content');
+    
+    if (!container) {
+        console.error('Elemento dashboard-content não encontrado');
+        return;
+    }
+    
+    const stat = (label, value) => `
+        <div class="report-stat">
+            <span class="report-stat-label">${label}</span>
+            <span class="report-stat-value">${value}</span>
+        </div>
+    `;
+    
+    const clientLink = debtor =>
+        `<button type="button" class="link-btn" onclick="viewClientStatement(${debtor.clientId})">${escapeHtml(debtor.name)}</button>`;
+    
+    const salesValues = dashboard.sales.map(day => day.total);
+    const salesTotal = salesValues.reduce((sum, value) => sum + value, 0);
+    const bestDay = dashboard.sales.reduce((best, day) => (day.total > best.total ? day : best), dashboard.sales[0]);
+    
+    container.innerHTML = `
+        <div class="report-summary">
+            ${stat('Total a receber', formatCurrency(dashboard.totalReceivable))}
+            ${stat('Fiado hoje', formatCurrency(dashboard.todayLaunched))}
+            ${stat('Recebido hoje', formatCurrency(dashboard.todayReceived))}
+            ${stat(`Vendas em ${dashboard.sales.length} dias`, formatCurrency(salesTotal))}
+        </div>
         
-        transactions.forEach(transaction => {
-            let transactionHTML = '';
-            
-            if (transaction.type === 'credit' && transaction.productId === 0) {
-                // Pagamento
-                transactionHTML = `
-                    <div class="transaction-item">
-                        <div class="transaction-info">
-                            <div class="transaction-product">💰 Pagamento</div>
-                            <div class="transaction-date">${formatTimestamp(transaction.timestamp)}</div>
-                        </div>
-                        <div class="transaction-value" style="color: var(--success-color);">
-                            -${formatCurrency(transaction.qty)}
-                        </div>
-                    </div>
-                `;
-            } else {
-                // Consumo normal
-                const product = productsMap[transaction.productId];
-                const productName = product ? product.name : 'Produto não encontrado';
-                const productPrice = product ? product.price : 0;
-                const totalValue = productPrice * transaction.qty;
-                
-                transactionHTML = `
-                    <div class="transaction-item">
-                        <div class="transaction-info">
-                            <div class="transaction-product">
-                                ${transaction.qty}x ${escapeHtml(productName)}
-                            </div>
-                            <div class="transaction-date">${formatTimestamp(transaction.timestamp)}</div>
-                        </div>
-                        <div class="transaction-value">
-                            +${formatCurrency(totalValue)}
-                        </div>
-                    </div>
-                `;
-            }
-            
-            html += transactionHTML;
-        });
+        <div class="list-section">
+            <h3>Vendas no fiado por dia</h3>
+            <div class="sparkline-card">
+                ${renderSparklineSVG(salesValues)}
+                <div class="sparkline-legend">
+                    <span>${formatDate(dashboard.sales[0].date)}</span>
+                    ${bestDay.total > 0 ? `<span>Melhor dia: ${formatDate(bestDay.date)} (${formatCurrency(bestDay.total)})</span>` : ''}
+                    <span>Hoje</span>
+                </div>
+            </div>
+        </div>
         
-        html += '</div>';
-    } else {
-        html += `
-            <div class="empty-state">
-                <div class="empty-state-icon">📋</div>
-                <div class="empty-state-text">Nenhuma transação encontrada</div>
-                <div class="empty-state-subtext">As transações aparecerão aqui conforme forem lançadas</div>
+        <div class="list-section">
+            <h3>Maiores devedores</h3>
+            ${dashboard.topDebtors.length === 0 ? '<p class="empty-state">Nenhum cliente com saldo em aberto</p>' : `
+                <table class="report-table">
+                    <tbody>
+                        ${dashboard.topDebtors.map(debtor => `
+                            <tr>
+                                <td>${clientLink(debtor)}</td>
+                                <td class="num">${formatCurrency(debtor.balance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+        
+        <div class="list-section">
+            <h3>Sem pagamento há ${dashboard.inactiveDays} dias ou mais</h3>
+            ${dashboard.inactiveClients.length === 0 ? '<p class="empty-state">Nenhum devedor parado</p>' : `
+                <table class="report-table">
+                    <tbody>
+                        ${dashboard.inactiveClients.map(debtor => `
+                            <tr>
+                                <td>
+                                    ${clientLink(debtor)}
+                                    <small>${debtor.lastPaymentTimestamp ? `último pagamento em ${formatDate(debtor.lastPaymentTimestamp)}` : 'nunca pagou'} (${debtor.days} dias)</small>
+                                </td>
+                                <td class="num">${formatCurrency(debtor.balance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
+    
+    console.log(`Painel renderizado: ${formatCurrency(dashboard.totalReceivable)} a receber`);
+}
+
+/* ==========================================================================
+   RELATÓRIOS
+   ========================================================================== */
+
+/**
+ * Gera as tabelas do fechamento (usadas na tela e na impressão)
+ * @param {Object} report - Relatório de ReportService.buildDailyReport
+ * @param {string} tableClass - Classe CSS das tabelas
+ * @returns {string} HTML das seções
+ */
+function renderReportSectionsHTML(report, tableClass) {
+    const section = (title, headers, rows, emptyMessage) => `
+        <h3>${title}</h3>
+        ${rows.length === 0 ? `<p class="empty-state">${emptyMessage}</p>` : `
+            <table class="${tableClass}">
+                <thead>
+                    <tr>${headers.map((header, i) => `<th${i > 0 ? ' class="num"' : ''}>${header}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(cells => `<tr>${cells.map((cell, i) => `<td${i > 0 ? ' class="num"' : ''}>${cell}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `}
+    `;
+    
+    return [
+        section('Recebido por forma de pagamento', ['Forma', 'Qtd.', 'Valor'],
+            report.paymentsByMethod.map(entry => [escapeHtml(entry.label), entry.count, formatCurrency(entry.total)]),
+            'Nenhum pagamento no período'),
+        section('Itens vendidos por produto', ['Produto', 'Qtd.', 'Valor'],
+            report.products.map(entry => [escapeHtml(entry.name), entry.qty, formatCurrency(entry.total)]),
+            'Nenhum consumo no período'),
+        section('Clientes que mais consumiram', ['Cliente', 'Consumo', 'Pagou'],
+            report.topClients.map(entry => [escapeHtml(entry.name), formatCurrency(entry.launched), formatCurrency(entry.received)]),
+            'Nenhum cliente no período'),
+        report.operators.length === 0 ? '' : section('Vendas por atendente', ['Atendente', 'Itens', 'Vendido', 'Recebido'],
+            report.operators.map(entry => [escapeHtml(entry.name), entry.itemsCount, formatCurrency(entry.launched), formatCurrency(entry.received)]),
+            'Nenhuma venda no período')
+    ].join('');
+}
+
+/**
+ * Renderiza o fechamento na página de relatórios
+ * @param {Object} report - Relatório de ReportService.buildDailyReport
+ */
+export function renderReport(report) {
+    const container = document.getElementById('report-content');
+    
+    if (!container) {
+        console.error('Elemento report-content não encontrado');
+        return;
+    }
+    
+    const stat = (label, value) => `
+        <div class="report-stat">
+            <span class="report-stat-label">${label}</span>
+            <span class="report-stat-value">${value}</span>
+        </div>
+    `;
+    
+    container.innerHTML = `
+        <div class="list-section">
+            <h3>Período: ${escapeHtml(report.periodLabel)}</h3>
+            <div class="report-summary">
+                ${stat('Lançado no fiado', formatCurrency(report.totalLaunched))}
+                ${stat('Recebido', formatCurrency(report.totalReceived))}
+                ${stat('Lançamentos', report.launchCount)}
+                ${stat('Itens vendidos', report.itemsCount)}
             </div>
-        `;
+            ${report.reversals.count > 0 ? `
+                <p class="form-hint">${report.reversals.count} estorno(s) no período, somando ${formatCurrency(report.reversals.total)}. Itens e pagamentos estornados no próprio período não entram nos totais; os de períodos anteriores são descontados deste.</p>
+            ` : ''}
+            ${renderReportSectionsHTML(report, 'report-table')}
+        </div>
+    `;
+    
+    document.getElementById('export-report-btn').disabled = false;
+    document.getElementById('print-report-btn').disabled = false;
+    
+    console.log(`Relatório renderizado: ${report.periodLabel}`);
+}
+
+/**
+ * Renderiza a tabela de idade das dívidas; o nome do cliente abre o extrato
+ * @param {Object} report - Relatório de ReportService.buildAgingReport
+ */
+export function renderAgingReport(report) {
+    const container = document.getElementById('aging-report');
+    
+    if (!container) {
+        console.error('Elemento aging-report não encontrado');
+        return;
+    }
+    
+    if (report.rows.length === 0) {
+        container.innerHTML = '<p class="empty-state">Nenhum cliente com saldo em aberto</p>';
+        return;
+    }
+    
+    const lastBucket = report.labels.length - 1;
+    const bucketCells = buckets => buckets
+        .map((value, i) => `<td class="num${i === lastBucket && value > 0 ? ' aging-overdue' : ''}">${value > 0 ? formatCurrency(value) : '-'}</td>`)
+        .join('');
+    
+    container.innerHTML = `
+        <table class="report-table aging-table">
+            <thead>
+                <tr>
+                    <th>Cliente</th>
+                    ${report.labels.map(label => `<th class="num">${escapeHtml(label)}</th>`).join('')}
+                    <th class="num">Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${report.rows.map(row => `
+                    <tr>
+                        <td>
+                            <button type="button" class="link-btn" onclick="viewClientStatement(${row.clientId})">${escapeHtml(row.name)}</button>
+                            <small>desde ${formatDate(row.oldestTimestamp)} (${row.oldestDays} dias)</small>
+                        </td>
+                        ${bucketCells(row.buckets)}
+                        <td class="num"><strong>${formatCurrency(row.total)}</strong></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>Total</td>
+                    ${bucketCells(report.totals.buckets)}
+                    <td class="num"><strong>${formatCurrency(report.totals.total)}</strong></td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+    
+    console.log(`Idade das dívidas renderizada: ${report.rows.length} clientes`);
+}
+
+/**
+ * Monta o fechamento na área de impressão
+ * @param {Object} report - Relatório de ReportService.buildDailyReport
+ * @param {Object} settings - Configurações (dados do bar)
+ */
+export function renderPrintReport(report, settings) {
+    const printArea = document.getElementById('print-area');
+    
+    if (!printArea) {
+        console.error('Elemento print-area não encontrado');
+        return;
     }
     
-    statementContent.innerHTML = html;
+    const barLines = [settings.barAddress, settings.barPhone].filter(Boolean).map(escapeHtml).join(' • ');
+    
+    printArea.innerHTML = `
+        <div class="print-header">
+            <h1>${escapeHtml(settings.barName || 'Meu Bar')}</h1>
+            ${barLines ? `<p>${barLines}</p>` : ''}
+        </div>
+        
+        <div class="print-client">
+            <h2>Fechamento: ${escapeHtml(report.periodLabel)}</h2>
+            <p>
+                Lançado no fiado: <strong>${formatCurrency(report.totalLaunched)}</strong>
+                (${report.launchCount} lançamentos, ${report.itemsCount} itens) •
+                Recebido: <strong>${formatCurrency(report.totalReceived)}</strong>
+                ${report.reversals.count > 0 ? ` • Estornos: ${report.reversals.count} (${formatCurrency(report.reversals.total)})` : ''}
+            </p>
+        </div>
+        
+        ${renderReportSectionsHTML(report, 'print-table')}
+        
+        <p class="print-footer">Emitido em ${formatTimestamp(Date.now())}</p>
+    `;
     
-    console.log(`Extrato renderizado para ${client.name}: ${transactions?.length || 0} transações, saldo ${formatCurrency(balance)}`);
+    console.log(`Fechamento para impressão montado: ${report.periodLabel}`);
 }
 
 /* ==========================================================================
@@ -664,31 +2958,77 @@ function escapeHtml(text) {
 }
 
 // Tornar funções necessárias globais para uso em event handlers inline
+window.showPage = showPage;
+
 window.viewClientStatement = async function(clientId) {
     // Esta função será implementada no main.js
     console.log(`Solicitado extrato do cliente ${clientId}`);
 };
 
 window.confirmDeleteClient = function(clientId, clientName) {
-    if (confirm(`Tem certeza que deseja excluir o cliente "${clientName}"?\n\nEsta ação também removerá todas as transações do cliente e não pode ser desfeita.`)) {
+    if (confirm(`Tem certeza que deseja excluir definitivamente o cliente "${clientName}"?\n\nEsta ação também removerá todas as transações do cliente e não pode ser desfeita.`)) {
         // Esta função será implementada no main.js
         window.deleteClient(clientId);
     }
 };
 
 window.confirmDeleteProduct = function(productId, productName) {
-    if (confirm(`Tem certeza que deseja excluir o produto "${productName}"?\n\nEsta ação não pode ser desfeita.`)) {
+    if (confirm(`Tem certeza que deseja excluir definitivamente o produto "${productName}"?\n\nEsta ação não pode ser desfeita.`)) {
         // Esta função será implementada no main.js
         window.deleteProduct(productId);
     }
 };
 
-window.promptPayment = function(clientId) {
-    const amount = prompt('Digite o valor do pagamento (R$):');
-    if (amount && !isNaN(amount) && parseFloat(amount) > 0) {
-        // Esta função será implementada no main.js
-        window.registerPayment(clientId, parseFloat(amount));
+window.confirmVoidLaunch = function(launchId) {
+    const reason = prompt(`Cancelar a comanda #${launchId} inteira?\n\nTodos os itens serão estornados. Informe o motivo:`);
+    
+    if (reason === null) {
+        return;
+    }
+    
+    if (!reason.trim()) {
+        showToast('O motivo do cancelamento é obrigatório', 'warning');
+        return;
+    }
+    
+    // Esta função será implementada no main.js
+    window.voidLaunch(launchId, reason.trim());
+};
+
+window.promptReversal = function(transactionId) {
+    const reason = prompt(`Estornar a transação #${transactionId}?\n\nInforme o motivo do estorno:`);
+    
+    if (reason === null) {
+        return;
+    }
+    
+    if (!reason.trim()) {
+        showToast('O motivo do estorno é obrigatório', 'warning');
+        return;
+    }
+    
+    // Esta função será implementada no main.js
+    window.reverseTransaction(transactionId, reason.trim());
+};
+
+window.copyPixPayload = async function(textareaId) {
+    const textarea = document.getElementById(textareaId);
+    if (!textarea) return;
+    
+    try {
+        await navigator.clipboard.writeText(textarea.value);
+    } catch (error) {
+        // Sem acesso à área de transferência (ex: página sem HTTPS): copiar pela seleção
+        textarea.select();
+        document.execCommand('copy');
     }
+    
+    showToast('Código Pix copiado', 'success');
+};
+
+window.promptPrintStatement = function(clientId) {
+    // O envio do formulário é tratado no main.js (handlePrintSubmit)
+    showPrintModal(clientId);
 };
 
 console.log('UI.js inicializado - Funções de interface carregadas');
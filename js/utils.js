@@ -29,6 +29,24 @@ export function formatCurrency(value) {
     return formatter.format(value);
 }
 
+/**
+ * Formata um número com 2 casas decimais no padrão brasileiro, sem símbolo
+ * nem separador de milhares (ex: 1234,50) - formato que planilhas reconhecem como número
+ * @param {number} value - Valor numérico a ser formatado
+ * @returns {string} Valor formatado (0,00)
+ */
+export function formatDecimal(value) {
+    if (typeof value !== 'number' || isNaN(value)) {
+        return '0,00';
+    }
+    
+    return new Intl.NumberFormat('pt-BR', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        useGrouping: false
+    }).format(value);
+}
+
 /**
  * Converte uma string de moeda brasileira para número
  * @param {string} currencyString - String no formato "R$ 0,00" ou "0,00"
@@ -49,6 +67,98 @@ export function parseCurrency(currencyString) {
     return isNaN(value) ? 0 : value;
 }
 
+/**
+ * Arredonda um valor monetário para 2 casas decimais
+ * @param {number} value - Valor a ser arredondado
+ * @returns {number} Valor arredondado (centavos)
+ */
+export function roundCurrency(value) {
+    if (typeof value !== 'number' || isNaN(value)) {
+        return 0;
+    }
+    
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calcula o efeito de uma transação no saldo devedor do cliente
+ * Consumos aumentam a dívida, pagamentos diminuem e estornos
+ * carregam o valor inverso da transação original (já com sinal)
+ * @param {Object} transaction - Transação ('debit', 'payment' ou 'reversal')
+ * @returns {number} Valor a somar ao saldo (positivo = aumenta a dívida)
+ */
+export function getTransactionEffect(transaction) {
+    if (!transaction) {
+        return 0;
+    }
+    
+    switch (transaction.type) {
+        case 'debit':
+            return transaction.total || 0;
+        case 'payment':
+            return -(transaction.amount || 0);
+        case 'reversal':
+            return transaction.amount || 0;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Ordena transações em ordem cronológica e calcula o saldo acumulado após cada uma
+ * @param {Array} transactions - Transações do cliente (qualquer ordem)
+ * @param {number} [openingBalance=0] - Saldo antes da primeira transação
+ * @returns {Array} Linhas {transaction, effect, balance} da mais antiga para a mais recente
+ */
+export function buildRunningBalance(transactions, openingBalance = 0) {
+    let balance = openingBalance;
+    
+    return transactions
+        .slice()
+        .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id)
+        .map(transaction => {
+            const effect = getTransactionEffect(transaction);
+            balance = roundCurrency(balance + effect);
+            return { transaction, effect, balance };
+        });
+}
+
+/**
+ * Classifica a situação de um cliente em relação ao seu limite de fiado
+ * @param {number} balance - Saldo devedor (atual ou projetado)
+ * @param {number|null} limit - Limite de fiado (null = sem limite)
+ * @returns {string} 'none' (sem limite), 'ok', 'near' (80% ou mais) ou 'over'
+ */
+export function getCreditStatus(balance, limit) {
+    if (limit === null || limit === undefined) {
+        return 'none';
+    }
+    
+    if (balance > limit) {
+        return 'over';
+    }
+    
+    if (balance >= limit * 0.8 && balance > 0) {
+        return 'near';
+    }
+    
+    return 'ok';
+}
+
+/**
+ * Verifica se um produto com controle de estoque está no mínimo ou abaixo dele
+ * @param {Object} product - Produto com stock e minStock
+ * @returns {boolean} true se precisa de reposição
+ */
+export function isLowStock(product) {
+    if (!product || product.stock === null || product.stock === undefined) {
+        return false;
+    }
+    
+    const minStock = product.minStock ?? 0;
+    return product.stock <= minStock;
+}
+
 /* ==========================================================================
    FORMATAÇÃO DE DATA E HORA
    ========================================================================== */
@@ -136,6 +246,39 @@ export function formatTime(timestamp) {
     return formatter.format(date);
 }
 
+/**
+ * Converte o valor de um <input type="date"> (AAAA-MM-DD) em timestamp no fuso local
+ * @param {string} value - Data no formato AAAA-MM-DD
+ * @param {boolean} [endOfDay=false] - true para o último milissegundo do dia
+ * @returns {number|null} Timestamp em milissegundos ou null se inválida
+ */
+export function parseDateInput(value, endOfDay = false) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    
+    if (!match) {
+        return null;
+    }
+    
+    const [, year, month, day] = match.map(Number);
+    const date = endOfDay
+        ? new Date(year, month - 1, day, 23, 59, 59, 999)
+        : new Date(year, month - 1, day);
+    
+    return date.getTime();
+}
+
+/**
+ * Converte um timestamp para o valor de um <input type="date"> (AAAA-MM-DD)
+ * @param {number} timestamp - Timestamp em milissegundos
+ * @returns {string} Data no formato AAAA-MM-DD (fuso local)
+ */
+export function toDateInputValue(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 /**
  * Retorna uma descrição relativa do tempo (ex: "há 2 horas", "ontem")
  * @param {number} timestamp - Timestamp em milissegundos
@@ -397,6 +540,24 @@ export function sanitizeString(str) {
         .slice(0, 1000); // Limita tamanho máximo
 }
 
+/**
+ * Normaliza um texto para comparação: sem acentos, minúsculo e com espaços simples
+ * @param {string} str - Texto de entrada
+ * @returns {string} Texto normalizado (ex: "  José  Silva" → "jose silva")
+ */
+export function normalizeText(str) {
+    if (typeof str !== 'string') {
+        return '';
+    }
+    
+    return str
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
 /**
  * Calcula porcentagem
  * @param {number} part - Parte
@@ -424,6 +585,36 @@ export function formatNumber(num) {
     return new Intl.NumberFormat('pt-BR').format(num);
 }
 
+/**
+ * Preenche um modelo de texto com placeholders no formato {chave}
+ * Placeholders sem valor correspondente são mantidos como estão
+ * @param {string} template - Modelo (ex: "Olá, {nome}!")
+ * @param {Object} values - Valores por chave (ex: {nome: 'Ana'})
+ * @returns {string} Texto preenchido
+ */
+export function fillTemplate(template, values) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+    );
+}
+
+/**
+ * Monta o link do WhatsApp (wa.me) para um telefone brasileiro com mensagem pronta
+ * @param {string} phone - Telefone do cliente (qualquer formatação)
+ * @param {string} message - Texto da mensagem
+ * @returns {string|null} Link https://wa.me/55... ou null se o telefone for vazio ou inválido
+ */
+export function buildWhatsAppLink(phone, message) {
+    const phoneValidation = validatePhone(phone || '');
+    
+    if (!phoneValidation.isValid || !phoneValidation.formatted) {
+        return null;
+    }
+    
+    const digits = phoneValidation.formatted.replace(/\D/g, '');
+    return `https://wa.me/55${digits}?text=${encodeURIComponent(message)}`;
+}
+
 /* ==========================================================================
    CONSTANTES ÚTEIS
    ========================================================================== */
@@ -445,6 +636,14 @@ export const TIME = {
     WEEK: 7 * 24 * 60 * 60 * 1000
 };
 
+// Formas de pagamento aceitas (chave gravada no banco => rótulo exibido)
+export const PAYMENT_METHODS = {
+    dinheiro: 'Dinheiro',
+    pix: 'Pix',
+    debito: 'Cartão de débito',
+    credito: 'Cartão de crédito'
+};
+
 // Mensagens padrão
 export const MESSAGES = {
     LOADING: 'Carregando...',
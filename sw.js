@@ -7,7 +7,7 @@
    ========================================================================== */
 
 // Nome e versão do cache - incrementar versão para forçar atualizações
-const CACHE_NAME = 'meu-bar-pwa-v1.0.0';
+const CACHE_NAME = 'meu-bar-pwa-v1.13.2';
 
 // Lista de arquivos essenciais para cachear (todos os assets da aplicação)
 const ESSENTIAL_FILES = [
@@ -23,6 +23,14 @@ const ESSENTIAL_FILES = [
     '/js/store.js', 
     '/js/ui.js',
     '/js/utils.js',
+    '/js/backup-service.js',
+    '/js/csv-service.js',
+    '/js/receipt-service.js',
+    '/js/pix-service.js',
+    '/js/qrcode.js',
+    '/js/report-service.js',
+    '/js/operator-service.js',
+    '/js/crypto-service.js',
     
     // Manifesto
     '/manifest.json',